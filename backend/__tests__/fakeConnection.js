@@ -0,0 +1,80 @@
+// In-memory stand-in for the @tidbcloud/serverless connection. It answers the
+// device and api_usage queries server.js makes and records every statement,
+// so tests can check what the routes wrote.
+function createFakeConnection() {
+  const db = {
+    devices: [],
+    usage: [],
+    statements: []
+  };
+
+  function countUsage(params) {
+    const [
+      deviceId, day, , window,
+      ip, , , ,
+      , , , , , , ,
+      service, since
+    ] = params;
+    const rows = db.usage.filter((row) => row.service === service && row.created_at >= since);
+    const scopes = {
+      device: rows.filter((row) => row.device_id === deviceId),
+      ip: rows.filter((row) => row.ip === ip),
+      global: rows
+    };
+
+    return Object.entries(scopes).reduce((result, [scope, scopeRows]) => {
+      const inWindow = scopeRows.filter((row) => row.created_at >= window).map((row) => row.created_at).sort();
+      result[`${scope}_daily`] = scopeRows.filter((row) => row.created_at >= day).length;
+      result[`${scope}_window`] = inWindow.length;
+      result[`${scope}_window_oldest`] = inWindow[0] || null;
+      return result;
+    }, {});
+  }
+
+  async function execute(sql, params = []) {
+    const statement = sql.replace(/\s+/g, ' ').trim();
+    db.statements.push({ sql: statement, params });
+
+    if (statement.startsWith('INSERT INTO devices')) {
+      const [id, token_hash, session_id] = params;
+      db.devices.push({ id, token_hash, session_id, last_seen_at: new Date() });
+      return [];
+    }
+    if (statement.startsWith('SELECT id, last_seen_at FROM devices')) {
+      return db.devices.filter((device) => device.token_hash === params[0]);
+    }
+    if (statement.startsWith('UPDATE devices SET last_seen_at')) {
+      db.devices.filter((device) => device.id === params[0]).forEach((device) => {
+        device.last_seen_at = new Date();
+      });
+      return [];
+    }
+    if (statement.startsWith('INSERT INTO api_usage')) {
+      const [device_id, ip, service, created_at] = params;
+      db.usage.push({ device_id, ip, service, created_at });
+      return [];
+    }
+    if (statement.startsWith('SELECT') && statement.includes('FROM api_usage')) {
+      return [countUsage(params)];
+    }
+    return [];
+  }
+
+  const connection = {
+    execute,
+    begin: async () => ({
+      execute,
+      commit: async () => {},
+      rollback: async () => {}
+    })
+  };
+
+  return { connection, db };
+}
+
+// api_usage timestamps, in the format server.js writes them
+function toUsageTimestamp(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+module.exports = { createFakeConnection, toUsageTimestamp };
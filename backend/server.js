@@ -1,3 +1,5 @@
+const crypto = require('crypto');
+const net = require('net');
 const express = require('express');
 const cors = require('cors');
 const { connect } = require('@tidbcloud/serverless');
@@ -6,9 +8,17 @@ require('dotenv').config();
 const app = express();
 const port = process.env.PORT || 3001;
 
+// Behind a reverse proxy, set TRUST_PROXY (a hop count such as 1, or e.g. "loopback")
+// so req.ip is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Drawings arrive as base64 data URLs, so allow more than the 100kb default
+app.use(express.json({ limit: '2mb' }));
 
 // TiDB connection via environment variables
 const requiredEnv = ['TIDB_HOST', 'TIDB_USERNAME', 'TIDB_PASSWORD', 'TIDB_DATABASE'];
@@ -18,6 +28,23 @@ if (missing.length) {
   console.warn('Create backend/.env based on backend/.env.example');
 }
 
+// Third-party API keys stay on the server; the browser only talks to this API
+const OPENAI_CONFIG = {
+  apiKey: process.env.OPENAI_API_KEY,
+  baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  maxTokens: 600,
+  temperature: 0.8
+};
+const GOOGLE_PLACES_API_KEY = process.env.GOOGLE_PLACES_API_KEY;
+const GOOGLE_MAPS_BASE_URL = 'https://maps.googleapis.com/maps/api';
+
+['OPENAI_API_KEY', 'GOOGLE_PLACES_API_KEY'].forEach((key) => {
+  if (!process.env[key]) {
+    console.warn(`⚠️ ${key} is not set; the routes that need it will return 503`);
+  }
+});
+
 const conn = connect({
   host: process.env.TIDB_HOST,
   username: process.env.TIDB_USERNAME,
@@ -25,42 +52,557 @@ const conn = connect({
   database: process.env.TIDB_DATABASE
 });
 
-// Initialize database table
+// Quotas are enforced here, per device, per client network and across all
+// devices, so clearing browser storage cannot reset them: a new device still
+// shares its network's quota. Each service has a daily limit (UTC day) and a
+// sliding-window limit that stops bursts.
+const QUOTA_WINDOW_SECONDS = 60;
+const QUOTAS = {
+  openai: {
+    label: 'OpenAI',
+    device: { daily: 50, window: 5 },
+    ip: { daily: 150, window: 15 },
+    global: { daily: 1000, window: 60 }
+  },
+  googlePlaces: {
+    label: 'Google Places',
+    device: { daily: 250, window: 30 },
+    ip: { daily: 750, window: 90 },
+    global: { daily: 5000, window: 300 }
+  },
+  database: {
+    label: 'Database',
+    device: { daily: 1000, window: 60 },
+    ip: { daily: 3000, window: 180 },
+    global: { daily: 50000, window: 1000 }
+  }
+};
+// Registering devices is metered like a service, per network and globally,
+// so new devices cannot be minted to get fresh quotas
+const REGISTRATION_SERVICE = 'registration';
+const REGISTRATION_QUOTA = {
+  label: 'Device registration',
+  ip: { daily: 10, window: 3 },
+  global: { daily: 2000, window: 100 }
+};
+// Usage rows older than this are no longer needed for any limit
+const USAGE_RETENTION_HOURS = 48;
+// How stale devices.last_seen_at may get before a request refreshes it
+const LAST_SEEN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Columns added to mood_entries after its first release
+const MOOD_ENTRY_MIGRATIONS = [
+  'device_id VARCHAR(64)',
+  'session_id VARCHAR(64)',
+  'client_entry_id VARCHAR(64)',
+  'description TEXT',
+  'recommendations JSON',
+  'business_categories JSON',
+  'processing_time INT',
+  'is_mock_data BOOLEAN NOT NULL DEFAULT FALSE',
+  'is_fallback BOOLEAN NOT NULL DEFAULT FALSE',
+  'analysis JSON',
+  'analyzed_at TIMESTAMP NULL',
+  'feedback_agreement VARCHAR(16)',
+  'corrected_mood VARCHAR(50)',
+  'feedback_at TIMESTAMP NULL'
+];
+
+// Initialize database tables
 async function initializeDatabase() {
   try {
+    await conn.execute(`
+      CREATE TABLE IF NOT EXISTS devices (
+        id VARCHAR(64) PRIMARY KEY,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        session_id VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
     await conn.execute(`
       CREATE TABLE IF NOT EXISTS mood_entries (
         id INT AUTO_INCREMENT PRIMARY KEY,
+        device_id VARCHAR(64),
+        session_id VARCHAR(64),
+        client_entry_id VARCHAR(64),
         mood VARCHAR(50) NOT NULL,
         confidence DECIMAL(5,2) NOT NULL,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        description TEXT,
+        recommendations JSON,
+        business_categories JSON,
+        processing_time INT,
+        is_mock_data BOOLEAN NOT NULL DEFAULT FALSE,
+        is_fallback BOOLEAN NOT NULL DEFAULT FALSE,
+        analysis JSON,
+        analyzed_at TIMESTAMP NULL,
+        feedback_agreement VARCHAR(16),
+        corrected_mood VARCHAR(50),
+        feedback_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_mood_entries_device (device_id, created_at),
+        UNIQUE KEY uniq_mood_entries_client (device_id, client_entry_id)
       )
     `);
-    console.log('✅ Database table initialized');
+    await conn.execute(`
+      CREATE TABLE IF NOT EXISTS api_usage (
+        id BIGINT AUTO_INCREMENT PRIMARY KEY,
+        device_id VARCHAR(64) NOT NULL,
+        ip VARCHAR(64),
+        service VARCHAR(32) NOT NULL,
+        created_at TIMESTAMP(3) NOT NULL,
+        INDEX idx_api_usage_service (service, created_at),
+        INDEX idx_api_usage_device (device_id, service, created_at),
+        INDEX idx_api_usage_ip (ip, service, created_at)
+      )
+    `);
+    // One row per metered service, locked while a request checks and records its usage
+    await conn.execute(`
+      CREATE TABLE IF NOT EXISTS api_quota_locks (
+        service VARCHAR(32) PRIMARY KEY
+      )
+    `);
+    const lockedServices = [...Object.keys(QUOTAS), REGISTRATION_SERVICE];
+    await conn.execute(
+      `INSERT IGNORE INTO api_quota_locks (service) VALUES ${lockedServices.map(() => '(?)').join(', ')}`,
+      lockedServices
+    );
+    // Tables created by earlier versions lack the newer columns
+    for (const column of MOOD_ENTRY_MIGRATIONS) {
+      await conn.execute(`ALTER TABLE mood_entries ADD COLUMN IF NOT EXISTS ${column}`);
+    }
+    await conn.execute('CREATE INDEX IF NOT EXISTS idx_mood_entries_device ON mood_entries (device_id, created_at)');
+    await conn.execute('CREATE UNIQUE INDEX IF NOT EXISTS uniq_mood_entries_client ON mood_entries (device_id, client_entry_id)');
+    await conn.execute('ALTER TABLE api_usage ADD COLUMN IF NOT EXISTS ip VARCHAR(64)');
+    await conn.execute('CREATE INDEX IF NOT EXISTS idx_api_usage_ip ON api_usage (ip, service, created_at)');
+    console.log('✅ Database tables initialized');
   } catch (error) {
     console.error('❌ Database initialization failed:', error);
   }
 }
 
+// JSON columns may come back from the driver as strings or already parsed
+function parseJSONColumn(value, fallback = null) {
+  if (value === null || value === undefined) return fallback;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// Mock and fallback analyses are stored flagged but never counted in statistics
+const REAL_ENTRIES_CONDITION = 'is_mock_data = FALSE AND is_fallback = FALSE';
+
+// Shape a mood_entries row for API responses
+function formatMoodRow(row) {
+  return {
+    id: row.id,
+    clientEntryId: row.client_entry_id,
+    sessionId: row.session_id,
+    mood: row.mood,
+    confidence: Number(row.confidence),
+    description: row.description,
+    recommendations: parseJSONColumn(row.recommendations, []),
+    businessCategories: parseJSONColumn(row.business_categories, []),
+    processingTime: row.processing_time,
+    isMockData: Boolean(Number(row.is_mock_data)),
+    isFallback: Boolean(Number(row.is_fallback)),
+    analysis: parseJSONColumn(row.analysis),
+    analyzedAt: row.analyzed_at,
+    feedback: row.feedback_agreement
+      ? { agreement: row.feedback_agreement, correctedMood: row.corrected_mood, submittedAt: row.feedback_at }
+      : null,
+    createdAt: row.created_at
+  };
+}
+
+// Convert an ISO timestamp to a TiDB TIMESTAMP literal, or null if invalid
+function toSQLTimestamp(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return null;
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Millisecond-precision variants for api_usage, whose windows are shorter than a second matters
+function toSQLTimestampMs(date) {
+  return date.toISOString().slice(0, 23).replace('T', ' ');
+}
+
+function fromSQLTimestamp(value) {
+  if (!value) return null;
+  return value instanceof Date ? value : new Date(`${String(value).replace(' ', 'T')}Z`);
+}
+
+// DATE values may come back from the driver as strings or Date objects
+function toDateString(value) {
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// Bucket expressions for /api/moods/stats, applied to the local entry time
+const STATS_BUCKETS = {
+  day: (local) => `DATE(${local})`,
+  week: (local) => `DATE_SUB(DATE(${local}), INTERVAL WEEKDAY(${local}) DAY)`,
+  month: (local) => `DATE_FORMAT(${local}, '%Y-%m-01')`
+};
+
+const DATE_PARAM = /^\d{4}-\d{2}-\d{2}$/;
+const TZ_PARAM = /^[+-](0\d|1[0-4]):[0-5]\d$/;
+
+// Validate stats query parameters, returning an error message or the parsed filters
+function parseStatsQuery(query) {
+  const bucket = query.bucket || 'day';
+  const tz = query.tz || '+00:00';
+  const { from, to } = query;
+
+  if (!STATS_BUCKETS[bucket]) return { error: 'bucket must be one of day, week, month' };
+  if (!TZ_PARAM.test(tz)) return { error: 'tz must be a UTC offset such as +02:00' };
+  if (from && !DATE_PARAM.test(from)) return { error: 'from must be a YYYY-MM-DD date' };
+  if (to && !DATE_PARAM.test(to)) return { error: 'to must be a YYYY-MM-DD date' };
+
+  return { bucket, tz, from: from || null, to: to || null };
+}
+
+// The prompt, OpenAI request adapter and result validation come from the
+// moodspot-shared package (../shared), which the frontend uses too; it is
+// ES modules, so load it lazily
+let analysisModules = null;
+function loadAnalysisModules() {
+  if (!analysisModules) {
+    analysisModules = Promise.all([
+      import('moodspot-shared/analysis/OpenAIAnalysisProvider.js'),
+      import('moodspot-shared/analysis/analysisValidation.js')
+    ]).then(([providerModule, validationModule]) => ({
+      provider: new providerModule.default({ ...OPENAI_CONFIG, retryPolicy: providerModule.BACKEND_RETRY_POLICY }),
+      validateAnalysisResult: validationModule.validateAnalysisResult
+    }));
+  }
+  return analysisModules;
+}
+
+// Drawing features come from the client, so they are normalized with the shared
+// rules (moodspot-shared/utils/drawingFeatures.js) before reaching the prompt
+let drawingFeaturesModule = null;
+function loadDrawingFeaturesModule() {
+  if (!drawingFeaturesModule) {
+    drawingFeaturesModule = import('moodspot-shared/utils/drawingFeatures.js');
+  }
+  return drawingFeaturesModule;
+}
+
+// Feedback validation is shared with the frontend too (moodspot-shared/analysis/moodFeedback.js)
+let feedbackModule = null;
+function loadFeedbackModule() {
+  if (!feedbackModule) {
+    feedbackModule = import('moodspot-shared/analysis/moodFeedback.js');
+  }
+  return feedbackModule;
+}
+
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|webp);base64,/;
+const COORDINATE_PARAM = /^-?\d{1,3}(\.\d+)?$/;
+const PLACE_TYPE_PARAM = /^[a-z_]{1,40}$/;
+
+// Answer 503 for a route whose API key is not set. The code tells clients this
+// apart from an outage, so they can stop offering the feature.
+function sendNotConfigured(res, message) {
+  return res.status(503).json({ error: message, code: 'not_configured' });
+}
+
+// Call a Google Maps web service with the server-side key and pass its JSON through
+async function fetchGoogleMaps(path, params) {
+  const url = new URL(`${GOOGLE_MAPS_BASE_URL}/${path}`);
+  Object.entries({ ...params, key: GOOGLE_PLACES_API_KEY }).forEach(([name, value]) => {
+    url.searchParams.append(name, value);
+  });
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    const error = new Error(`Google Maps API error: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+// Boundaries of the current UTC day and sliding window
+function getQuotaPeriod(now = new Date()) {
+  const dayStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  return {
+    now,
+    dayStart,
+    dayEnd: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000),
+    windowStart: new Date(now.getTime() - QUOTA_WINDOW_SECONDS * 1000)
+  };
+}
+
+// The network a request comes from, for per-network quotas. IPv6 clients
+// usually hold a whole /64, so addresses inside one count as one network.
+function getClientNetwork(req) {
+  const address = (req.ip || '').split('%')[0];
+  const mapped = address.startsWith('::ffff:') ? address.slice(7) : address;
+  if (net.isIPv4(mapped)) return mapped;
+  if (!net.isIPv6(address)) return 'unknown';
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups];
+  return `${groups.slice(0, 4).map((group) => parseInt(group, 16).toString(16)).join(':')}::/64`;
+}
+
+// Count a device's, its network's and everyone's usage of a service for the
+// day and the window. db is the connection or the transaction to read through.
+async function getQuotaUsage(db, caller, service, period) {
+  const day = toSQLTimestampMs(period.dayStart);
+  const window = toSQLTimestampMs(period.windowStart);
+  const since = period.windowStart < period.dayStart ? window : day;
+
+  const rows = await db.execute(
+    `SELECT
+      COALESCE(SUM(device_id = ? AND created_at >= ?), 0) AS device_daily,
+      COALESCE(SUM(device_id = ? AND created_at >= ?), 0) AS device_window,
+      COALESCE(SUM(ip = ? AND created_at >= ?), 0) AS ip_daily,
+      COALESCE(SUM(ip = ? AND created_at >= ?), 0) AS ip_window,
+      COALESCE(SUM(created_at >= ?), 0) AS global_daily,
+      COALESCE(SUM(created_at >= ?), 0) AS global_window,
+      MIN(CASE WHEN device_id = ? AND created_at >= ? THEN created_at END) AS device_window_oldest,
+      MIN(CASE WHEN ip = ? AND created_at >= ? THEN created_at END) AS ip_window_oldest,
+      MIN(CASE WHEN created_at >= ? THEN created_at END) AS global_window_oldest
+    FROM api_usage
+    WHERE service = ? AND created_at >= ?`,
+    [
+      caller.deviceId, day, caller.deviceId, window,
+      caller.ip, day, caller.ip, window,
+      day, window,
+      caller.deviceId, window, caller.ip, window, window,
+      service, since
+    ]
+  );
+  const row = (rows && rows[0]) || {};
+
+  return ['device', 'ip', 'global'].reduce((usage, scope) => {
+    usage[scope] = {
+      daily: parseInt(row[`${scope}_daily`]) || 0,
+      window: parseInt(row[`${scope}_window`]) || 0,
+      windowOldest: fromSQLTimestamp(row[`${scope}_window_oldest`])
+    };
+    return usage;
+  }, {});
+}
+
+// Turn usage counts into the quota view returned to clients, with the number
+// of seconds until every exceeded limit has room again. The headline numbers
+// are the device's, or the network's for quotas without a device limit.
+function buildQuotaStatus(quota, usage, period) {
+  const windowReset = (oldest) => new Date((oldest || period.now).getTime() + QUOTA_WINDOW_SECONDS * 1000);
+  const scopes = ['device', 'ip', 'global'].filter((scope) => quota[scope]);
+  const limits = scopes.flatMap((scope) => [
+    { name: `${scope}-daily`, used: usage[scope].daily, limit: quota[scope].daily, resetAt: period.dayEnd },
+    { name: `${scope}-window`, used: usage[scope].window, limit: quota[scope].window, resetAt: windowReset(usage[scope].windowOldest) }
+  ]);
+  const exceeded = limits.filter((limit) => limit.used >= limit.limit);
+  const resetAt = Math.max(...exceeded.map((limit) => limit.resetAt.getTime()));
+  const own = scopes[0];
+
+  return {
+    used: usage[own].daily,
+    limit: quota[own].daily,
+    remaining: Math.max(0, quota[own].daily - usage[own].daily),
+    window: { used: usage[own].window, limit: quota[own].window, seconds: QUOTA_WINDOW_SECONDS },
+    network: { used: usage.ip.daily, limit: quota.ip.daily },
+    global: { used: usage.global.daily, limit: quota.global.daily },
+    exceeded: exceeded.map((limit) => limit.name),
+    retryAfter: exceeded.length ? Math.max(1, Math.ceil((resetAt - period.now.getTime()) / 1000)) : null
+  };
+}
+
+// Check a caller's quota and record one use if there is room, in one transaction.
+// Locking the service's row makes concurrent requests take turns, so they
+// cannot all pass the same check before any of them is recorded.
+async function recordUsage(caller, service, quota) {
+  const tx = await conn.begin();
+  try {
+    await tx.execute('SELECT service FROM api_quota_locks WHERE service = ? FOR UPDATE', [service]);
+
+    const period = getQuotaPeriod();
+    const status = buildQuotaStatus(quota, await getQuotaUsage(tx, caller, service, period), period);
+    if (status.retryAfter === null) {
+      await tx.execute(
+        'INSERT INTO api_usage (device_id, ip, service, created_at) VALUES (?, ?, ?, ?)',
+        [caller.deviceId, caller.ip, service, toSQLTimestampMs(period.now)]
+      );
+    }
+
+    await tx.commit();
+    return status;
+  } catch (error) {
+    await tx.rollback().catch(() => {});
+    throw error;
+  }
+}
+
+// Answer 429 with Retry-After for a quota that has no room
+function sendQuotaExceeded(res, service, label, status) {
+  res.set('Retry-After', String(status.retryAfter));
+  res.status(429).json({
+    error: `${label} quota exceeded (${status.exceeded.join(', ')}). Please try again in ${status.retryAfter} seconds.`,
+    service,
+    quota: status
+  });
+}
+
+// Record one use of a service for the calling device and network, or answer
+// 429 with Retry-After when a limit is reached. Returns false when the response was sent.
+async function consumeQuota(req, res, service) {
+  try {
+    const caller = { deviceId: req.deviceId, ip: getClientNetwork(req) };
+    const status = await recordUsage(caller, service, QUOTAS[service]);
+
+    if (status.retryAfter !== null) {
+      console.warn('⚠️ Quota exceeded:', { service, exceeded: status.exceeded, deviceId: req.deviceId });
+      sendQuotaExceeded(res, service, QUOTAS[service].label, status);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('❌ Error checking quota:', error);
+    res.status(500).json({ error: 'Failed to check quota' });
+    return false;
+  }
+}
+
+// Drop usage rows that no longer count toward any limit
+async function pruneApiUsage() {
+  try {
+    const cutoff = new Date(Date.now() - USAGE_RETENTION_HOURS * 60 * 60 * 1000);
+    await conn.execute('DELETE FROM api_usage WHERE created_at < ?', [toSQLTimestampMs(cutoff)]);
+  } catch (error) {
+    console.error('❌ Failed to prune API usage:', error);
+  }
+}
+
+// Device tokens are random secrets; only their SHA-256 hash is stored
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Record that a device was seen, at most once per LAST_SEEN_INTERVAL_MS (non-blocking)
+function touchDevice(device) {
+  const lastSeen = fromSQLTimestamp(device.last_seen_at);
+  if (lastSeen && Date.now() - lastSeen.getTime() < LAST_SEEN_INTERVAL_MS) return;
+
+  conn.execute('UPDATE devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [device.id])
+    .catch((error) => console.error('❌ Failed to update device last seen time:', error));
+}
+
+// Resolve the calling device from its bearer token
+async function requireDevice(req, res, next) {
+  try {
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+    if (!token) {
+      return res.status(401).json({ error: 'Missing device token' });
+    }
+
+    const rows = await conn.execute(
+      'SELECT id, last_seen_at FROM devices WHERE token_hash = ?',
+      [hashToken(token)]
+    );
+    const device = rows && rows[0];
+
+    if (!device) {
+      return res.status(401).json({ error: 'Unknown device token' });
+    }
+
+    req.deviceId = device.id;
+    touchDevice(device);
+    next();
+  } catch (error) {
+    console.error('❌ Error verifying device token:', error);
+    res.status(500).json({ error: 'Failed to verify device' });
+  }
+}
+
 // API Routes
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'TiDB Backend API is running' });
 });
 
-app.post('/api/moods', async (req, res) => {
+// Register an anonymous device. Its mood history is reachable only with the
+// returned token: there is no account to recover or move it with, so the
+// client keeps the token through its own resets.
+app.post('/api/devices', async (req, res) => {
+  try {
+    const { sessionId } = req.body || {};
+    const deviceId = crypto.randomUUID();
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const caller = { deviceId, ip: getClientNetwork(req) };
+    const status = await recordUsage(caller, REGISTRATION_SERVICE, REGISTRATION_QUOTA);
+    if (status.retryAfter !== null) {
+      console.warn('⚠️ Device registration limit reached:', { exceeded: status.exceeded });
+      return sendQuotaExceeded(res, REGISTRATION_SERVICE, REGISTRATION_QUOTA.label, status);
+    }
+
+    await conn.execute(
+      'INSERT INTO devices (id, token_hash, session_id) VALUES (?, ?, ?)',
+      [deviceId, hashToken(token), typeof sessionId === 'string' ? sessionId.slice(0, 64) : null]
+    );
+
+    console.log('✅ Device registered:', deviceId);
+    res.status(201).json({ deviceId, token });
+  } catch (error) {
+    console.error('❌ Error registering device:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+app.post('/api/moods', requireDevice, async (req, res) => {
   try {
-    const { mood, confidence } = req.body;
+    const { sessionId, entryId, analysis = {} } = req.body;
+    const mood = req.body.mood || analysis.primaryMood;
+    const confidence = req.body.confidence !== undefined ? req.body.confidence : analysis.confidence;
     
     if (!mood || confidence === undefined) {
       return res.status(400).json({ error: 'Missing mood or confidence' });
     }
+    if (!(await consumeQuota(req, res, 'database'))) return;
+
+    const recommendations = Array.isArray(analysis.recommendations) ? analysis.recommendations : [];
+    const businessCategories = Array.isArray(analysis.businessCategories) ? analysis.businessCategories : [];
+    const processingTime = Number.isFinite(analysis.processingTime) ? Math.round(analysis.processingTime) : null;
+    const isFallback = Boolean(analysis.isFallback || analysis.metadata?.isFallback);
 
     const result = await conn.execute(
-      'INSERT INTO mood_entries (mood, confidence) VALUES (?, ?)',
-      [mood, confidence]
+      `INSERT INTO mood_entries (
+        device_id, session_id, client_entry_id, mood, confidence, description,
+        recommendations, business_categories, processing_time, is_mock_data, is_fallback,
+        analysis, analyzed_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON DUPLICATE KEY UPDATE id = LAST_INSERT_ID(id)`,
+      [
+        req.deviceId,
+        typeof sessionId === 'string' ? sessionId.slice(0, 64) : null,
+        typeof entryId === 'string' ? entryId.slice(0, 64) : null,
+        mood,
+        confidence,
+        typeof analysis.description === 'string' ? analysis.description : null,
+        JSON.stringify(recommendations),
+        JSON.stringify(businessCategories),
+        processingTime,
+        Boolean(analysis.isMockData),
+        isFallback,
+        JSON.stringify(analysis),
+        toSQLTimestamp(analysis.metadata?.timestamp || analysis.timestamp)
+      ]
     );
 
-    console.log('✅ Mood saved:', { mood, confidence });
+    console.log('✅ Mood saved:', { mood, confidence, deviceId: req.deviceId });
     res.json({ success: true, id: result.insertId });
   } catch (error) {
     console.error('❌ Error saving mood:', error);
@@ -68,9 +610,184 @@ app.post('/api/moods', async (req, res) => {
   }
 });
 
-app.get('/api/moods/count', async (req, res) => {
+// Record whether an analysis matched how the user felt, keyed by the client's entry id.
+// Together with the stored analysis this forms a labeled set for judging analysis quality.
+app.put('/api/moods/:entryId/feedback', requireDevice, async (req, res) => {
+  try {
+    const { normalizeMoodFeedback } = await loadFeedbackModule();
+    const entryId = req.params.entryId.slice(0, 64);
+    const feedback = normalizeMoodFeedback(req.body);
+    if (!feedback) {
+      return res.status(400).json({ error: 'agreement must be one of yes, partly, no' });
+    }
+    if (!(await consumeQuota(req, res, 'database'))) return;
+
+    const rows = await conn.execute(
+      'SELECT mood FROM mood_entries WHERE device_id = ? AND client_entry_id = ?',
+      [req.deviceId, entryId]
+    );
+    if (!rows || rows.length === 0) {
+      return res.status(404).json({ error: 'Mood entry not found' });
+    }
+
+    // A correction naming the detected mood is no correction
+    const correctedMood = feedback.correctedMood === rows[0].mood ? null : feedback.correctedMood;
+    await conn.execute(
+      `UPDATE mood_entries SET feedback_agreement = ?, corrected_mood = ?, feedback_at = ?
+       WHERE device_id = ? AND client_entry_id = ?`,
+      [feedback.agreement, correctedMood, toSQLTimestamp(feedback.submittedAt), req.deviceId, entryId]
+    );
+
+    console.log('✅ Mood feedback saved:', { entryId, agreement: feedback.agreement, correctedMood });
+    res.json({ success: true, feedback: { ...feedback, correctedMood } });
+  } catch (error) {
+    console.error('❌ Error saving mood feedback:', error);
+    res.status(500).json({ error: 'Failed to save feedback' });
+  }
+});
+
+// This device's quota usage, so the client can show the server's view
+app.get('/api/quotas', requireDevice, async (req, res) => {
+  try {
+    const period = getQuotaPeriod();
+    const services = {};
+    for (const service of Object.keys(QUOTAS)) {
+      const usage = await getQuotaUsage(conn, { deviceId: req.deviceId, ip: getClientNetwork(req) }, service, period);
+      services[service] = buildQuotaStatus(QUOTAS[service], usage, period);
+    }
+
+    res.json({
+      date: period.dayStart.toISOString().slice(0, 10),
+      resetTime: period.dayEnd.toISOString(),
+      services
+    });
+  } catch (error) {
+    console.error('❌ Error getting quotas:', error);
+    res.status(500).json({ error: 'Failed to get quotas' });
+  }
+});
+
+app.get('/api/moods/stats', requireDevice, async (req, res) => {
+  const filters = parseStatsQuery(req.query);
+  if (filters.error) {
+    return res.status(400).json({ error: filters.error });
+  }
+
+  try {
+    const { bucket, tz, from, to } = filters;
+    // tz is validated against TZ_PARAM, so it is safe to inline
+    const local = `CONVERT_TZ(created_at, '+00:00', '${tz}')`;
+    const bucketExpr = STATS_BUCKETS[bucket](local);
+
+    const conditions = ['device_id = ?', REAL_ENTRIES_CONDITION];
+    const params = [req.deviceId];
+    if (from) {
+      conditions.push(`DATE(${local}) >= ?`);
+      params.push(from);
+    }
+    if (to) {
+      conditions.push(`DATE(${local}) <= ?`);
+      params.push(to);
+    }
+    const where = conditions.join(' AND ');
+
+    const [moodRows, bucketRows, streakRows, heatmapRows] = await Promise.all([
+      conn.execute(
+        `SELECT mood, COUNT(*) AS count, AVG(confidence) AS avg_confidence
+         FROM mood_entries WHERE ${where}
+         GROUP BY mood ORDER BY count DESC, mood`,
+        params
+      ),
+      conn.execute(
+        `WITH bucket_moods AS (
+           SELECT ${bucketExpr} AS bucket, mood, COUNT(*) AS count, AVG(confidence) AS avg_confidence
+           FROM mood_entries WHERE ${where}
+           GROUP BY bucket, mood
+         ), ranked AS (
+           SELECT bucket, mood, count, avg_confidence,
+             ROW_NUMBER() OVER (PARTITION BY bucket ORDER BY count DESC, avg_confidence DESC, mood) AS rank_in_bucket,
+             SUM(count) OVER (PARTITION BY bucket) AS total,
+             SUM(count * avg_confidence) OVER (PARTITION BY bucket) AS confidence_sum
+           FROM bucket_moods
+         )
+         SELECT bucket, mood AS dominant_mood, count AS dominant_count, total, confidence_sum / total AS avg_confidence
+         FROM ranked WHERE rank_in_bucket = 1
+         ORDER BY bucket`,
+        params
+      ),
+      // Streaks always look at the whole history: consecutive logged days form an island
+      conn.execute(
+        `WITH logged_days AS (
+           SELECT DISTINCT DATE(${local}) AS day FROM mood_entries WHERE device_id = ? AND ${REAL_ENTRIES_CONDITION}
+         ), islands AS (
+           SELECT day, DATE_SUB(day, INTERVAL ROW_NUMBER() OVER (ORDER BY day) DAY) AS island
+           FROM logged_days
+         ), streaks AS (
+           SELECT MAX(day) AS last_day, COUNT(*) AS length FROM islands GROUP BY island
+         )
+         SELECT
+           COALESCE(MAX(length), 0) AS longest,
+           COALESCE(MAX(CASE WHEN last_day >= DATE(CONVERT_TZ(UTC_TIMESTAMP(), '+00:00', '${tz}')) - INTERVAL 1 DAY THEN length END), 0) AS current,
+           MAX(last_day) AS last_logged_day
+         FROM streaks`,
+        [req.deviceId]
+      ),
+      conn.execute(
+        `SELECT WEEKDAY(${local}) AS day_of_week, HOUR(${local}) AS hour, COUNT(*) AS count
+         FROM mood_entries WHERE ${where}
+         GROUP BY day_of_week, hour ORDER BY day_of_week, hour`,
+        params
+      )
+    ]);
+
+    const moods = (moodRows || []).map((row) => ({
+      mood: row.mood,
+      count: Number(row.count),
+      averageConfidence: Number(row.avg_confidence)
+    }));
+    const entries = moods.reduce((sum, mood) => sum + mood.count, 0);
+    const streak = (streakRows && streakRows[0]) || {};
+
+    res.json({
+      range: { from, to, bucket, tz },
+      totals: {
+        entries,
+        averageConfidence: entries > 0
+          ? moods.reduce((sum, mood) => sum + mood.averageConfidence * mood.count, 0) / entries
+          : null
+      },
+      moods,
+      buckets: (bucketRows || []).map((row) => ({
+        bucket: toDateString(row.bucket),
+        dominantMood: row.dominant_mood,
+        dominantCount: Number(row.dominant_count),
+        total: Number(row.total),
+        averageConfidence: Number(row.avg_confidence)
+      })),
+      streaks: {
+        current: Number(streak.current || 0),
+        longest: Number(streak.longest || 0),
+        lastLoggedDay: streak.last_logged_day ? toDateString(streak.last_logged_day) : null
+      },
+      // dayOfWeek follows WEEKDAY(): 0 = Monday ... 6 = Sunday
+      heatmap: (heatmapRows || []).map((row) => ({
+        dayOfWeek: Number(row.day_of_week),
+        hour: Number(row.hour),
+        count: Number(row.count)
+      }))
+    });
+  } catch (error) {
+    console.error('❌ Error getting mood stats:', error);
+    res.status(500).json({ error: 'Failed to get mood stats' });
+  }
+});
+
+app.get('/api/moods/count', requireDevice, async (req, res) => {
   try {
-    const result = await conn.execute('SELECT COUNT(*) as count FROM mood_entries');
+    const result = await conn.execute(
+      `SELECT COUNT(*) as count FROM mood_entries WHERE device_id = ? AND ${REAL_ENTRIES_CONDITION}`,
+      [req.deviceId]
+    );
     const count = result[0]?.count || 0;
     res.json({ count: parseInt(count) });
   } catch (error) {
@@ -79,20 +796,142 @@ app.get('/api/moods/count', async (req, res) => {
   }
 });
 
-app.get('/api/moods', async (req, res) => {
+app.get('/api/moods', requireDevice, async (req, res) => {
   try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
     const result = await conn.execute(
-      'SELECT * FROM mood_entries ORDER BY created_at DESC LIMIT 10'
+      `SELECT * FROM mood_entries WHERE device_id = ? ORDER BY created_at DESC LIMIT ${limit} OFFSET ${offset}`,
+      [req.deviceId]
     );
-    res.json({ moods: result || [] });
+    res.json({ moods: (result || []).map(formatMoodRow) });
   } catch (error) {
     console.error('❌ Error getting moods:', error);
     res.status(500).json({ error: 'Failed to get moods' });
   }
 });
 
-// Start server
-app.listen(port, async () => {
-  console.log(`🚀 TiDB Backend API server running at http://localhost:${port}`);
-  await initializeDatabase();
+// Analyze a drawing with OpenAI; the key never leaves the server.
+// With stream: true the model's text is forwarded as NDJSON lines
+// ({ type: 'delta', text }) followed by { type: 'result', analysis } or { type: 'error', error }
+app.post('/api/analyze', requireDevice, async (req, res) => {
+  const { imageData, stream = false } = req.body || {};
+
+  if (typeof imageData !== 'string' || !IMAGE_DATA_URL.test(imageData)) {
+    return res.status(400).json({ error: 'imageData must be a base64 PNG, JPEG or WebP data URL' });
+  }
+  const { normalizeDrawingFeatures } = await loadDrawingFeaturesModule();
+  const rawFeatures = req.body.features ?? null;
+  const features = rawFeatures === null ? null : normalizeDrawingFeatures(rawFeatures);
+  if (rawFeatures !== null && !features) {
+    return res.status(400).json({ error: 'features must be drawing features as measured by the app' });
+  }
+  if (!OPENAI_CONFIG.apiKey) {
+    return sendNotConfigured(res, 'Mood analysis is not configured on the server');
+  }
+  if (!(await consumeQuota(req, res, 'openai'))) return;
+
+  // Headers go out with the first streamed line, so errors before it can still be plain JSON
+  const writeLine = (message) => {
+    if (!res.headersSent) {
+      res.status(200).set({ 'Content-Type': 'application/x-ndjson', 'Cache-Control': 'no-cache' });
+    }
+    res.write(`${JSON.stringify(message)}\n`);
+  };
+
+  // A client that gave up no longer needs the answer, so stop paying for it
+  const upstream = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) upstream.abort();
+  });
+
+  try {
+    const startTime = Date.now();
+    const { provider, validateAnalysisResult } = await loadAnalysisModules();
+    const onText = stream ? (text) => writeLine({ type: 'delta', text }) : null;
+    const analysis = validateAnalysisResult(await provider.analyze({ imageData, features }, { onText, signal: upstream.signal }));
+    analysis.processingTime = Date.now() - startTime;
+
+    console.log('✅ Drawing analyzed:', { mood: analysis.primaryMood, stream: Boolean(stream), deviceId: req.deviceId });
+    if (stream) {
+      writeLine({ type: 'result', analysis });
+      res.end();
+    } else {
+      res.json({ analysis });
+    }
+  } catch (error) {
+    if (upstream.signal.aborted) {
+      console.warn('⚠️ Client disconnected, analysis cancelled:', { deviceId: req.deviceId });
+      return;
+    }
+    console.error('❌ Error analyzing drawing:', error.message);
+    if (res.headersSent) {
+      writeLine({ type: 'error', error: error.message || 'Failed to analyze drawing' });
+      res.end();
+    } else {
+      res.status(502).json({ error: error.message || 'Failed to analyze drawing' });
+    }
+  }
+});
+
+// Nearby places for one place type, proxied to Google Places Nearby Search
+app.get('/api/places', requireDevice, async (req, res) => {
+  const { lat, lng, type } = req.query;
+  const radius = Math.min(Math.max(parseInt(req.query.radius) || 5000, 100), 50000);
+
+  if (!COORDINATE_PARAM.test(lat || '') || !COORDINATE_PARAM.test(lng || '')) {
+    return res.status(400).json({ error: 'lat and lng must be decimal coordinates' });
+  }
+  if (!PLACE_TYPE_PARAM.test(type || '')) {
+    return res.status(400).json({ error: 'type must be a Google Places type such as cafe' });
+  }
+  if (!GOOGLE_PLACES_API_KEY) {
+    return sendNotConfigured(res, 'Places search is not configured on the server');
+  }
+  if (!(await consumeQuota(req, res, 'googlePlaces'))) return;
+
+  try {
+    const data = await fetchGoogleMaps('place/nearbysearch/json', {
+      location: `${lat},${lng}`,
+      radius: String(radius),
+      type
+    });
+    res.json({ status: data.status, results: data.results || [] });
+  } catch (error) {
+    console.error('❌ Error searching places:', error.message);
+    res.status(502).json({ error: 'Failed to search places' });
+  }
+});
+
+// Address to coordinates, proxied to the Google Geocoding API
+app.get('/api/places/geocode', requireDevice, async (req, res) => {
+  const address = typeof req.query.address === 'string' ? req.query.address.trim() : '';
+
+  if (!address || address.length > 200) {
+    return res.status(400).json({ error: 'address is required (max 200 characters)' });
+  }
+  if (!GOOGLE_PLACES_API_KEY) {
+    return sendNotConfigured(res, 'Geocoding is not configured on the server');
+  }
+  if (!(await consumeQuota(req, res, 'googlePlaces'))) return;
+
+  try {
+    const data = await fetchGoogleMaps('geocode/json', { address });
+    res.json({ status: data.status, results: data.results || [] });
+  } catch (error) {
+    console.error('❌ Error geocoding address:', error.message);
+    res.status(502).json({ error: 'Failed to geocode address' });
+  }
 });
+
+// Start server when run directly; tests require the app without listening
+if (require.main === module) {
+  app.listen(port, async () => {
+    console.log(`🚀 TiDB Backend API server running at http://localhost:${port}`);
+    await initializeDatabase();
+    await pruneApiUsage();
+    setInterval(pruneApiUsage, 6 * 60 * 60 * 1000).unref();
+  });
+}
+
+module.exports = { app, QUOTAS, REGISTRATION_QUOTA, hashToken, getClientNetwork };
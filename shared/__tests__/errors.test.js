@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest'
+import {
+  AnalysisError,
+  QuotaExceededError,
+  ProviderHTTPError,
+  InvalidDrawingError,
+  StorageError,
+  RECOVERY_ACTIONS,
+  toProviderError
+} from '../errors.js'
+import { TimeoutError, CircuitOpenError } from '../utils/resilientFetch.js'
+
+describe('analysis errors', () => {
+  it('should name the recovery for each error type', () => {
+    expect(new QuotaExceededError('Quota exceeded', { service: 'openai' }).recovery).toBe(RECOVERY_ACTIONS.WAIT)
+    expect(new ProviderHTTPError('Bad gateway', { provider: 'openai', status: 502 }).recovery).toBe(RECOVERY_ACTIONS.RETRY)
+    expect(new ProviderHTTPError('Not configured', { provider: 'openai', status: 503 }).recovery).toBe(RECOVERY_ACTIONS.OFFLINE)
+    expect(new InvalidDrawingError().recovery).toBe(RECOVERY_ACTIONS.REDRAW)
+    expect(new StorageError('Disk full', { operation: 'saveMoodEntry' })).toBeInstanceOf(AnalysisError)
+  })
+
+  it('should serialize to plain objects for React state', () => {
+    const resetTime = new Date(Date.now() + 60000).toISOString()
+    const error = new QuotaExceededError('Quota exceeded', { service: 'openai', resetTime })
+
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+      type: 'QuotaExceededError',
+      message: 'Quota exceeded',
+      recovery: RECOVERY_ACTIONS.WAIT,
+      service: 'openai',
+      resetTime
+    })
+    expect(error.retryAfter).toBeGreaterThan(55)
+    expect(new QuotaExceededError('Quota exceeded', { service: 'openai' }).retryAfter).toBeNull()
+  })
+
+  it('should wrap failed requests as provider errors', () => {
+    const timeout = toProviderError(new TimeoutError('openai', 100), 'openai')
+    const circuit = toProviderError(new CircuitOpenError('openai', null), 'openai')
+    const offline = toProviderError(new TypeError('Failed to fetch'), 'openai')
+
+    expect(timeout).toBeInstanceOf(ProviderHTTPError)
+    expect(timeout.recovery).toBe(RECOVERY_ACTIONS.RETRY)
+    expect(circuit.recovery).toBe(RECOVERY_ACTIONS.OFFLINE)
+    expect(offline.cause).toBeInstanceOf(TypeError)
+  })
+
+  it('should pass through typed errors and caller aborts', () => {
+    const quota = new QuotaExceededError('Quota exceeded', { service: 'openai' })
+    const abort = new DOMException('Aborted', 'AbortError')
+
+    expect(toProviderError(quota, 'openai')).toBe(quota)
+    expect(toProviderError(abort, 'openai')).toBe(abort)
+  })
+})
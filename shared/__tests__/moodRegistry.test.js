@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MOODS,
+  MOOD_REGISTRY,
+  resolveMood,
+  getMoodEmoji,
+  getMoodColor,
+  getAdviceCategoriesForMood,
+  getPlaceTypesForMood,
+  getRelatedMoods
+} from '../moodRegistry.js'
+
+describe('moodRegistry', () => {
+  it('should define all 15 moods with complete entries', () => {
+    expect(MOODS).toHaveLength(15)
+
+    MOODS.forEach(mood => {
+      const definition = MOOD_REGISTRY[mood]
+      expect(definition.emoji).toBeTruthy()
+      expect(definition.color).toMatch(/^#[0-9A-F]{6}$/i)
+      expect(definition.adviceCategories.length).toBeGreaterThan(0)
+      expect(definition.placeTypes.length).toBeGreaterThan(0)
+      definition.relatedMoods.forEach(related => expect(MOODS).toContain(related))
+    })
+  })
+
+  it('should resolve exact moods, synonyms and partial matches', () => {
+    expect(resolveMood('Happy')).toBe('happy')
+    expect(resolveMood('worried')).toBe('anxious')
+    expect(resolveMood('stressed')).toBe('overwhelmed')
+    expect(resolveMood('very frustrated')).toBe('frustrated')
+    expect(resolveMood('bewildered')).toBeNull()
+    expect(resolveMood('')).toBeNull()
+    expect(resolveMood(undefined)).toBeNull()
+  })
+
+  it('should fall back to defaults for unknown moods', () => {
+    expect(getMoodEmoji('unknown')).toBe('😐')
+    expect(getMoodColor('unknown')).toBe('#808080')
+    expect(getAdviceCategoriesForMood('unknown')).toEqual(['mixed'])
+    expect(getPlaceTypesForMood('unknown')).toEqual(['restaurant', 'cafe', 'park', 'shopping_mall'])
+    expect(getRelatedMoods('unknown')).toEqual([])
+  })
+
+  it('should resolve synonyms to the same entry as the mood', () => {
+    expect(getMoodColor('nervous')).toBe(getMoodColor('anxious'))
+    expect(getPlaceTypesForMood('exhausted')).toEqual(getPlaceTypesForMood('tired'))
+  })
+})
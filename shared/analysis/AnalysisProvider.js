@@ -0,0 +1,42 @@
+/**
+ * AnalysisProvider
+ * Base class for the backends that turn a drawing into a mood analysis.
+ * Providers return raw analyses; MoodAnalysisService runs every result through
+ * the shared validation in analysisValidation.js.
+ */
+
+class AnalysisProvider {
+  /**
+   * @param {Object} config - Provider settings
+   * @param {string} config.name - Provider name shown in logs and status
+   * @param {boolean} config.usesQuota - Whether calls count against the OpenAI daily quota
+   */
+  constructor({ name, usesQuota = false } = {}) {
+    this.name = name
+    this.usesQuota = usesQuota
+  }
+
+  /**
+   * Whether the provider has everything it needs (keys, URLs) to run
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true
+  }
+
+  /**
+   * Analyze a drawing
+   * @param {Object} input - { imageData, features }
+   * @param {string} input.imageData - Drawing as a data URL
+   * @param {Object} input.features - Locally measured drawing features, if any
+   * @param {Object} options - Streaming options
+   * @param {Function} options.onText - Called with each text delta by providers that
+   *   stream the model's response; others ignore it and resolve with the whole result
+   * @returns {Promise<Object>} Raw analysis ({ primaryMood, confidence, description, emotions, recommendations })
+   */
+  async analyze(input, options = {}) {
+    throw new Error(`${this.name} provider does not implement analyze()`)
+  }
+}
+
+export default AnalysisProvider
@@ -0,0 +1,209 @@
+/**
+ * OpenAIAnalysisProvider
+ * Vision analysis over the OpenAI chat/completions API. Also used for any
+ * OpenAI-compatible server (e.g. a self-hosted vision model) via baseUrl.
+ */
+
+import AnalysisProvider from './AnalysisProvider.js'
+import { buildAnalysisPrompt } from './analysisPrompt.js'
+import { extractAnalysisJSON } from './analysisValidation.js'
+import { readLines } from '../utils/streamLines.js'
+import { resilientFetch } from '../utils/resilientFetch.js'
+import { ProviderHTTPError, ResponseParseError, toProviderError } from '../errors.js'
+
+// Timeouts and retries for the backend's OpenAI calls. The app's own timeout for
+// /api/analyze is derived from it, so the backend always answers first.
+export const BACKEND_RETRY_POLICY = { timeoutMs: 45000, retries: 1 }
+
+class OpenAIAnalysisProvider extends AnalysisProvider {
+  /**
+   * @param {Object} config - Provider settings
+   * @param {string} config.label - Human-readable name used in error messages
+   * @param {string} config.baseUrl - API root, e.g. https://api.openai.com/v1
+   * @param {string} config.model - Vision-capable chat model
+   * @param {string} config.apiKey - Bearer token; optional for compatible servers
+   * @param {boolean} config.requiresApiKey - Whether the provider is unusable without a key
+   * @param {number} config.maxTokens - Response token limit
+   * @param {number} config.temperature - Sampling temperature
+   * @param {string} config.imageDetail - Vision detail level ('low' keeps costs down)
+   * @param {Object} config.retryPolicy - Timeout and retry overrides for resilientFetch
+   */
+  constructor({
+    name = 'openai',
+    label = 'OpenAI',
+    baseUrl,
+    model,
+    apiKey = null,
+    requiresApiKey = true,
+    maxTokens,
+    temperature,
+    imageDetail = 'low',
+    usesQuota = true,
+    retryPolicy = { timeoutMs: 60000 }
+  } = {}) {
+    super({ name, usesQuota })
+    this.label = label
+    this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : null
+    this.model = model
+    this.apiKey = apiKey
+    this.requiresApiKey = requiresApiKey
+    this.maxTokens = maxTokens
+    this.temperature = temperature
+    this.imageDetail = imageDetail
+    this.retryPolicy = retryPolicy
+  }
+
+  isAvailable() {
+    return Boolean(this.baseUrl && this.model && (this.apiKey || !this.requiresApiKey))
+  }
+
+  /**
+   * Build the chat/completions request for a drawing
+   * @param {Object} input - { imageData, features }
+   * @param {Object} options - { stream } to request server-sent event chunks
+   * @returns {{url: string, options: Object}} fetch arguments
+   */
+  buildRequest({ imageData, features }, { stream = false } = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'text',
+              text: buildAnalysisPrompt(features)
+            },
+            {
+              type: 'image_url',
+              image_url: {
+                url: imageData,
+                detail: this.imageDetail
+              }
+            }
+          ]
+        }
+      ],
+      max_tokens: this.maxTokens,
+      temperature: this.temperature
+    }
+    if (stream) {
+      requestBody.stream = true
+    }
+
+    const headers = { 'Content-Type': 'application/json' }
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`
+    }
+
+    return {
+      url: `${this.baseUrl}/chat/completions`,
+      options: {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(requestBody)
+      }
+    }
+  }
+
+  /**
+   * Pull the analysis object out of a chat/completions response body
+   * @param {Object} data - Parsed response JSON
+   * @returns {Object} Raw analysis
+   * @throws {ResponseParseError} When the response holds no analysis
+   */
+  parseResponse(data) {
+    const content = data?.choices?.[0]?.message?.content
+    if (typeof content !== 'string') {
+      throw new ResponseParseError(`Invalid response format from ${this.label} API`, { provider: this.name })
+    }
+
+    return this.parseContent(content)
+  }
+
+  /**
+   * Parse the analysis object out of the model's full text
+   * @param {string} content - Message content
+   * @returns {Object} Raw analysis
+   * @throws {ResponseParseError} When the text holds no JSON object
+   */
+  parseContent(content) {
+    try {
+      return extractAnalysisJSON(content)
+    } catch (parseError) {
+      console.error(`❌ Failed to parse ${this.label} response:`, {
+        error: parseError.message,
+        content: content.substring(0, 200) + '...'
+      })
+      throw new ResponseParseError(`Failed to parse mood analysis response: ${parseError.message}`, {
+        provider: this.name,
+        cause: parseError
+      })
+    }
+  }
+
+  /**
+   * Read a streamed chat/completions response, passing on each text delta
+   * @param {Response} response - Streaming fetch response
+   * @param {Function} onText - Called with each text delta
+   * @returns {Promise<string>} Full message content
+   */
+  async readStream(response, onText) {
+    let content = ''
+
+    await readLines(response, line => {
+      if (!line.startsWith('data:')) return
+
+      const data = line.slice(5).trim()
+      if (!data || data === '[DONE]') return
+
+      let chunk
+      try {
+        chunk = JSON.parse(data)
+      } catch (parseError) {
+        throw new ResponseParseError(`Malformed ${this.label} stream chunk`, { provider: this.name, cause: parseError })
+      }
+
+      const delta = chunk.choices?.[0]?.delta?.content
+      if (delta) {
+        content += delta
+        onText(delta)
+      }
+    })
+
+    if (!content) {
+      throw new ResponseParseError(`${this.label} stream ended without any content`, { provider: this.name })
+    }
+    return content
+  }
+
+  /**
+   * @param {AbortSignal} options.signal - Cancels the request, including a streamed body
+   * @throws {ProviderHTTPError} When the request fails or gets an error status
+   * @throws {ResponseParseError} When the response holds no analysis
+   */
+  async analyze(input, { onText = null, signal = null } = {}) {
+    const { url, options } = this.buildRequest(input, { stream: Boolean(onText) })
+    let response
+    try {
+      response = await resilientFetch(this.name, url, signal ? { ...options, signal } : options, this.retryPolicy)
+    } catch (error) {
+      throw toProviderError(error, this.name)
+    }
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}))
+      throw new ProviderHTTPError(`${this.label} API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`, {
+        provider: this.name,
+        status: response.status
+      })
+    }
+
+    if (onText) {
+      return this.parseContent(await this.readStream(response, onText))
+    }
+    return this.parseResponse(await response.json())
+  }
+}
+
+export default OpenAIAnalysisProvider
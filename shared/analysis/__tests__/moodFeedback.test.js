@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { FEEDBACK_AGREEMENT, normalizeMoodFeedback, getEffectiveMood } from '../moodFeedback.js'
+
+describe('moodFeedback', () => {
+  it('should keep a corrected mood from the 15-mood list', () => {
+    const feedback = normalizeMoodFeedback({ agreement: FEEDBACK_AGREEMENT.NO, correctedMood: 'Sad' }, 'happy')
+
+    expect(feedback).toMatchObject({ agreement: 'no', correctedMood: 'sad' })
+    expect(Date.parse(feedback.submittedAt)).not.toBeNaN()
+  })
+
+  it('should drop corrections that are unknown, unchanged or contradict agreement', () => {
+    expect(normalizeMoodFeedback({ agreement: 'partly', correctedMood: 'hangry' }, 'happy').correctedMood).toBeNull()
+    expect(normalizeMoodFeedback({ agreement: 'no', correctedMood: 'happy' }, 'happy').correctedMood).toBeNull()
+    expect(normalizeMoodFeedback({ agreement: 'yes', correctedMood: 'sad' }, 'happy').correctedMood).toBeNull()
+  })
+
+  it('should reject feedback without a valid agreement rating', () => {
+    expect(normalizeMoodFeedback(null)).toBeNull()
+    expect(normalizeMoodFeedback({ agreement: 'maybe' })).toBeNull()
+  })
+
+  it('should prefer the corrected mood for history entries', () => {
+    const analysis = { primaryMood: 'happy' }
+
+    expect(getEffectiveMood({ analysis })).toBe('happy')
+    expect(getEffectiveMood({ analysis, feedback: { agreement: 'no', correctedMood: 'tired' } })).toBe('tired')
+  })
+})
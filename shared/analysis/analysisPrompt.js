@@ -0,0 +1,78 @@
+/**
+ * Analysis Prompt
+ * The art-therapist prompt shared by every chat-style analysis provider
+ */
+
+import { MOODS } from '../moodRegistry.js'
+import { formatFeaturesForPrompt } from '../utils/drawingFeatures.js'
+
+/**
+ * Build the analysis prompt, including measured drawing features when available
+ * @param {Object} features - Locally measured drawing features (utils/drawingFeatures.js)
+ * @returns {string} Prompt text
+ */
+export function buildAnalysisPrompt(features = null) {
+  const measurements = formatFeaturesForPrompt(features)
+  const measurementsSection = measurements ? `
+MEASURED DRAWING FEATURES:
+These were computed locally from the canvas pixels and the recorded pen strokes. The image you see is a low-resolution preview, so prefer these measurements for pressure, speed, jaggedness, coverage and color:
+${measurements}
+` : ''
+
+  return `You are an expert art therapist analyzing a drawing to determine the creator's emotional state. Analyze this drawing carefully based on these visual elements:
+
+VISUAL ANALYSIS CRITERIA:
+- Line quality: smooth/jagged, light/heavy pressure, continuous/broken strokes, fast/slow execution
+- Color palette: dark/bright, warm/cool tones, monochromatic/diverse, color intensity
+- Shapes and forms: angular/curved, geometric/organic, large/small, simple/complex
+- Composition: balanced/unbalanced, centered/scattered, full/sparse, organized/chaotic
+- Drawing style: detailed/sketchy, realistic/abstract, controlled/expressive
+${measurementsSection}
+MOOD CLASSIFICATION:
+You must classify the PRIMARY mood as exactly ONE of these 15 categories:
+${MOODS.join(', ')}
+
+CRITICAL INSTRUCTIONS:
+- Analyze the ACTUAL visual elements - do NOT default to "happy"
+- Different line qualities indicate different emotions (jagged = anxiety/anger, flowing = calm/happy)
+- Dark colors often indicate sadness/anxiety, bright colors suggest energy/happiness
+- Chaotic compositions may show overwhelm/anxiety, organized ones suggest calm/confidence
+- Heavy pressure/bold strokes can indicate strong emotions (anger, excitement, confidence)
+- Light, tentative strokes may suggest uncertainty, sadness, or tiredness
+
+EMOTION BREAKDOWN:
+- Drawings often carry more than one feeling. List up to 3 SECONDARY emotions you also see, ranked from strongest to weakest
+- Secondary emotions must also be from the 15 categories above and must differ from the primary mood
+- Give every emotion an intensity between 0 and 1; include the primary mood first with its own intensity
+
+REQUIRED JSON OUTPUT FORMAT (respond with ONLY this JSON, no other text):
+{
+  "primaryMood": "one_of_the_15_words_exactly",
+  "confidence": 0.85,
+  "description": "Specific analysis of visual elements that led to this mood classification",
+  "emotions": [
+    { "name": "primary_mood_word", "intensity": 0.8 },
+    { "name": "secondary_mood_word", "intensity": 0.45 },
+    { "name": "another_mood_word", "intensity": 0.2 }
+  ],
+  "recommendations": [
+    {
+      "title": "Actionable wellness advice title",
+      "description": "Detailed explanation of how this helps with the detected mood",
+      "icon": "relevant_emoji"
+    },
+    {
+      "title": "Second wellness recommendation",
+      "description": "Another specific suggestion tailored to this mood",
+      "icon": "relevant_emoji"
+    },
+    {
+      "title": "Third personalized advice",
+      "description": "Additional mood-specific guidance",
+      "icon": "relevant_emoji"
+    }
+  ]
+}
+
+Remember: Respond with ONLY valid JSON. No additional text before or after.`
+}
@@ -0,0 +1,143 @@
+/**
+ * Analysis Validation
+ * Shared checks every analysis provider's output goes through, so the rest of
+ * the app can rely on one result shape whatever produced it
+ */
+
+import { MOODS, resolveMood } from '../moodRegistry.js'
+import { ResponseParseError } from '../errors.js'
+
+// Maximum number of emotions kept in the ranked breakdown, primary included
+export const MAX_EMOTIONS = 4
+
+// Maximum number of recommendations kept from a response
+const MAX_RECOMMENDATIONS = 4
+
+// Stands in for a missing or out-of-range confidence; such results are flagged
+// confidenceDefaulted so calibration does not mistake it for the model's own
+const DEFAULT_CONFIDENCE = 0.75
+
+/**
+ * Parse the JSON object out of a model's text response
+ * Tolerates prose or code fences around the object
+ * @param {string} content - Raw response text
+ * @returns {Object} Parsed object
+ */
+export function extractAnalysisJSON(content) {
+  const text = String(content || '').trim()
+  const jsonStart = text.indexOf('{')
+  const jsonEnd = text.lastIndexOf('}')
+
+  const jsonContent = jsonStart !== -1 && jsonEnd > jsonStart
+    ? text.substring(jsonStart, jsonEnd + 1)
+    : text
+
+  return JSON.parse(jsonContent)
+}
+
+/**
+ * Whether an analysis was made up rather than read from a drawing:
+ * demo data from the mock provider, or a fallback shown after a failure
+ * @param {Object} analysis - Analysis result
+ * @returns {boolean}
+ */
+export function isSyntheticAnalysis(analysis) {
+  return Boolean(analysis && (analysis.isMockData || analysis.isFallback || analysis.metadata?.isFallback))
+}
+
+/**
+ * Validate and rank the emotion breakdown from an analysis response
+ * Names are mapped onto the 15-mood vocabulary, intensities clamped to 0-1,
+ * duplicates merged, and the primary mood is always present
+ * @param {Array} emotions - Raw emotions ({ name, intensity })
+ * @param {string} primaryMood - Validated primary mood
+ * @param {number} confidence - Primary mood confidence, used when the response omits it
+ * @returns {Array} Emotions sorted by intensity, strongest first
+ */
+export function normalizeEmotions(emotions, primaryMood, confidence) {
+  const intensities = new Map()
+
+  if (Array.isArray(emotions)) {
+    emotions.forEach(emotion => {
+      if (!emotion || typeof emotion.name !== 'string') return
+
+      const name = resolveMood(emotion.name)
+      const intensity = Number(emotion.intensity)
+      if (!name || !Number.isFinite(intensity) || intensity <= 0) return
+
+      intensities.set(name, Math.max(intensities.get(name) || 0, Math.min(intensity, 1)))
+    })
+  }
+
+  if (!intensities.has(primaryMood)) {
+    intensities.set(primaryMood, confidence)
+  }
+
+  const [primary, ...secondary] = [
+    { name: primaryMood, intensity: intensities.get(primaryMood) },
+    ...Array.from(intensities.entries())
+      .filter(([name]) => name !== primaryMood)
+      .map(([name, intensity]) => ({ name, intensity }))
+      .sort((a, b) => b.intensity - a.intensity)
+  ]
+
+  return [primary, ...secondary.slice(0, MAX_EMOTIONS - 1)]
+    .map(emotion => ({ ...emotion, intensity: Math.round(emotion.intensity * 100) / 100 }))
+}
+
+/**
+ * Validate a provider's analysis and normalize it to the app's result shape
+ * Unknown extra fields (flags such as isMockData) are kept
+ * @param {Object} analysis - Raw analysis from a provider
+ * @returns {Object} Validated analysis; confidenceDefaulted is true when the provider gave no usable confidence
+ * @throws {ResponseParseError} When required fields are missing
+ */
+export function validateAnalysisResult(analysis) {
+  if (!analysis || typeof analysis !== 'object') {
+    throw new ResponseParseError('Analysis result must be an object')
+  }
+
+  if (!analysis.primaryMood || typeof analysis.primaryMood !== 'string') {
+    throw new ResponseParseError('Missing or invalid primaryMood field')
+  }
+
+  if (!analysis.description || typeof analysis.description !== 'string') {
+    throw new ResponseParseError('Missing or invalid description field')
+  }
+
+  // The primary mood must be one of the expected 15 moods
+  const normalizedMood = analysis.primaryMood.toLowerCase().trim()
+  let primaryMood = normalizedMood
+  if (!MOODS.includes(normalizedMood)) {
+    console.warn(`Invalid mood detected: ${analysis.primaryMood}, defaulting to closest match`)
+    // Find closest match or default to 'creative'
+    primaryMood = resolveMood(normalizedMood) || 'creative'
+  }
+
+  const recommendations = (Array.isArray(analysis.recommendations) ? analysis.recommendations : [])
+    .filter(rec => rec && typeof rec === 'object' && rec.title && rec.description)
+    .slice(0, MAX_RECOMMENDATIONS)
+    .map(rec => ({
+      title: String(rec.title).trim(),
+      description: String(rec.description).trim(),
+      icon: rec.icon || '💡'
+    }))
+
+  // A result validated before (by the backend) may already carry the stand-in confidence
+  const hasConfidence = typeof analysis.confidence === 'number' && analysis.confidence >= 0 && analysis.confidence <= 1
+  const confidenceDefaulted = analysis.confidenceDefaulted === true || !hasConfidence
+  if (!hasConfidence) {
+    console.warn(`Invalid confidence: ${analysis.confidence}, using ${DEFAULT_CONFIDENCE}`)
+  }
+  const confidence = confidenceDefaulted ? DEFAULT_CONFIDENCE : analysis.confidence
+
+  return {
+    ...analysis,
+    primaryMood,
+    description: analysis.description.trim(),
+    confidence,
+    confidenceDefaulted,
+    recommendations,
+    emotions: normalizeEmotions(analysis.emotions, primaryMood, confidence)
+  }
+}
@@ -0,0 +1,49 @@
+/**
+ * Mood Feedback
+ * What users say about an analysis: whether the detected mood matched how they
+ * felt, and optionally the mood they actually felt. Shared with the backend,
+ * which validates feedback with the same rules before storing it.
+ */
+
+import { MOODS } from '../moodRegistry.js'
+
+// How well the detected primary mood matched how the user felt
+export const FEEDBACK_AGREEMENT = {
+  YES: 'yes',
+  PARTLY: 'partly',
+  NO: 'no'
+}
+
+const AGREEMENT_VALUES = Object.values(FEEDBACK_AGREEMENT)
+
+/**
+ * Validate feedback on an analysis
+ * A corrected mood is only kept when it is one of the 15 moods and the user
+ * did not fully agree; agreeing makes the detected mood the answer.
+ * @param {Object} feedback - { agreement, correctedMood }
+ * @param {string} detectedMood - The analysis's primary mood, if known
+ * @returns {Object|null} { agreement, correctedMood, submittedAt }, or null when invalid
+ */
+export function normalizeMoodFeedback(feedback, detectedMood = null) {
+  if (!feedback || !AGREEMENT_VALUES.includes(feedback.agreement)) return null
+
+  const mood = typeof feedback.correctedMood === 'string' ? feedback.correctedMood.toLowerCase().trim() : null
+  const correctedMood = feedback.agreement !== FEEDBACK_AGREEMENT.YES && MOODS.includes(mood) && mood !== detectedMood
+    ? mood
+    : null
+
+  const submittedAt = feedback.submittedAt && !Number.isNaN(Date.parse(feedback.submittedAt))
+    ? new Date(feedback.submittedAt).toISOString()
+    : new Date().toISOString()
+
+  return { agreement: feedback.agreement, correctedMood, submittedAt }
+}
+
+/**
+ * The mood to show for a mood history entry: the user's correction when there is one
+ * @param {Object} entry - Mood history entry ({ analysis, feedback })
+ * @returns {string|null} Mood name
+ */
+export function getEffectiveMood(entry) {
+  return entry?.feedback?.correctedMood || entry?.analysis?.primaryMood || null
+}
@@ -0,0 +1,160 @@
+/**
+ * Error Taxonomy
+ * Typed errors for the analysis pipeline. Each one names the recovery the UI
+ * should offer, so screens never have to match on error messages.
+ * Shared with the backend, so this module must not depend on browser-only APIs.
+ */
+
+// What the user can do about a failure
+export const RECOVERY_ACTIONS = {
+  WAIT: 'wait', // Try again once the quota resets
+  RETRY: 'retry', // Send the same drawing again
+  OFFLINE: 'offline', // Switch to on-device analysis
+  REDRAW: 'redraw' // The drawing itself cannot be analyzed
+}
+
+/**
+ * Base class for errors the analysis pipeline knows how to recover from
+ */
+export class AnalysisError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options
+   * @param {string} options.recovery - One of RECOVERY_ACTIONS
+   * @param {Error} options.cause - Underlying error, when wrapping one
+   */
+  constructor(message, { recovery = RECOVERY_ACTIONS.RETRY, cause = null } = {}) {
+    super(message)
+    this.name = 'AnalysisError'
+    this.recovery = recovery
+    this.cause = cause
+  }
+
+  /**
+   * Plain-object form for React state and sessionStorage
+   * @returns {Object} { type, message, recovery, ... }
+   */
+  toJSON() {
+    return { type: this.name, message: this.message, recovery: this.recovery }
+  }
+}
+
+/**
+ * A service's daily or per-minute quota is used up
+ */
+export class QuotaExceededError extends AnalysisError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options
+   * @param {string} options.service - Quota service, e.g. openai
+   * @param {string|null} options.resetTime - ISO timestamp when requests are allowed again
+   * @param {Object|null} options.quota - The quota status that was exceeded
+   */
+  constructor(message, { service, resetTime = null, quota = null, cause = null } = {}) {
+    super(message, { recovery: RECOVERY_ACTIONS.WAIT, cause })
+    this.name = 'QuotaExceededError'
+    this.service = service
+    this.resetTime = resetTime
+    this.quota = quota
+  }
+
+  /**
+   * Seconds until the quota resets, or null when unknown
+   * @returns {number|null}
+   */
+  get retryAfter() {
+    if (!this.resetTime) return null
+    return Math.max(0, Math.ceil((Date.parse(this.resetTime) - Date.now()) / 1000))
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), service: this.service, resetTime: this.resetTime }
+  }
+}
+
+/**
+ * An analysis provider or the backend answered with an error status
+ * Without a status the request never got an answer (network error, timeout).
+ * Unavailable services (503, or an open circuit) suggest switching to offline analysis.
+ */
+export class ProviderHTTPError extends AnalysisError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options
+   * @param {string} options.provider - Provider or service name
+   * @param {number|null} options.status - HTTP status
+   * @param {boolean} options.unavailable - Whether the service is down rather than failing this request
+   * @param {string|null} options.code - Reason given by the backend, e.g. not_configured
+   */
+  constructor(message, { provider, status = null, unavailable = status === 503, code = null, cause = null } = {}) {
+    super(message, { recovery: unavailable ? RECOVERY_ACTIONS.OFFLINE : RECOVERY_ACTIONS.RETRY, cause })
+    this.name = 'ProviderHTTPError'
+    this.provider = provider
+    this.status = status
+    this.code = code
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), provider: this.provider, status: this.status, code: this.code }
+  }
+}
+
+/**
+ * A provider answered, but not with a usable analysis
+ */
+export class ResponseParseError extends AnalysisError {
+  constructor(message, { provider = null, cause = null } = {}) {
+    super(message, { recovery: RECOVERY_ACTIONS.RETRY, cause })
+    this.name = 'ResponseParseError'
+    this.provider = provider
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), provider: this.provider }
+  }
+}
+
+/**
+ * The drawing is missing or cannot be exported for analysis
+ */
+export class InvalidDrawingError extends AnalysisError {
+  constructor(message = 'Invalid drawing data provided', { cause = null } = {}) {
+    super(message, { recovery: RECOVERY_ACTIONS.REDRAW, cause })
+    this.name = 'InvalidDrawingError'
+  }
+}
+
+/**
+ * Local persistence (IndexedDB) failed or is over its operation quota
+ */
+export class StorageError extends AnalysisError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} options
+   * @param {string} options.operation - What was being stored, e.g. saveMoodEntry
+   */
+  constructor(message, { operation = null, cause = null } = {}) {
+    super(message, { recovery: RECOVERY_ACTIONS.RETRY, cause })
+    this.name = 'StorageError'
+    this.operation = operation
+  }
+
+  toJSON() {
+    return { ...super.toJSON(), operation: this.operation }
+  }
+}
+
+/**
+ * Wrap a failed request to a provider (network error, timeout, open circuit)
+ * Aborts the caller asked for and errors that are already typed pass through
+ * @param {Error} error - Error the fetch rejected with
+ * @param {string} provider - Provider or service that was being called
+ * @returns {Error} ProviderHTTPError without a status, or the original error
+ */
+export function toProviderError(error, provider) {
+  if (error instanceof AnalysisError || error?.name === 'AbortError') return error
+
+  // An open circuit means the service has been failing for a while
+  const unavailable = error?.name === 'CircuitOpenError'
+  return new ProviderHTTPError(error?.message || `${provider} request failed`, { provider, unavailable, cause: error })
+}
@@ -0,0 +1,208 @@
+/**
+ * MoodSpot Mood Registry
+ * Single source of truth for the 15 moods: synonyms, emoji, color,
+ * advice categories and place types
+ */
+
+export const MOOD_REGISTRY = {
+  happy: {
+    emoji: '😊',
+    color: '#FFD700',
+    synonyms: ['joyful', 'cheerful', 'content', 'glad'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['restaurant', 'amusement_park', 'shopping_mall', 'cafe'],
+    relatedMoods: ['excited', 'peaceful', 'confident']
+  },
+  sad: {
+    emoji: '😢',
+    color: '#6495ED',
+    synonyms: ['depressed', 'melancholy', 'down', 'unhappy', 'sadness'],
+    adviceCategories: ['sadness'],
+    placeTypes: ['cafe', 'bookstore', 'spa', 'park'],
+    relatedMoods: ['lonely', 'tired', 'overwhelmed']
+  },
+  anxious: {
+    emoji: '😰',
+    color: '#FF6B6B',
+    synonyms: ['worried', 'nervous', 'anxiety', 'afraid', 'scared', 'fearful'],
+    adviceCategories: ['anxiety', 'fear'],
+    placeTypes: ['spa', 'park', 'gym', 'library'],
+    relatedMoods: ['overwhelmed', 'frustrated', 'tired']
+  },
+  calm: {
+    emoji: '😌',
+    color: '#87CEEB',
+    synonyms: ['relaxed', 'composed', 'steady'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['park', 'library', 'spa', 'cafe'],
+    relatedMoods: ['peaceful', 'confident', 'creative']
+  },
+  creative: {
+    emoji: '🎨',
+    color: '#FF69B4',
+    synonyms: ['artistic', 'imaginative', 'playful'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['art_gallery', 'bookstore', 'cafe', 'museum'],
+    relatedMoods: ['inspired', 'excited', 'calm']
+  },
+  energetic: {
+    emoji: '⚡',
+    color: '#32CD32',
+    synonyms: ['lively', 'vigorous', 'active'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['gym', 'sports_complex', 'amusement_park'],
+    relatedMoods: ['excited', 'confident', 'happy']
+  },
+  tired: {
+    emoji: '😴',
+    color: '#9370DB',
+    synonyms: ['exhausted', 'weary', 'sleepy', 'drained'],
+    adviceCategories: ['stress', 'sadness'],
+    placeTypes: ['spa', 'cafe', 'park'],
+    relatedMoods: ['sad', 'overwhelmed', 'calm']
+  },
+  angry: {
+    emoji: '😠',
+    color: '#DC143C',
+    synonyms: ['mad', 'furious', 'anger', 'enraged'],
+    adviceCategories: ['anger', 'stress'],
+    placeTypes: ['gym', 'park', 'sports_complex'],
+    relatedMoods: ['frustrated', 'overwhelmed', 'energetic']
+  },
+  excited: {
+    emoji: '🤩',
+    color: '#FF6B35',
+    synonyms: ['elated', 'thrilled', 'enthusiastic'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['amusement_park', 'shopping_mall', 'restaurant', 'movie_theater'],
+    relatedMoods: ['happy', 'energetic', 'inspired']
+  },
+  peaceful: {
+    emoji: '☮️',
+    color: '#98FB98',
+    synonyms: ['serene', 'tranquil', 'contemplative'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['park', 'spa', 'library', 'museum'],
+    relatedMoods: ['calm', 'happy', 'tired']
+  },
+  confident: {
+    emoji: '💪',
+    color: '#FF8C00',
+    synonyms: ['sure', 'self-assured', 'bold'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['gym', 'restaurant', 'shopping_mall', 'bowling_alley'],
+    relatedMoods: ['energetic', 'happy', 'inspired']
+  },
+  overwhelmed: {
+    emoji: '🤯',
+    color: '#FF4444',
+    synonyms: ['stressed', 'swamped', 'stress', 'overloaded'],
+    adviceCategories: ['stress', 'anxiety'],
+    placeTypes: ['spa', 'park', 'library', 'cafe'],
+    relatedMoods: ['anxious', 'tired', 'frustrated']
+  },
+  lonely: {
+    emoji: '😔',
+    color: '#708090',
+    synonyms: ['isolated', 'alone', 'disconnected'],
+    adviceCategories: ['sadness'],
+    placeTypes: ['cafe', 'restaurant', 'shopping_mall', 'community_center'],
+    relatedMoods: ['sad', 'tired', 'anxious']
+  },
+  frustrated: {
+    emoji: '😤',
+    color: '#CD5C5C',
+    synonyms: ['annoyed', 'irritated', 'stuck'],
+    adviceCategories: ['anger', 'stress'],
+    placeTypes: ['gym', 'park', 'bowling_alley', 'spa'],
+    relatedMoods: ['angry', 'anxious', 'tired']
+  },
+  inspired: {
+    emoji: '✨',
+    color: '#DA70D6',
+    synonyms: ['motivated', 'uplifted', 'hopeful'],
+    adviceCategories: ['happiness'],
+    placeTypes: ['museum', 'art_gallery', 'library', 'bookstore'],
+    relatedMoods: ['creative', 'excited', 'confident']
+  }
+}
+
+// The 15 moods the analysis may classify a drawing as
+export const MOODS = Object.keys(MOOD_REGISTRY)
+
+export const DEFAULT_MOOD_EMOJI = '😐'
+export const DEFAULT_MOOD_COLOR = '#808080'
+export const DEFAULT_ADVICE_CATEGORIES = ['mixed']
+export const DEFAULT_PLACE_TYPES = ['restaurant', 'cafe', 'park', 'shopping_mall']
+
+/**
+ * Resolve any mood word to one of the 15 registry moods
+ * Tries an exact match, then synonyms, then partial matches
+ * @param {string} mood - Mood word, in any case
+ * @returns {string|null} Registry mood or null when nothing matches
+ */
+export function resolveMood(mood) {
+  if (!mood || typeof mood !== 'string') return null
+
+  const normalizedMood = mood.toLowerCase().trim()
+  if (!normalizedMood) return null
+
+  if (MOOD_REGISTRY[normalizedMood]) return normalizedMood
+
+  for (const [name, definition] of Object.entries(MOOD_REGISTRY)) {
+    if (definition.synonyms.includes(normalizedMood)) return name
+  }
+
+  for (const name of MOODS) {
+    if (normalizedMood.includes(name) || name.includes(normalizedMood)) return name
+  }
+
+  return null
+}
+
+/**
+ * Get the registry definition for a mood word
+ * @param {string} mood - Mood word
+ * @returns {Object|null} Mood definition or null
+ */
+export function getMoodDefinition(mood) {
+  const name = resolveMood(mood)
+  return name ? MOOD_REGISTRY[name] : null
+}
+
+/**
+ * Get emoji for a mood
+ */
+export function getMoodEmoji(mood) {
+  return getMoodDefinition(mood)?.emoji || DEFAULT_MOOD_EMOJI
+}
+
+/**
+ * Get display color for a mood
+ */
+export function getMoodColor(mood) {
+  return getMoodDefinition(mood)?.color || DEFAULT_MOOD_COLOR
+}
+
+/**
+ * Get MoodAdviceService categories for a mood
+ */
+export function getAdviceCategoriesForMood(mood) {
+  return getMoodDefinition(mood)?.adviceCategories || DEFAULT_ADVICE_CATEGORIES
+}
+
+/**
+ * Get Google Places types to search for a mood
+ */
+export function getPlaceTypesForMood(mood) {
+  return getMoodDefinition(mood)?.placeTypes || DEFAULT_PLACE_TYPES
+}
+
+/**
+ * Get moods that commonly accompany a mood
+ */
+export function getRelatedMoods(mood) {
+  return getMoodDefinition(mood)?.relatedMoods || []
+}
+
+export default MOOD_REGISTRY
@@ -0,0 +1,142 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import {
+  resilientFetch,
+  parseRetryAfter,
+  getBackoffDelay,
+  getMaxFetchDuration,
+  getCircuitBreaker,
+  getCircuitStates,
+  resetCircuitBreakers,
+  TimeoutError,
+  CircuitOpenError,
+  CIRCUIT_STATES
+} from '../resilientFetch.js'
+
+const respond = (status, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: (name) => headers[name] ?? null }
+})
+
+// Keep retries fast in tests
+const FAST = { baseDelayMs: 1, maxDelayMs: 50 }
+
+describe('resilientFetch', () => {
+  beforeEach(() => {
+    resetCircuitBreakers()
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  it('should retry transient errors and return the eventual response', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(respond(503))
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(respond(200))
+
+    const response = await resilientFetch('places', '/api/places', {}, FAST)
+
+    expect(response.status).toBe(200)
+    expect(fetchSpy).toHaveBeenCalledTimes(3)
+    expect(getCircuitStates().places.state).toBe(CIRCUIT_STATES.CLOSED)
+  })
+
+  it('should return client errors without retrying', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue(respond(400))
+
+    const response = await resilientFetch('places', '/api/places', {}, FAST)
+
+    expect(response.status).toBe(400)
+    expect(fetchSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should stop retrying when Retry-After asks for a longer wait than allowed', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue(respond(429, { 'Retry-After': '3600' }))
+
+    const response = await resilientFetch('openai', '/api/analyze', {}, FAST)
+
+    expect(response.status).toBe(429)
+    expect(fetchSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should time out attempts that get no response', async () => {
+    vi.spyOn(global, 'fetch').mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+
+    await expect(resilientFetch('openai', '/api/analyze', {}, { ...FAST, timeoutMs: 5, retries: 1 }))
+      .rejects.toBeInstanceOf(TimeoutError)
+  })
+
+  it('should not retry a timed-out attempt when the policy says so', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch').mockImplementation((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+    }))
+
+    await expect(resilientFetch('openai', '/api/analyze', {}, { ...FAST, timeoutMs: 5, retries: 1, retryTimeouts: false }))
+      .rejects.toBeInstanceOf(TimeoutError)
+    expect(fetchSpy).toHaveBeenCalledTimes(1)
+  })
+
+  it('should let the caller cancel a response body after the headers arrived', async () => {
+    let fetchSignal
+    vi.spyOn(global, 'fetch').mockImplementation((url, { signal }) => {
+      fetchSignal = signal
+      return Promise.resolve(respond(200))
+    })
+    const caller = new AbortController()
+
+    await resilientFetch('openai', '/api/analyze', { signal: caller.signal }, FAST)
+    caller.abort()
+
+    expect(fetchSignal.aborted).toBe(true)
+  })
+
+  it('should open the circuit after repeated failures and reject without calling out', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue(respond(500))
+    const policy = { ...FAST, retries: 0 }
+
+    for (let i = 0; i < 5; i++) {
+      await resilientFetch('openai', '/api/analyze', {}, policy)
+    }
+
+    await expect(resilientFetch('openai', '/api/analyze', {}, policy)).rejects.toBeInstanceOf(CircuitOpenError)
+    expect(fetchSpy).toHaveBeenCalledTimes(5)
+    expect(getCircuitStates().openai).toMatchObject({ state: CIRCUIT_STATES.OPEN, failures: 5 })
+  })
+
+  it('should close the circuit again after a successful trial request', async () => {
+    const breaker = getCircuitBreaker('openai')
+    for (let i = 0; i < 5; i++) breaker.recordFailure('HTTP 500')
+    breaker.openedAt = Date.now() - breaker.resetTimeoutMs
+
+    vi.spyOn(global, 'fetch').mockResolvedValue(respond(200))
+    await resilientFetch('openai', '/api/analyze', {}, FAST)
+
+    expect(breaker.state).toBe(CIRCUIT_STATES.CLOSED)
+  })
+
+  it('should parse Retry-After seconds and dates', () => {
+    expect(parseRetryAfter('2')).toBe(2000)
+    expect(parseRetryAfter(null)).toBeNull()
+    expect(parseRetryAfter('soon')).toBeNull()
+    expect(parseRetryAfter(new Date(Date.now() + 60000).toUTCString())).toBeGreaterThan(50000)
+  })
+
+  it('should bound the total wait by every attempt timing out', () => {
+    expect(getMaxFetchDuration({ timeoutMs: 1000, retries: 2, maxDelayMs: 100 })).toBe(3200)
+    expect(getMaxFetchDuration({ timeoutMs: 1000, retries: 0 })).toBe(1000)
+  })
+
+  it('should back off exponentially with jitter up to the maximum', () => {
+    const policy = { baseDelayMs: 100, maxDelayMs: 1000 }
+
+    expect(getBackoffDelay(0, policy)).toBeGreaterThanOrEqual(50)
+    expect(getBackoffDelay(0, policy)).toBeLessThanOrEqual(100)
+    expect(getBackoffDelay(2, policy)).toBeGreaterThanOrEqual(200)
+    expect(getBackoffDelay(10, policy)).toBeLessThanOrEqual(1000)
+  })
+})
@@ -0,0 +1,347 @@
+/**
+ * Drawing Feature Extraction
+ * Quantitative metrics computed locally from the exported canvas pixels and the
+ * recorded strokes. They are sent to the analysis prompt as structured context
+ * and stored with each mood entry.
+ */
+
+export const FEATURES_VERSION = 1
+
+// Pixels lighter than this on every channel count as the white background
+const BACKGROUND_THRESHOLD = 240
+
+// Pixels with less saturation than this are treated as greys for palette warmth
+const MIN_SATURATION = 0.2
+
+// Turns sharper than this (radians) count as corners
+const SHARP_TURN = Math.PI / 3
+
+const MAX_DOMINANT_COLORS = 5
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+const toHex = (r, g, b) =>
+  '#' + [r, g, b].map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')
+
+function rgbToHsl(r, g, b) {
+  const red = r / 255
+  const green = g / 255
+  const blue = b / 255
+  const max = Math.max(red, green, blue)
+  const min = Math.min(red, green, blue)
+  const lightness = (max + min) / 2
+
+  if (max === min) return { hue: 0, saturation: 0, lightness }
+
+  const delta = max - min
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min)
+  let hue
+  if (max === red) hue = (green - blue) / delta + (green < blue ? 6 : 0)
+  else if (max === green) hue = (blue - red) / delta + 2
+  else hue = (red - green) / delta + 4
+
+  return { hue: hue * 60, saturation, lightness }
+}
+
+// +1 for reds, oranges, yellows and magentas; -1 for greens-blues to violets
+function getHueWarmth(hue) {
+  if (hue < 70 || hue >= 300) return 1
+  if (hue >= 160 && hue < 280) return -1
+  return 0
+}
+
+/**
+ * Compute palette, coverage and composition metrics from canvas pixels
+ * @param {ImageData} imageData - Pixels of the exported (white-backed) canvas
+ * @param {number} step - Sample every `step`th pixel in each direction
+ * @returns {Object} Pixel metrics
+ */
+export function extractPixelFeatures(imageData, step = 2) {
+  const { data, width, height } = imageData
+  const buckets = new Map()
+  let sampled = 0
+  let inked = 0
+  let sumX = 0
+  let sumY = 0
+  let sumLightness = 0
+  let warmthTotal = 0
+  let saturatedCount = 0
+
+  for (let y = 0; y < height; y += step) {
+    for (let x = 0; x < width; x += step) {
+      const index = (y * width + x) * 4
+      const r = data[index]
+      const g = data[index + 1]
+      const b = data[index + 2]
+      sampled++
+
+      if (r >= BACKGROUND_THRESHOLD && g >= BACKGROUND_THRESHOLD && b >= BACKGROUND_THRESHOLD) continue
+
+      inked++
+      sumX += x
+      sumY += y
+
+      const { hue, saturation, lightness } = rgbToHsl(r, g, b)
+      sumLightness += lightness
+      if (saturation >= MIN_SATURATION) {
+        warmthTotal += getHueWarmth(hue)
+        saturatedCount++
+      }
+
+      // 4 levels per channel keeps anti-aliased edges in the same bucket as the stroke
+      const key = (r >> 6) * 16 + (g >> 6) * 4 + (b >> 6)
+      const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 }
+      bucket.count++
+      bucket.r += r
+      bucket.g += g
+      bucket.b += b
+      buckets.set(key, bucket)
+    }
+  }
+
+  if (inked === 0) {
+    return {
+      coverage: 0,
+      centerOfMass: null,
+      dominantColors: [],
+      warmth: null,
+      brightness: null
+    }
+  }
+
+  const dominantColors = [...buckets.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, MAX_DOMINANT_COLORS)
+    .map(bucket => ({
+      color: toHex(bucket.r / bucket.count, bucket.g / bucket.count, bucket.b / bucket.count),
+      share: round(bucket.count / inked)
+    }))
+
+  return {
+    coverage: round(inked / sampled, 3),
+    // Normalized to 0-1 so {0.5, 0.5} is the middle of the canvas
+    centerOfMass: {
+      x: round(sumX / inked / Math.max(width - 1, 1)),
+      y: round(sumY / inked / Math.max(height - 1, 1))
+    },
+    dominantColors,
+    // -1 (all cool) to 1 (all warm); null when the ink is only greys
+    warmth: saturatedCount > 0 ? round(warmthTotal / saturatedCount) : null,
+    brightness: round(sumLightness / inked)
+  }
+}
+
+/**
+ * Compute stroke count, speed, pressure and angularity from recorded strokes
+ * @param {Object} drawing - Drawing in the vector stroke format (utils/strokeFormat.js)
+ * @returns {Object} Stroke metrics
+ */
+export function extractStrokeFeatures(drawing) {
+  const strokes = drawing?.strokes || []
+  const speeds = []
+  const pressures = []
+  let turnTotal = 0
+  let turnCount = 0
+  let sharpTurns = 0
+  let durationMs = 0
+
+  strokes.forEach(stroke => {
+    const points = stroke.points
+    points.forEach(point => {
+      durationMs = Math.max(durationMs, point.t)
+      // Mice report a constant pressure, which says nothing about the drawer
+      if (stroke.pointerType !== 'mouse') pressures.push(point.pressure)
+    })
+
+    for (let i = 1; i < points.length; i++) {
+      const distance = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y)
+      const elapsed = points[i].t - points[i - 1].t
+      if (elapsed > 0) speeds.push(distance / elapsed * 1000)
+
+      if (i < 2) continue
+      const previousAngle = Math.atan2(points[i - 1].y - points[i - 2].y, points[i - 1].x - points[i - 2].x)
+      const angle = Math.atan2(points[i].y - points[i - 1].y, points[i].x - points[i - 1].x)
+      let turn = Math.abs(angle - previousAngle)
+      if (turn > Math.PI) turn = 2 * Math.PI - turn
+
+      turnTotal += turn
+      turnCount++
+      if (turn > SHARP_TURN) sharpTurns++
+    }
+  })
+
+  const sortedSpeeds = [...speeds].sort((a, b) => a - b)
+  const meanSpeed = speeds.length ? speeds.reduce((sum, speed) => sum + speed, 0) / speeds.length : 0
+  const variance = speeds.length
+    ? speeds.reduce((sum, speed) => sum + (speed - meanSpeed) ** 2, 0) / speeds.length
+    : 0
+
+  return {
+    strokeCount: strokes.length,
+    durationMs,
+    // Pixels per second
+    speed: speeds.length ? {
+      mean: Math.round(meanSpeed),
+      median: Math.round(sortedSpeeds[Math.floor(sortedSpeeds.length / 2)]),
+      max: Math.round(sortedSpeeds[sortedSpeeds.length - 1]),
+      stdDev: Math.round(Math.sqrt(variance))
+    } : null,
+    averagePressure: pressures.length
+      ? round(pressures.reduce((sum, pressure) => sum + pressure, 0) / pressures.length)
+      : null,
+    // 0 = perfectly straight or smooth, 1 = every point reverses direction
+    angularity: turnCount ? round(turnTotal / turnCount / Math.PI) : null,
+    sharpTurnRatio: turnCount ? round(sharpTurns / turnCount) : null
+  }
+}
+
+/**
+ * Extract every drawing feature available
+ * @param {Object} sources - { imageData, strokes, eraseCount }; any may be missing
+ * @returns {Object} Drawing features
+ */
+export function extractDrawingFeatures({ imageData = null, strokes = null, eraseCount = 0 } = {}) {
+  const pixelFeatures = imageData ? extractPixelFeatures(imageData) : {
+    coverage: null,
+    centerOfMass: null,
+    dominantColors: [],
+    warmth: null,
+    brightness: null
+  }
+
+  return {
+    version: FEATURES_VERSION,
+    ...pixelFeatures,
+    ...extractStrokeFeatures(strokes),
+    eraseCount
+  }
+}
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i
+
+// Upper bounds for counts and durations from untrusted clients
+const MAX_COUNT = 100000
+const MAX_DURATION_MS = 24 * 60 * 60 * 1000
+const MAX_SPEED = 1000000
+
+class InvalidFeatureError extends Error {}
+
+// A finite number clamped to [min, max]; anything not numeric is invalid
+const toNumber = (value, min, max) => {
+  const number = typeof value === 'number' || typeof value === 'string' ? Number(value) : NaN
+  if (value === '' || !Number.isFinite(number)) throw new InvalidFeatureError()
+  return Math.min(max, Math.max(min, number))
+}
+
+const toOptionalNumber = (value, min, max) =>
+  value === null || value === undefined ? null : toNumber(value, min, max)
+
+const toInteger = (value, max) => Math.round(toNumber(value ?? 0, 0, max))
+
+const toObject = (value) => {
+  if (value === null || value === undefined) return null
+  if (typeof value !== 'object' || Array.isArray(value)) throw new InvalidFeatureError()
+  return value
+}
+
+/**
+ * Validate drawing features received from a client before they reach the prompt
+ * Only the fields extractDrawingFeatures produces are kept: numbers are clamped
+ * to their range, colors must be #rrggbb and at most MAX_DOMINANT_COLORS are kept.
+ * @param {Object} features - Claimed result of extractDrawingFeatures
+ * @returns {Object|null} Normalized features, or null when any field is malformed
+ */
+export function normalizeDrawingFeatures(features) {
+  try {
+    const source = toObject(features)
+    if (!source) return null
+
+    const centerOfMass = toObject(source.centerOfMass)
+    const speed = toObject(source.speed)
+    const dominantColors = source.dominantColors ?? []
+    if (!Array.isArray(dominantColors)) throw new InvalidFeatureError()
+
+    return {
+      version: toInteger(source.version ?? FEATURES_VERSION, MAX_COUNT),
+      coverage: toOptionalNumber(source.coverage, 0, 1),
+      centerOfMass: centerOfMass && {
+        x: toNumber(centerOfMass.x, 0, 1),
+        y: toNumber(centerOfMass.y, 0, 1)
+      },
+      dominantColors: dominantColors.slice(0, MAX_DOMINANT_COLORS).map(entry => {
+        if (!toObject(entry) || typeof entry.color !== 'string' || !HEX_COLOR.test(entry.color)) {
+          throw new InvalidFeatureError()
+        }
+        return { color: entry.color.toLowerCase(), share: toNumber(entry.share, 0, 1) }
+      }),
+      warmth: toOptionalNumber(source.warmth, -1, 1),
+      brightness: toOptionalNumber(source.brightness, 0, 1),
+      strokeCount: toInteger(source.strokeCount, MAX_COUNT),
+      durationMs: toInteger(source.durationMs, MAX_DURATION_MS),
+      speed: speed && {
+        mean: toInteger(speed.mean, MAX_SPEED),
+        median: toInteger(speed.median, MAX_SPEED),
+        max: toInteger(speed.max, MAX_SPEED),
+        stdDev: toInteger(speed.stdDev, MAX_SPEED)
+      },
+      averagePressure: toOptionalNumber(source.averagePressure, 0, 1),
+      angularity: toOptionalNumber(source.angularity, 0, 1),
+      sharpTurnRatio: toOptionalNumber(source.sharpTurnRatio, 0, 1),
+      eraseCount: toInteger(source.eraseCount, MAX_COUNT)
+    }
+  } catch (error) {
+    if (error instanceof InvalidFeatureError) return null
+    throw error
+  }
+}
+
+const describeScale = (value, low, high) => {
+  if (value === null || value === undefined) return 'unknown'
+  return `${value} (${value < 1 / 3 ? low : value > 2 / 3 ? high : 'moderate'})`
+}
+
+/**
+ * Format features as a compact block for the analysis prompt
+ * @param {Object} features - Result of extractDrawingFeatures
+ * @returns {string} Prompt section, or an empty string when there are no features
+ */
+export function formatFeaturesForPrompt(features) {
+  if (!features) return ''
+
+  const lines = []
+  if (features.dominantColors?.length) {
+    lines.push(`- Dominant colors (share of inked area): ${features.dominantColors
+      .map(entry => `${entry.color} ${Math.round(entry.share * 100)}%`).join(', ')}`)
+  }
+  if (features.warmth !== null && features.warmth !== undefined) {
+    lines.push(`- Palette warmth: ${features.warmth} (-1 = all cool, 1 = all warm)`)
+  }
+  if (features.brightness !== null && features.brightness !== undefined) {
+    lines.push(`- Ink brightness: ${describeScale(features.brightness, 'dark', 'light')}`)
+  }
+  if (features.coverage !== null && features.coverage !== undefined) {
+    lines.push(`- Coverage: ${Math.round(features.coverage * 100)}% of the canvas is drawn on`)
+  }
+  if (features.centerOfMass) {
+    lines.push(`- Center of mass: x=${features.centerOfMass.x}, y=${features.centerOfMass.y} (0.5, 0.5 is the center)`)
+  }
+  lines.push(`- Stroke count: ${features.strokeCount}`)
+  if (features.durationMs) {
+    lines.push(`- Drawing time: ${Math.round(features.durationMs / 1000)}s`)
+  }
+  if (features.speed) {
+    lines.push(`- Stroke speed (px/s): mean ${features.speed.mean}, median ${features.speed.median}, max ${features.speed.max}, std dev ${features.speed.stdDev}`)
+  }
+  if (features.averagePressure !== null && features.averagePressure !== undefined) {
+    lines.push(`- Average pressure: ${describeScale(features.averagePressure, 'light', 'heavy')}`)
+  }
+  if (features.angularity !== null && features.angularity !== undefined) {
+    lines.push(`- Edge angularity: ${describeScale(features.angularity, 'smooth', 'jagged')}, ${Math.round(features.sharpTurnRatio * 100)}% sharp corners`)
+  }
+  lines.push(`- Erase/undo actions: ${features.eraseCount}`)
+
+  return lines.join('\n')
+}
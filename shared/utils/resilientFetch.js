@@ -0,0 +1,298 @@
+/**
+ * Resilient Fetch
+ * fetch for outbound integrations with a timeout, retries with exponential
+ * backoff and jitter (honouring Retry-After), and a circuit breaker per service
+ */
+
+// Statuses worth another attempt: timeouts, rate limits and transient server errors
+export const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504]
+
+export const DEFAULT_RETRY_POLICY = {
+  timeoutMs: 15000, // Abort an attempt when no response headers arrive in time
+  retries: 2, // Attempts after the first
+  baseDelayMs: 500, // Backoff before the first retry, doubled each time
+  maxDelayMs: 8000, // Longest wait between attempts; a longer Retry-After ends retrying
+  retryOn: RETRYABLE_STATUSES,
+  retryTimeouts: true // Whether an attempt that timed out is tried again
+}
+
+export const CIRCUIT_DEFAULTS = {
+  failureThreshold: 5, // Consecutive failures that open the circuit
+  resetTimeoutMs: 30000 // How long an open circuit rejects calls before a trial request
+}
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+}
+
+/**
+ * Thrown when an attempt gets no response within the policy's timeout
+ */
+export class TimeoutError extends Error {
+  constructor(service, timeoutMs) {
+    super(`${service} request timed out after ${timeoutMs}ms`)
+    this.name = 'TimeoutError'
+    this.service = service
+  }
+}
+
+/**
+ * Thrown without calling out while a service's circuit is open
+ */
+export class CircuitOpenError extends Error {
+  constructor(service, retryAt) {
+    super(`${service} is temporarily unavailable after repeated failures`)
+    this.name = 'CircuitOpenError'
+    this.service = service
+    this.retryAt = retryAt
+  }
+}
+
+/**
+ * Circuit breaker for one service
+ * Opens after failureThreshold consecutive failures, rejects calls while open,
+ * then lets a single trial request through (half-open) to decide whether to close
+ */
+export class CircuitBreaker {
+  constructor(service, { failureThreshold, resetTimeoutMs } = CIRCUIT_DEFAULTS) {
+    this.service = service
+    this.failureThreshold = failureThreshold
+    this.resetTimeoutMs = resetTimeoutMs
+    this.state = CIRCUIT_STATES.CLOSED
+    this.failures = 0
+    this.openedAt = null
+    this.lastFailure = null
+    this.trialInFlight = false
+  }
+
+  /**
+   * Whether a request may go out now; moves an expired open circuit to half-open
+   * @returns {boolean}
+   */
+  canRequest() {
+    if (this.state === CIRCUIT_STATES.OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = CIRCUIT_STATES.HALF_OPEN
+      this.trialInFlight = false
+    }
+
+    if (this.state === CIRCUIT_STATES.CLOSED) return true
+    if (this.state === CIRCUIT_STATES.HALF_OPEN && !this.trialInFlight) {
+      this.trialInFlight = true
+      return true
+    }
+    return false
+  }
+
+  recordSuccess() {
+    this.state = CIRCUIT_STATES.CLOSED
+    this.failures = 0
+    this.openedAt = null
+    this.trialInFlight = false
+  }
+
+  recordFailure(reason) {
+    this.failures += 1
+    this.lastFailure = { reason, at: new Date().toISOString() }
+    this.trialInFlight = false
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.failures >= this.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        console.warn(`⚡ Circuit opened for ${this.service} after ${this.failures} failures`)
+      }
+      this.state = CIRCUIT_STATES.OPEN
+      this.openedAt = Date.now()
+    }
+  }
+
+  /**
+   * When an open circuit will allow a trial request
+   * @returns {string|null} ISO timestamp, or null unless open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_STATES.OPEN
+      ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+      : null
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      lastFailure: this.lastFailure,
+      retryAt: this.getRetryAt()
+    }
+  }
+}
+
+const circuitBreakers = new Map()
+
+/**
+ * Get (creating on first use) the circuit breaker for a service
+ * @param {string} service - Service name, e.g. openai or googlePlaces
+ * @returns {CircuitBreaker}
+ */
+export function getCircuitBreaker(service) {
+  if (!circuitBreakers.has(service)) {
+    circuitBreakers.set(service, new CircuitBreaker(service))
+  }
+  return circuitBreakers.get(service)
+}
+
+/**
+ * Circuit state of every service called so far, for health reporting
+ * @returns {Object} { [service]: { state, failures, lastFailure, retryAt } }
+ */
+export function getCircuitStates() {
+  const states = {}
+  circuitBreakers.forEach((breaker, service) => {
+    states[service] = breaker.getStatus()
+  })
+  return states
+}
+
+/**
+ * Forget all circuit breakers (for tests and emergency resets)
+ */
+export function resetCircuitBreakers() {
+  circuitBreakers.clear()
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Milliseconds to wait, or null when absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') return null
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Exponential backoff with jitter: between half and all of baseDelay * 2^attempt
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} policy - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds to wait
+ */
+export function getBackoffDelay(attempt, { baseDelayMs, maxDelayMs }) {
+  const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt)
+  return Math.round(exponential / 2 + Math.random() * exponential / 2)
+}
+
+/**
+ * Longest a resilientFetch call can wait for response headers: every attempt
+ * timing out, with the longest wait between attempts
+ * @param {Object} policy - Overrides for DEFAULT_RETRY_POLICY
+ * @returns {number} Milliseconds
+ */
+export function getMaxFetchDuration(policy = {}) {
+  const { timeoutMs, retries, maxDelayMs } = { ...DEFAULT_RETRY_POLICY, ...policy }
+  return timeoutMs * (retries + 1) + maxDelayMs * retries
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+// Fetch once, aborting when the timeout passes or the caller's own signal aborts.
+// The caller's signal stays attached after a response, so it can still cancel
+// reading a streamed body.
+async function fetchWithTimeout(service, url, options, timeoutMs) {
+  const controller = new AbortController()
+  const callerSignal = options.signal
+  const abortFromCaller = () => controller.abort()
+  let timedOut = false
+
+  if (callerSignal) {
+    if (callerSignal.aborted) controller.abort()
+    callerSignal.addEventListener('abort', abortFromCaller, { once: true })
+  }
+  const timer = setTimeout(() => {
+    timedOut = true
+    controller.abort()
+  }, timeoutMs)
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal })
+  } catch (error) {
+    if (callerSignal) callerSignal.removeEventListener('abort', abortFromCaller)
+    throw timedOut ? new TimeoutError(service, timeoutMs) : error
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * fetch with a timeout, retries and a circuit breaker for the given service
+ * Resolves with the last response even when it is an error status, so callers
+ * keep their own status handling; rejects on network errors and timeouts once
+ * retries run out. The timeout covers waiting for the response headers, not
+ * reading a streamed body.
+ * @param {string} service - Service name; each gets its own circuit breaker
+ * @param {string|URL} url - Request URL
+ * @param {Object} options - fetch options
+ * @param {Object} policy - Overrides for DEFAULT_RETRY_POLICY
+ * @returns {Promise<Response>}
+ * @throws {CircuitOpenError} When the service's circuit is open
+ * @throws {TimeoutError} When the last attempt timed out
+ */
+export async function resilientFetch(service, url, options = {}, policy = {}) {
+  const { timeoutMs, retries, maxDelayMs, retryOn, retryTimeouts, ...backoff } = { ...DEFAULT_RETRY_POLICY, ...policy }
+  const breaker = getCircuitBreaker(service)
+
+  if (!breaker.canRequest()) {
+    throw new CircuitOpenError(service, breaker.getRetryAt())
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    let response
+    try {
+      response = await fetchWithTimeout(service, url, options, timeoutMs)
+    } catch (error) {
+      // Requests the caller cancelled are neither retried nor held against the service
+      if (options.signal?.aborted) {
+        breaker.trialInFlight = false
+        throw error
+      }
+
+      if (attempt < retries && (retryTimeouts || !(error instanceof TimeoutError))) {
+        const delay = getBackoffDelay(attempt, { ...backoff, maxDelayMs })
+        console.warn(`🔁 ${service} request failed (${error.message}), retrying in ${delay}ms`)
+        await sleep(delay)
+        continue
+      }
+
+      breaker.recordFailure(error.message)
+      throw error
+    }
+
+    if (retryOn.includes(response.status) && attempt < retries) {
+      const retryAfter = parseRetryAfter(response.headers?.get('Retry-After'))
+      const delay = retryAfter ?? getBackoffDelay(attempt, { ...backoff, maxDelayMs })
+
+      // A server asking for a longer wait than we are willing to block for gets its answer
+      if (delay <= maxDelayMs) {
+        console.warn(`🔁 ${service} responded ${response.status}, retrying in ${delay}ms`)
+        response.body?.cancel?.()?.catch?.(() => {})
+        await sleep(delay)
+        continue
+      }
+    }
+
+    // Rate limits are not outages, so only server errors count against the circuit
+    if (response.status >= 500 || response.status === 408) {
+      breaker.recordFailure(`HTTP ${response.status}`)
+    } else {
+      breaker.recordSuccess()
+    }
+    return response
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Stream Lines
+ * Line-by-line reading of streamed fetch responses (server-sent events, NDJSON)
+ */
+
+/**
+ * Read a fetch response body line by line as it arrives
+ * Falls back to reading the whole body when streaming is unavailable
+ * @param {Response} response - fetch response
+ * @param {Function} onLine - Called with each line, without its line break; may throw to stop reading
+ * @returns {Promise<void>} Resolves when the body has been read
+ */
+export async function readLines(response, onLine) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const text = await response.text()
+    text.split(/\r?\n/).forEach(line => onLine(line))
+    return
+  }
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffer += decoder.decode(value, { stream: true })
+      const lines = buffer.split(/\r?\n/)
+      buffer = lines.pop()
+      lines.forEach(line => onLine(line))
+    }
+
+    buffer += decoder.decode()
+    if (buffer) onLine(buffer)
+  } catch (error) {
+    reader.cancel().catch(() => {})
+    throw error
+  }
+}
@@ -2,6 +2,9 @@ import React, { useEffect } from 'react'
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import HomeScreen from './screens/HomeScreen'
 import AnalysisScreen from './screens/AnalysisScreen'
+import HistoryScreen from './screens/HistoryScreen'
+import InsightsScreen from './screens/InsightsScreen'
+import RecommendationsScreen from './screens/RecommendationsScreen'
 import ErrorBoundary from './components/ErrorBoundary'
 import UniverseBackground from './components/UniverseBackground'
 import { initializeServices } from './services'
@@ -28,6 +31,9 @@ function App() {
             <Routes>
               <Route path="/" element={<HomeScreen />} />
               <Route path="/analysis" element={<AnalysisScreen />} />
+              <Route path="/recommendations" element={<RecommendationsScreen />} />
+              <Route path="/history" element={<HistoryScreen />} />
+              <Route path="/insights" element={<InsightsScreen />} />
             </Routes>
           </div>
         </div>
@@ -0,0 +1,73 @@
+import React, { useState } from 'react'
+
+/**
+ * Expandable card for a structured MoodAdviceService advice item
+ * @param {Object} advice - Advice item ({ title, description, actionSteps, techniques, duration, difficulty })
+ * @param {Function} onStart - Called with the advice to open the guided exercise player
+ */
+function AdviceCard({ advice, onStart }) {
+  const [isExpanded, setIsExpanded] = useState(false)
+  const detailsId = `advice-details-${advice.category}-${advice.title}`.replace(/\W+/g, '-').toLowerCase()
+
+  return (
+    <div className={`advice-card structured-advice-card ${isExpanded ? 'expanded' : ''}`}>
+      <button
+        type="button"
+        className="advice-toggle"
+        aria-expanded={isExpanded}
+        aria-controls={detailsId}
+        onClick={() => setIsExpanded(expanded => !expanded)}
+      >
+        <div className="advice-header">
+          <h3>{advice.title}</h3>
+          <span className="advice-chevron" aria-hidden="true">{isExpanded ? '▲' : '▼'}</span>
+        </div>
+        <div className="advice-meta">
+          {advice.duration && <span className="advice-duration">⏱ {advice.duration}</span>}
+          {advice.difficulty && (
+            <span className={`advice-difficulty ${advice.difficulty}`}>{advice.difficulty}</span>
+          )}
+        </div>
+        <p className="advice-description">{advice.description}</p>
+      </button>
+
+      {isExpanded && (
+        <div id={detailsId} className="advice-details">
+          {advice.actionSteps?.length > 0 && (
+            <div className="advice-steps">
+              <h4>Step by step</h4>
+              <ol>
+                {advice.actionSteps.map((step, index) => (
+                  <li key={index}>{step}</li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {advice.techniques?.length > 0 && (
+            <div className="advice-techniques">
+              <h4>Techniques</h4>
+              <div className="technique-tags">
+                {advice.techniques.map(technique => (
+                  <span key={technique} className="technique-tag">{technique}</span>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {onStart && advice.actionSteps?.length > 0 && (
+            <button
+              type="button"
+              className="button button-primary start-exercise-button"
+              onClick={() => onStart(advice)}
+            >
+              ▶ Start guided exercise
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AdviceCard
@@ -0,0 +1,89 @@
+import React from 'react'
+import { RECOVERY_ACTIONS } from '../../shared/errors.js'
+
+const TITLES = {
+  QuotaExceededError: 'Analysis limit reached',
+  ProviderHTTPError: 'Couldn\'t reach the analysis service',
+  ResponseParseError: 'The analysis came back unreadable',
+  InvalidDrawingError: 'We couldn\'t read your drawing',
+  StorageError: 'Couldn\'t save your analysis'
+}
+
+/**
+ * Describe when a quota resets, e.g. "at 14:05" or "tomorrow at 00:00"
+ * @param {string|null} resetTime - ISO timestamp
+ * @returns {string} Phrase to follow "You can analyze again"
+ */
+export function formatResetTime(resetTime) {
+  const reset = resetTime ? new Date(resetTime) : null
+  if (!reset || Number.isNaN(reset.getTime())) {
+    return 'later today'
+  }
+
+  const time = reset.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+  return reset.toDateString() === new Date().toDateString() ? `at ${time}` : `tomorrow at ${time}`
+}
+
+/**
+ * Recovery options for a failed analysis, chosen by the error's recovery hint
+ * @param {Object} error - Serialized analysis error ({ type, message, recovery, resetTime })
+ * @param {boolean} canRetry - Whether the failed drawing is still available to send again
+ * @param {Function} onRetry - Analyze the same drawing again
+ * @param {Function} onOfflineMode - Switch to on-device analysis and retry
+ * @param {Function} onRedraw - Dismiss and go back to drawing
+ */
+function AnalysisRecovery({ error, canRetry = false, onRetry, onOfflineMode, onRedraw }) {
+  if (!error) {
+    return null
+  }
+
+  const { recovery } = error
+  const showRetry = canRetry && onRetry && (recovery === RECOVERY_ACTIONS.RETRY || recovery === RECOVERY_ACTIONS.OFFLINE)
+  const showOffline = canRetry && onOfflineMode && recovery !== RECOVERY_ACTIONS.REDRAW
+  // The offline switch is the way forward while the service is down
+  const offlineFirst = recovery === RECOVERY_ACTIONS.OFFLINE || recovery === RECOVERY_ACTIONS.WAIT
+
+  return (
+    <div className={`analysis-recovery recovery-${recovery}`} role="alert">
+      <div className="error-icon">{recovery === RECOVERY_ACTIONS.WAIT ? '⏳' : '⚠️'}</div>
+      <h3>{TITLES[error.type] || 'Analysis failed'}</h3>
+
+      {recovery === RECOVERY_ACTIONS.WAIT ? (
+        <p>You've used today's analyses for now. You can analyze again {formatResetTime(error.resetTime)}.</p>
+      ) : (
+        <p>{error.message}</p>
+      )}
+      {recovery === RECOVERY_ACTIONS.OFFLINE && (
+        <p className="recovery-hint">Offline analysis reads your strokes on this device, no connection needed.</p>
+      )}
+
+      <div className="recovery-actions">
+        {showRetry && (
+          <button
+            type="button"
+            className={`button ${offlineFirst ? 'button-secondary' : 'button-primary'}`}
+            onClick={onRetry}
+          >
+            Try Again
+          </button>
+        )}
+        {showOffline && (
+          <button
+            type="button"
+            className={`button ${offlineFirst ? 'button-primary' : 'button-secondary'}`}
+            onClick={onOfflineMode}
+          >
+            Use Offline Analysis
+          </button>
+        )}
+        {onRedraw && (
+          <button type="button" className="button button-secondary" onClick={onRedraw}>
+            {recovery === RECOVERY_ACTIONS.REDRAW ? 'Draw Again' : 'Back to Drawing'}
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AnalysisRecovery
@@ -0,0 +1,47 @@
+import React, { useState, useEffect } from 'react'
+
+const PHASE_LABELS = {
+  inhale: 'Breathe in',
+  hold: 'Hold',
+  exhale: 'Breathe out'
+}
+
+/**
+ * Animated circle that expands and contracts with a breathing pattern
+ * @param {Object} pattern - Phase lengths in seconds ({ inhale, hold, exhale })
+ * @param {boolean} isPaused - Freeze the pacer
+ */
+function BreathingPacer({ pattern, isPaused = false }) {
+  const phases = ['inhale', 'hold', 'exhale'].filter(phase => pattern[phase] > 0)
+  const [phaseIndex, setPhaseIndex] = useState(0)
+
+  const phase = phases[phaseIndex % phases.length]
+  const phaseSeconds = pattern[phase]
+
+  useEffect(() => {
+    if (isPaused) return undefined
+
+    const timeout = setTimeout(() => {
+      setPhaseIndex(index => (index + 1) % phases.length)
+    }, phaseSeconds * 1000)
+
+    return () => clearTimeout(timeout)
+  }, [phaseIndex, phaseSeconds, phases.length, isPaused])
+
+  // Stay expanded while holding after an inhale
+  const isExpanded = phase === 'inhale' || phase === 'hold'
+
+  return (
+    <div className="breathing-pacer" aria-live="polite">
+      <div
+        className={`breathing-circle ${isExpanded ? 'expanded' : ''}`}
+        style={{ transitionDuration: `${phaseSeconds}s` }}
+      ></div>
+      <p className="breathing-phase">
+        {PHASE_LABELS[phase]} <span className="breathing-count">({phaseSeconds}s)</span>
+      </p>
+    </div>
+  )
+}
+
+export default BreathingPacer
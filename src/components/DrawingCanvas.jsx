@@ -1,4 +1,15 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react'
+import {
+  createDrawingHistory,
+  addStroke,
+  undoStroke,
+  redoStroke,
+  replayStrokes,
+  drawStrokeSegment
+} from '../utils/drawingHistory'
+import { serializeStrokes, DEFAULT_PRESSURE } from '../utils/strokeFormat'
+import { extractDrawingFeatures } from '../../shared/utils/drawingFeatures.js'
+import { AnalysisError, InvalidDrawingError } from '../../shared/errors.js'
 import '../styles/drawing-canvas.css'
 
 function DrawingCanvas({ 
@@ -16,9 +27,17 @@ function DrawingCanvas({
   const [brushSize, setBrushSize] = useState(3)
   const [hasDrawn, setHasDrawn] = useState(false)
   const [isExporting, setIsExporting] = useState(false)
-  const [drawingActions, setDrawingActions] = useState([])
+  // Why the last submit failed, shown inline under the canvas
+  const [submitError, setSubmitError] = useState(null)
+  const [history, setHistory] = useState(createDrawingHistory)
+  const historyRef = useRef(history)
+  const baseImageRef = useRef(null)
   const lastPointRef = useRef(null)
   const drawingPathRef = useRef([])
+  const activePointerRef = useRef(null)
+  const pointerTypeRef = useRef('mouse')
+  // Undos and clears since the drawing was started, a hesitation signal for analysis
+  const eraseCountRef = useRef(0)
   const animationFrameRef = useRef(null)
 
   // Initialize canvas and restore drawing state
@@ -49,13 +68,16 @@ function DrawingCanvas({
       ctx.imageSmoothingEnabled = true
       ctx.imageSmoothingQuality = 'high'
       
-      // Restore drawing if available
-      if (initialDrawingData) {
-        restoreDrawing(initialDrawingData)
-      }
+      // Resizing wipes the canvas, so replay what has been drawn
+      redrawCanvas()
     }
 
     resizeCanvas()
+    
+    // Restore drawing if available
+    if (initialDrawingData) {
+      restoreDrawing(initialDrawingData)
+    }
     window.addEventListener('resize', resizeCanvas)
     
     // Load persisted drawing state
@@ -69,30 +91,40 @@ function DrawingCanvas({
     }
   }, [initialDrawingData])
 
-  // Enhanced touch event handling with smooth drawing
+  // Pointer Events cover mouse, touch and pen with pressure and tilt
   const getEventPos = useCallback((e) => {
     const canvas = canvasRef.current
     const rect = canvas.getBoundingClientRect()
     const dpr = window.devicePixelRatio || 1
     
-    let clientX, clientY
-    if (e.touches && e.touches.length > 0) {
-      clientX = e.touches[0].clientX
-      clientY = e.touches[0].clientY
-    } else {
-      clientX = e.clientX
-      clientY = e.clientY
-    }
+    // Hardware without pressure support reports 0 (or nothing) while pressed
+    const pressure = e.pressure > 0 ? e.pressure : DEFAULT_PRESSURE
     
     return {
-      x: (clientX - rect.left) * dpr,
-      y: (clientY - rect.top) * dpr
+      x: (e.clientX - rect.left) * dpr,
+      y: (e.clientY - rect.top) * dpr,
+      t: Date.now(),
+      pressure,
+      tiltX: e.tiltX || 0,
+      tiltY: e.tiltY || 0
     }
   }, [])
 
   const startDrawing = useCallback((e) => {
     if (disabled) return
+    // One stroke at a time: ignore extra fingers and non-primary mouse buttons
+    if (activePointerRef.current !== null) return
+    if (e.pointerType === 'mouse' && e.button > 0) return
     e.preventDefault()
+    
+    // Keep receiving moves when the pointer leaves the canvas mid-stroke
+    try {
+      e.currentTarget.setPointerCapture?.(e.pointerId)
+    } catch (error) {
+      // Capture is best-effort; pointerleave still ends the stroke
+    }
+    activePointerRef.current = e.pointerId ?? 0
+    pointerTypeRef.current = e.pointerType || 'mouse'
     setIsDrawing(true)
     const newHasDrawn = true
     setHasDrawn(newHasDrawn)
@@ -102,22 +134,17 @@ function DrawingCanvas({
       onDrawingChange(newHasDrawn)
     }
     
-    const canvas = canvasRef.current
-    const ctx = canvas.getContext('2d')
     const pos = getEventPos(e)
     
     lastPointRef.current = pos
     drawingPathRef.current = [pos]
     
-    ctx.beginPath()
-    ctx.moveTo(pos.x, pos.y)
-    
     // Save drawing state for persistence
     saveDrawingState()
   }, [getEventPos, disabled, onDrawingChange])
 
   const draw = useCallback((e) => {
-    if (!isDrawing) return
+    if (!isDrawing || (e.pointerId ?? 0) !== activePointerRef.current) return
     e.preventDefault()
     
     const canvas = canvasRef.current
@@ -134,20 +161,16 @@ function DrawingCanvas({
     
     // Only draw if moved enough to prevent excessive points
     if (distance > 2) {
-      // Use quadratic curve for smoother lines
-      const midPoint = {
-        x: (lastPos.x + currentPos.x) / 2,
-        y: (lastPos.y + currentPos.y) / 2
-      }
-      
-      ctx.strokeStyle = currentColor
-      ctx.lineWidth = brushSize
-      ctx.quadraticCurveTo(lastPos.x, lastPos.y, midPoint.x, midPoint.y)
-      ctx.stroke()
-      
       drawingPathRef.current.push(currentPos)
       lastPointRef.current = currentPos
       
+      // Draw just the new segment so its width can follow the pressure
+      drawStrokeSegment(
+        ctx,
+        { color: currentColor, size: brushSize, path: drawingPathRef.current },
+        drawingPathRef.current.length - 1
+      )
+      
       // Throttle state saving using animation frame
       if (animationFrameRef.current) {
         cancelAnimationFrame(animationFrameRef.current)
@@ -160,26 +183,49 @@ function DrawingCanvas({
 
   const stopDrawing = useCallback((e) => {
     if (!isDrawing) return
+    if (e && (e.pointerId ?? 0) !== activePointerRef.current) return
     e?.preventDefault()
     
     setIsDrawing(false)
+    activePointerRef.current = null
     lastPointRef.current = null
     
+    // Record drawing action for undo functionality (taps leave no mark)
+    if (drawingPathRef.current.length > 1) {
+      updateHistory(addStroke(historyRef.current, {
+        type: 'stroke',
+        tool: 'pen',
+        pointerType: pointerTypeRef.current,
+        color: currentColor,
+        size: brushSize,
+        path: [...drawingPathRef.current],
+        timestamp: Date.now()
+      }))
+    }
+    
     // Save final drawing state
     saveDrawingState()
-    
-    // Record drawing action for undo functionality
-    const canvas = canvasRef.current
-    const imageData = canvas.toDataURL('image/png')
-    setDrawingActions(prev => [...prev, {
-      type: 'stroke',
-      color: currentColor,
-      size: brushSize,
-      path: [...drawingPathRef.current],
-      timestamp: Date.now()
-    }])
   }, [isDrawing, currentColor, brushSize])
 
+  // Keep a ref in sync so persistence and replay never read a stale history
+  const updateHistory = useCallback((nextHistory) => {
+    historyRef.current = nextHistory
+    setHistory(nextHistory)
+  }, [])
+
+  // Clear the canvas and replay the base image plus every recorded stroke
+  const redrawCanvas = useCallback(() => {
+    const canvas = canvasRef.current
+    if (!canvas) return
+    const ctx = canvas.getContext('2d')
+    
+    ctx.clearRect(0, 0, canvas.width, canvas.height)
+    if (baseImageRef.current) {
+      ctx.drawImage(baseImageRef.current, 0, 0)
+    }
+    replayStrokes(ctx, historyRef.current.actions)
+  }, [])
+
   // Drawing state persistence
   const saveDrawingState = useCallback(() => {
     const canvas = canvasRef.current
@@ -189,6 +235,10 @@ function DrawingCanvas({
       const imageData = canvas.toDataURL('image/png')
       localStorage.setItem('drawingCanvas_state', JSON.stringify({
         imageData,
+        baseImageData: baseImageRef.current ? baseImageRef.current.src : null,
+        actions: historyRef.current.actions,
+        redoStack: historyRef.current.redoStack,
+        eraseCount: eraseCountRef.current,
         color: currentColor,
         brushSize,
         hasDrawn,
@@ -208,10 +258,19 @@ function DrawingCanvas({
         if (Date.now() - state.timestamp < 3600000) {
           setCurrentColor(state.color || '#000000')
           setBrushSize(state.brushSize || 3)
-          setHasDrawn(state.hasDrawn || false)
           
-          if (state.imageData) {
-            restoreDrawing(state.imageData)
+          const savedHistory = createDrawingHistory(state.actions, state.redoStack)
+          updateHistory(savedHistory)
+          eraseCountRef.current = state.eraseCount || 0
+          
+          // States saved before stroke history existed only have the flattened image
+          const baseImageData = Array.isArray(state.actions) ? state.baseImageData : state.imageData
+          setHasDrawn(savedHistory.actions.length > 0 || Boolean(baseImageData))
+          
+          if (baseImageData) {
+            restoreDrawing(baseImageData)
+          } else {
+            redrawCanvas()
           }
         }
       }
@@ -220,16 +279,77 @@ function DrawingCanvas({
     }
   }, [])
 
+  // Restored images become the base layer that strokes are replayed on
   const restoreDrawing = useCallback((imageData) => {
-    const canvas = canvasRef.current
-    const ctx = canvas.getContext('2d')
-    
     const img = new Image()
     img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height)
-      ctx.drawImage(img, 0, 0)
+      baseImageRef.current = img
+      redrawCanvas()
     }
     img.src = imageData
+  }, [redrawCanvas])
+
+  // Apply an undo/redo result and repaint from the stroke list
+  const applyHistory = useCallback((nextHistory) => {
+    if (nextHistory === historyRef.current) return
+    
+    updateHistory(nextHistory)
+    redrawCanvas()
+    
+    const nextHasDrawn = nextHistory.actions.length > 0 || Boolean(baseImageRef.current)
+    setHasDrawn(nextHasDrawn)
+    if (onDrawingChange) {
+      onDrawingChange(nextHasDrawn)
+    }
+    
+    saveDrawingState()
+  }, [updateHistory, redrawCanvas, onDrawingChange, saveDrawingState])
+
+  const undo = useCallback(() => {
+    if (disabled || isDrawing || historyRef.current.actions.length === 0) return
+    eraseCountRef.current += 1
+    applyHistory(undoStroke(historyRef.current))
+  }, [disabled, isDrawing, applyHistory])
+
+  const redo = useCallback(() => {
+    if (disabled || isDrawing) return
+    applyHistory(redoStroke(historyRef.current))
+  }, [disabled, isDrawing, applyHistory])
+
+  // Ctrl+Z / Cmd+Z to undo, Ctrl+Shift+Z / Ctrl+Y to redo
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return
+      
+      const target = e.target
+      if (target && (target.isContentEditable || ['TEXTAREA', 'SELECT'].includes(target.tagName) ||
+          (target.tagName === 'INPUT' && !['color', 'range'].includes(target.type)))) {
+        return
+      }
+      
+      const key = e.key.toLowerCase()
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault()
+        undo()
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault()
+        redo()
+      }
+    }
+    
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [undo, redo])
+
+  // Vector strokes in the versioned stroke format, in CSS pixels
+  const getStrokeData = useCallback(() => {
+    const canvas = canvasRef.current
+    const dpr = window.devicePixelRatio || 1
+    return serializeStrokes(historyRef.current.actions, {
+      width: canvas.width / dpr,
+      height: canvas.height / dpr,
+      pixelRatio: dpr
+    })
   }, [])
 
   // Canvas image export with compression
@@ -275,6 +395,17 @@ function DrawingCanvas({
         exportCtx.drawImage(canvas, 0, 0, exportCanvas.width, exportCanvas.height)
       }
       
+      // Measure the drawing from the same pixels the API will see
+      let imageData = null
+      try {
+        if (typeof exportCtx.getImageData === 'function') {
+          imageData = exportCtx.getImageData(0, 0, exportCanvas.width, exportCanvas.height)
+        }
+      } catch (error) {
+        console.warn('Could not read canvas pixels for feature extraction:', error)
+      }
+      const strokes = getStrokeData()
+      
       // Export with compression
       const originalData = canvas.toDataURL()
       const compressedData = exportCanvas.toDataURL(format, quality)
@@ -285,7 +416,9 @@ function DrawingCanvas({
         height: exportCanvas.height,
         originalSize: originalData.length,
         compressedSize: compressedData.length,
-        compressionRatio: originalData.length > 0 ? (1 - compressedData.length / originalData.length) * 100 : 0
+        compressionRatio: originalData.length > 0 ? (1 - compressedData.length / originalData.length) * 100 : 0,
+        strokes,
+        features: extractDrawingFeatures({ imageData, strokes, eraseCount: eraseCountRef.current })
       }
       
       console.log('✅ Canvas export successful:', {
@@ -300,13 +433,16 @@ function DrawingCanvas({
       // Fallback: return original canvas data
       try {
         const fallbackData = canvas.toDataURL(format, quality)
+        const strokes = getStrokeData()
         return {
           dataUrl: fallbackData,
           width: canvas.width,
           height: canvas.height,
           originalSize: fallbackData.length,
           compressedSize: fallbackData.length,
-          compressionRatio: 0
+          compressionRatio: 0,
+          strokes,
+          features: extractDrawingFeatures({ strokes, eraseCount: eraseCountRef.current })
         }
       } catch (fallbackError) {
         console.error('Fallback export also failed:', fallbackError)
@@ -315,7 +451,7 @@ function DrawingCanvas({
     } finally {
       setIsExporting(false)
     }
-  }, [hasDrawn])
+  }, [hasDrawn, getStrokeData])
 
   const clearCanvas = useCallback(() => {
     if (disabled) return
@@ -323,8 +459,13 @@ function DrawingCanvas({
     const ctx = canvas.getContext('2d')
     ctx.clearRect(0, 0, canvas.width, canvas.height)
     
+    if (hasDrawn) {
+      eraseCountRef.current += 1
+    }
     setHasDrawn(false)
-    setDrawingActions([])
+    setSubmitError(null)
+    baseImageRef.current = null
+    updateHistory(createDrawingHistory())
     
     // Notify parent of drawing change
     if (onDrawingChange) {
@@ -337,7 +478,7 @@ function DrawingCanvas({
     if (onClear) {
       onClear()
     }
-  }, [onClear, disabled, onDrawingChange])
+  }, [onClear, disabled, onDrawingChange, updateHistory, hasDrawn])
 
   // Handle drawing completion
   const handleSubmitDrawing = useCallback(async (e) => {
@@ -355,21 +496,25 @@ function DrawingCanvas({
       return
     }
     
+    setSubmitError(null)
     try {
       console.log('📤 Starting canvas export...')
       const exportData = await exportCanvasImage()
       console.log('✅ Export completed successfully:', exportData)
       
-      if (exportData && onDrawingComplete) {
+      if (!exportData) {
+        throw new InvalidDrawingError('Your drawing could not be prepared for analysis')
+      }
+      if (onDrawingComplete) {
         console.log('🚀 Calling onDrawingComplete callback...')
         await onDrawingComplete(exportData)
         console.log('✅ onDrawingComplete callback finished')
-      } else {
-        console.error('❌ Missing export data or callback:', { exportData: !!exportData, onDrawingComplete: !!onDrawingComplete })
       }
     } catch (error) {
       console.error('❌ Error in handleSubmitDrawing:', error)
-      alert(`Error processing drawing: ${error.message}`)
+      setSubmitError(error instanceof AnalysisError
+        ? error
+        : new InvalidDrawingError(`Error processing drawing: ${error.message}`, { cause: error }))
     }
   }, [hasDrawn, isExporting, exportCanvasImage, onDrawingComplete])
 
@@ -399,6 +544,29 @@ function DrawingCanvas({
           <span className="brush-size-label">{brushSize}px</span>
         </div>
         
+        <div className="history-controls">
+          <button
+            type="button"
+            className="button button-secondary undo-btn"
+            onClick={undo}
+            disabled={history.actions.length === 0 || disabled}
+            aria-label="Undo last stroke"
+            title="Undo (Ctrl+Z)"
+          >
+            ↶
+          </button>
+          <button
+            type="button"
+            className="button button-secondary redo-btn"
+            onClick={redo}
+            disabled={history.redoStack.length === 0 || disabled}
+            aria-label="Redo stroke"
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            ↷
+          </button>
+        </div>
+        
         <button 
           type="button"
           className="button button-secondary clear-btn"
@@ -430,14 +598,11 @@ function DrawingCanvas({
         <canvas
           ref={canvasRef}
           className={`drawing-canvas ${isDrawing ? 'drawing-active' : ''} ${hasDrawn ? 'has-content' : ''}`}
-          onMouseDown={startDrawing}
-          onMouseMove={draw}
-          onMouseUp={stopDrawing}
-          onMouseLeave={stopDrawing}
-          onTouchStart={startDrawing}
-          onTouchMove={draw}
-          onTouchEnd={stopDrawing}
-          onTouchCancel={stopDrawing}
+          onPointerDown={startDrawing}
+          onPointerMove={draw}
+          onPointerUp={stopDrawing}
+          onPointerCancel={stopDrawing}
+          onPointerLeave={stopDrawing}
           style={{ touchAction: 'none' }}
           aria-label="Drawing canvas"
         />
@@ -457,13 +622,18 @@ function DrawingCanvas({
       </div>
       
       <div className="canvas-status">
+        {submitError && (
+          <p className="canvas-submit-error" role="alert">
+            ⚠️ {submitError.message}
+          </p>
+        )}
         <p className="canvas-hint">
           {hasDrawn ? 'Great! Your drawing is ready for analysis' : 'Draw how you\'re feeling right now'}
         </p>
         
-        {drawingActions.length > 0 && (
+        {history.actions.length > 0 && (
           <div className="drawing-stats">
-            <span className="stat-item">Strokes: {drawingActions.length}</span>
+            <span className="stat-item">Strokes: {history.actions.length}</span>
             <span className="stat-item">Color: {currentColor}</span>
             <span className="stat-item">Brush: {brushSize}px</span>
           </div>
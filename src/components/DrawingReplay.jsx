@@ -0,0 +1,115 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
+import { drawStroke } from '../utils/drawingHistory'
+import { parseStrokeData, compressReplayTimeline, getDrawingDuration } from '../utils/strokeFormat'
+
+const REPLAY_WIDTH = 320
+
+/**
+ * Draw every point recorded up to `elapsed` ms onto the replay canvas
+ */
+function renderFrame(ctx, drawing, scale, elapsed) {
+  ctx.fillStyle = '#ffffff'
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+
+  drawing.strokes.forEach(stroke => {
+    const path = stroke.points
+      .filter(point => point.t <= elapsed)
+      .map(point => ({ x: point.x * scale, y: point.y * scale, pressure: point.pressure }))
+
+    drawStroke(ctx, { color: stroke.color, size: stroke.width * scale, path })
+  })
+}
+
+/**
+ * Animated replay of a drawing stored in the vector stroke format
+ * @param {Object|string} strokeData - Serialized drawing (see utils/strokeFormat.js)
+ * @param {number} speed - Playback speed multiplier
+ */
+function DrawingReplay({ strokeData, speed = 1 }) {
+  const canvasRef = useRef(null)
+  const frameRef = useRef(null)
+  const startRef = useRef(0)
+  const elapsedRef = useRef(0)
+  const [isPlaying, setIsPlaying] = useState(true)
+
+  const drawing = useMemo(() => {
+    const parsed = parseStrokeData(strokeData)
+    return parsed ? compressReplayTimeline(parsed) : null
+  }, [strokeData])
+
+  const duration = drawing ? getDrawingDuration(drawing) : 0
+  const scale = drawing ? REPLAY_WIDTH / drawing.width : 1
+
+  const draw = useCallback((elapsed) => {
+    const ctx = canvasRef.current?.getContext('2d')
+    if (ctx && drawing) renderFrame(ctx, drawing, scale, elapsed)
+  }, [drawing, scale])
+
+  useEffect(() => {
+    if (!drawing) return undefined
+
+    if (!isPlaying) {
+      draw(elapsedRef.current)
+      return undefined
+    }
+
+    startRef.current = performance.now() - elapsedRef.current / speed
+
+    const tick = (now) => {
+      const elapsed = Math.min((now - startRef.current) * speed, duration)
+      elapsedRef.current = elapsed
+      draw(elapsed)
+
+      if (elapsed >= duration) {
+        setIsPlaying(false)
+        return
+      }
+      frameRef.current = requestAnimationFrame(tick)
+    }
+
+    frameRef.current = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frameRef.current)
+  }, [drawing, isPlaying, speed, duration, draw])
+
+  const handleTogglePlay = () => {
+    // Playing again after the end starts over
+    if (!isPlaying && elapsedRef.current >= duration) {
+      elapsedRef.current = 0
+    }
+    setIsPlaying(playing => !playing)
+  }
+
+  const handleRestart = () => {
+    elapsedRef.current = 0
+    draw(0)
+    setIsPlaying(true)
+  }
+
+  if (!drawing) {
+    return <p className="drawing-replay-unavailable">Replay is not available for this drawing.</p>
+  }
+
+  return (
+    <div className="drawing-replay">
+      <canvas
+        ref={canvasRef}
+        className="drawing-replay-canvas"
+        width={REPLAY_WIDTH}
+        height={Math.round(drawing.height * scale)}
+        aria-label="Drawing replay"
+      />
+      <div className="drawing-replay-controls">
+        <button type="button" className="button button-secondary" onClick={handleTogglePlay}>
+          {isPlaying ? '⏸ Pause' : '▶ Play'}
+        </button>
+        <button type="button" className="button button-secondary" onClick={handleRestart}>
+          ↺ Restart
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default DrawingReplay
@@ -0,0 +1,48 @@
+import React from 'react'
+import { getMoodColor, getMoodEmoji } from '../../shared/moodRegistry.js'
+
+/**
+ * Stacked bar showing how the detected emotions mix, sized by intensity
+ * @param {Array} emotions - Ranked emotions ({ name, intensity })
+ */
+function EmotionBreakdown({ emotions = [] }) {
+  const total = emotions.reduce((sum, emotion) => sum + emotion.intensity, 0)
+
+  if (emotions.length === 0 || total <= 0) {
+    return null
+  }
+
+  return (
+    <div className="emotion-breakdown">
+      <h4>Emotion breakdown</h4>
+      <div
+        className="emotion-bar"
+        role="img"
+        aria-label={emotions.map(emotion => `${emotion.name} ${Math.round(emotion.intensity * 100)}%`).join(', ')}
+      >
+        {emotions.map(emotion => (
+          <span
+            key={emotion.name}
+            className="emotion-segment"
+            style={{
+              width: `${(emotion.intensity / total) * 100}%`,
+              backgroundColor: getMoodColor(emotion.name)
+            }}
+            title={`${emotion.name}: ${Math.round(emotion.intensity * 100)}%`}
+          ></span>
+        ))}
+      </div>
+      <ul className="emotion-legend">
+        {emotions.map(emotion => (
+          <li key={emotion.name}>
+            <span className="emotion-swatch" style={{ backgroundColor: getMoodColor(emotion.name) }}></span>
+            {getMoodEmoji(emotion.name)} {emotion.name}
+            <span className="emotion-intensity">{Math.round(emotion.intensity * 100)}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default EmotionBreakdown
@@ -0,0 +1,157 @@
+import React, { useState, useEffect } from 'react'
+import BreathingPacer from './BreathingPacer.jsx'
+import {
+  getStepSeconds,
+  isBreathingExercise,
+  isBreathingStep,
+  getBreathingPattern,
+  formatSeconds
+} from '../utils/exerciseUtils'
+import '../styles/exercise-player.css'
+
+/**
+ * Walks through an advice item's actionSteps one at a time on a timer
+ * @param {Object} advice - Advice item with actionSteps and duration
+ * @param {Function} onComplete - Called with the seconds spent once every step is done
+ * @param {Function} onClose - Called when the player is dismissed
+ */
+function ExercisePlayer({ advice, onComplete, onClose }) {
+  const steps = advice.actionSteps || []
+  const stepSeconds = getStepSeconds(advice.duration, steps.length)
+  const breathingPattern = isBreathingExercise(advice) ? getBreathingPattern(steps) : null
+
+  const [stepIndex, setStepIndex] = useState(0)
+  const [secondsLeft, setSecondsLeft] = useState(stepSeconds)
+  const [secondsSpent, setSecondsSpent] = useState(0)
+  const [isPaused, setIsPaused] = useState(false)
+  const [isComplete, setIsComplete] = useState(false)
+
+  const isLastStep = stepIndex === steps.length - 1
+
+  const goToStep = (index) => {
+    setStepIndex(index)
+    setSecondsLeft(stepSeconds)
+  }
+
+  const finish = () => {
+    setIsComplete(true)
+    if (onComplete) {
+      onComplete(secondsSpent)
+    }
+  }
+
+  const handleNext = () => {
+    if (isLastStep) {
+      finish()
+    } else {
+      goToStep(stepIndex + 1)
+    }
+  }
+
+  // Tick once a second while the exercise is running
+  useEffect(() => {
+    if (isPaused || isComplete) return undefined
+
+    const interval = setInterval(() => {
+      setSecondsLeft(left => Math.max(0, left - 1))
+      setSecondsSpent(spent => spent + 1)
+    }, 1000)
+
+    return () => clearInterval(interval)
+  }, [isPaused, isComplete])
+
+  // Move on automatically when a step's time is up
+  useEffect(() => {
+    if (secondsLeft === 0 && !isComplete && steps.length > 0) {
+      handleNext()
+    }
+  }, [secondsLeft])
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const showPacer = breathingPattern && !isComplete && isBreathingStep(steps[stepIndex])
+
+  return (
+    <div className="exercise-player-overlay">
+      <div className="exercise-player" role="dialog" aria-modal="true" aria-labelledby="exercise-player-title">
+        <header className="exercise-player-header">
+          <h2 id="exercise-player-title">{advice.title}</h2>
+          <button type="button" className="exercise-close" onClick={onClose} aria-label="Close exercise">
+            ✕
+          </button>
+        </header>
+
+        {isComplete ? (
+          <div className="exercise-complete">
+            <div className="exercise-complete-icon">🌟</div>
+            <h3>Nicely done</h3>
+            <p>
+              You finished all {steps.length} steps in {formatSeconds(secondsSpent)}.
+              Notice how you feel right now.
+            </p>
+            <button type="button" className="button button-primary" onClick={onClose}>
+              Done
+            </button>
+          </div>
+        ) : (
+          <>
+            <div
+              className="exercise-progress"
+              role="progressbar"
+              aria-valuemin={1}
+              aria-valuemax={steps.length}
+              aria-valuenow={stepIndex + 1}
+              aria-label={`Step ${stepIndex + 1} of ${steps.length}`}
+            >
+              {steps.map((step, index) => (
+                <span
+                  key={index}
+                  className={`exercise-progress-dot ${index < stepIndex ? 'done' : ''} ${index === stepIndex ? 'current' : ''}`}
+                ></span>
+              ))}
+            </div>
+
+            <p className="exercise-step-count">Step {stepIndex + 1} of {steps.length}</p>
+            <p className="exercise-step" aria-live="polite">{steps[stepIndex]}</p>
+
+            {showPacer && <BreathingPacer pattern={breathingPattern} isPaused={isPaused} />}
+
+            <p className="exercise-timer" aria-label={`${secondsLeft} seconds left on this step`}>
+              {formatSeconds(secondsLeft)}
+            </p>
+
+            <div className="exercise-controls">
+              <button
+                type="button"
+                className="button button-secondary"
+                onClick={() => goToStep(stepIndex - 1)}
+                disabled={stepIndex === 0}
+              >
+                Back
+              </button>
+              <button
+                type="button"
+                className="button button-secondary"
+                onClick={() => setIsPaused(paused => !paused)}
+              >
+                {isPaused ? 'Resume' : 'Pause'}
+              </button>
+              <button type="button" className="button button-primary" onClick={handleNext}>
+                {isLastStep ? 'Finish' : 'Next'}
+              </button>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default ExercisePlayer
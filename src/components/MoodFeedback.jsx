@@ -0,0 +1,120 @@
+import React, { useState } from 'react'
+import { MOODS, getMoodEmoji } from '../../shared/moodRegistry.js'
+import { FEEDBACK_AGREEMENT } from '../../shared/analysis/moodFeedback.js'
+
+const AGREEMENT_OPTIONS = [
+  { value: FEEDBACK_AGREEMENT.YES, label: '👍 Yes' },
+  { value: FEEDBACK_AGREEMENT.PARTLY, label: '🤏 Partly' },
+  { value: FEEDBACK_AGREEMENT.NO, label: '👎 No' }
+]
+
+const AGREEMENT_SUMMARIES = {
+  [FEEDBACK_AGREEMENT.YES]: 'You said this matched how you felt.',
+  [FEEDBACK_AGREEMENT.PARTLY]: 'You said this partly matched how you felt.',
+  [FEEDBACK_AGREEMENT.NO]: 'You said this didn\'t match how you felt.'
+}
+
+/**
+ * "Was this right?" prompt under an analysis: an agreement rating, plus the
+ * mood the user actually felt when it wasn't a full match
+ * @param {string} detectedMood - The analysis's primary mood
+ * @param {Object|null} feedback - Feedback already given ({ agreement, correctedMood })
+ * @param {boolean} needsConfirmation - The analysis is unsure, so ask more directly
+ * @param {Function} onSubmit - Saves feedback ({ agreement, correctedMood }); may reject
+ */
+function MoodFeedback({ detectedMood, feedback = null, needsConfirmation = false, onSubmit }) {
+  const [agreement, setAgreement] = useState(null)
+  const [correctedMood, setCorrectedMood] = useState('')
+  const [isEditing, setIsEditing] = useState(!feedback)
+  const [isSaving, setIsSaving] = useState(false)
+  const [saveError, setSaveError] = useState(null)
+
+  const submit = async (selectedAgreement, mood = null) => {
+    setIsSaving(true)
+    setSaveError(null)
+    try {
+      await onSubmit({ agreement: selectedAgreement, correctedMood: mood })
+      setIsEditing(false)
+      setAgreement(null)
+      setCorrectedMood('')
+    } catch (error) {
+      setSaveError(error.message)
+    } finally {
+      setIsSaving(false)
+    }
+  }
+
+  const handleAgreement = (value) => {
+    // Agreeing needs nothing more; otherwise ask what the user felt instead
+    if (value === FEEDBACK_AGREEMENT.YES) {
+      submit(value)
+    } else {
+      setAgreement(value)
+    }
+  }
+
+  if (!isEditing && feedback) {
+    return (
+      <div className="mood-feedback mood-feedback-done" role="status">
+        <p>
+          {AGREEMENT_SUMMARIES[feedback.agreement]}
+          {feedback.correctedMood && ` You felt ${getMoodEmoji(feedback.correctedMood)} ${feedback.correctedMood}.`}
+        </p>
+        <button type="button" className="mood-feedback-change" onClick={() => setIsEditing(true)}>
+          Change
+        </button>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`mood-feedback ${needsConfirmation ? 'mood-feedback-confirm' : ''}`}>
+      {needsConfirmation && (
+        <p className="mood-feedback-unsure">🤔 We're not sure about this one.</p>
+      )}
+      <p className="mood-feedback-question">Did <strong>{detectedMood}</strong> match how you felt?</p>
+      <div className="mood-feedback-options" role="group" aria-label="Did the detected mood match how you felt?">
+        {AGREEMENT_OPTIONS.map(option => (
+          <button
+            key={option.value}
+            type="button"
+            className={`mood-feedback-option ${agreement === option.value ? 'selected' : ''}`}
+            aria-pressed={agreement === option.value}
+            disabled={isSaving}
+            onClick={() => handleAgreement(option.value)}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
+      {agreement && (
+        <div className="mood-feedback-correction">
+          <label htmlFor="corrected-mood">How did you actually feel? (optional)</label>
+          <select
+            id="corrected-mood"
+            value={correctedMood}
+            onChange={(event) => setCorrectedMood(event.target.value)}
+          >
+            <option value="">Skip</option>
+            {MOODS.filter(mood => mood !== detectedMood).map(mood => (
+              <option key={mood} value={mood}>{getMoodEmoji(mood)} {mood}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="button button-primary"
+            disabled={isSaving}
+            onClick={() => submit(agreement, correctedMood || null)}
+          >
+            Save
+          </button>
+        </div>
+      )}
+
+      {saveError && <p className="mood-feedback-error" role="alert">Couldn't save your answer: {saveError}</p>}
+    </div>
+  )
+}
+
+export default MoodFeedback
@@ -128,10 +128,8 @@ describe('DrawingCanvas', () => {
     
     const canvas = screen.getByLabelText('Drawing canvas')
     
-    // Simulate touch start
-    fireEvent.touchStart(canvas, {
-      touches: [{ clientX: 100, clientY: 100 }]
-    })
+    // Simulate pointer down
+    fireEvent.pointerDown(canvas, { clientX: 100, clientY: 100 })
     
     expect(screen.getByText('Great! Your drawing is ready for analysis')).toBeInTheDocument()
   })
@@ -143,10 +141,8 @@ describe('DrawingCanvas', () => {
     const canvas = screen.getByLabelText('Drawing canvas')
     
     // Simulate drawing
-    fireEvent.touchStart(canvas, {
-      touches: [{ clientX: 100, clientY: 100 }]
-    })
-    fireEvent.touchEnd(canvas)
+    fireEvent.pointerDown(canvas, { clientX: 100, clientY: 100 })
+    fireEvent.pointerUp(canvas)
     
     const submitButton = screen.getByLabelText('Submit drawing for analysis')
     expect(submitButton).not.toBeDisabled()
@@ -172,10 +168,8 @@ describe('DrawingCanvas', () => {
     const canvas = screen.getByLabelText('Drawing canvas')
     
     // Simulate drawing first
-    fireEvent.touchStart(canvas, {
-      touches: [{ clientX: 100, clientY: 100 }]
-    })
-    fireEvent.touchEnd(canvas)
+    fireEvent.pointerDown(canvas, { clientX: 100, clientY: 100 })
+    fireEvent.pointerUp(canvas)
     
     const clearButton = screen.getByLabelText('Clear canvas')
     fireEvent.click(clearButton)
@@ -189,13 +183,9 @@ describe('DrawingCanvas', () => {
     const canvas = screen.getByLabelText('Drawing canvas')
     
     // Simulate drawing
-    fireEvent.touchStart(canvas, {
-      touches: [{ clientX: 100, clientY: 100 }]
-    })
-    fireEvent.touchMove(canvas, {
-      touches: [{ clientX: 110, clientY: 110 }]
-    })
-    fireEvent.touchEnd(canvas)
+    fireEvent.pointerDown(canvas, { clientX: 100, clientY: 100 })
+    fireEvent.pointerMove(canvas, { clientX: 110, clientY: 110 })
+    fireEvent.pointerUp(canvas)
     
     expect(localStorageMock.setItem).toHaveBeenCalledWith(
       'drawingCanvas_state',
@@ -0,0 +1,62 @@
+import React from 'react'
+import { render, screen, fireEvent, act } from '@testing-library/react'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import ExercisePlayer from '../ExercisePlayer'
+
+const breathingAdvice = {
+  category: 'anxiety',
+  title: 'Deep Breathing Exercise',
+  actionSteps: [
+    'Find a quiet, comfortable space',
+    'Breathe in slowly through your nose for 4 counts',
+    'Exhale slowly through your mouth for 6 counts'
+  ],
+  techniques: ['Box breathing'],
+  duration: '1 minute'
+}
+
+describe('ExercisePlayer', () => {
+  beforeEach(() => {
+    vi.useFakeTimers()
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('walks through steps one at a time', () => {
+    render(<ExercisePlayer advice={breathingAdvice} onComplete={vi.fn()} onClose={vi.fn()} />)
+
+    expect(screen.getByText('Step 1 of 3')).toBeInTheDocument()
+    expect(screen.getByText('Find a quiet, comfortable space')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Next'))
+    expect(screen.getByText('Step 2 of 3')).toBeInTheDocument()
+  })
+
+  it('shows the breathing pacer on breathing steps only', () => {
+    render(<ExercisePlayer advice={breathingAdvice} onComplete={vi.fn()} onClose={vi.fn()} />)
+
+    expect(screen.queryByText(/Breathe in/, { selector: '.breathing-phase' })).not.toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Next'))
+    expect(screen.getByText(/Breathe in/, { selector: '.breathing-phase' })).toBeInTheDocument()
+  })
+
+  it('advances when the step timer runs out and completes after the last step', () => {
+    const onComplete = vi.fn()
+    render(<ExercisePlayer advice={breathingAdvice} onComplete={onComplete} onClose={vi.fn()} />)
+
+    // One minute split across three steps
+    act(() => {
+      vi.advanceTimersByTime(20 * 1000)
+    })
+    expect(screen.getByText('Step 2 of 3')).toBeInTheDocument()
+
+    fireEvent.click(screen.getByText('Next'))
+    fireEvent.click(screen.getByText('Finish'))
+
+    expect(screen.getByText('Nicely done')).toBeInTheDocument()
+    expect(onComplete).toHaveBeenCalledWith(20)
+  })
+})
@@ -0,0 +1,44 @@
+import React from 'react'
+import { render, screen, fireEvent, waitFor } from '@testing-library/react'
+import { describe, it, expect, vi } from 'vitest'
+import MoodFeedback from '../MoodFeedback'
+
+describe('MoodFeedback', () => {
+  it('saves agreement straight away', async () => {
+    const onSubmit = vi.fn().mockResolvedValue({})
+    render(<MoodFeedback detectedMood="happy" onSubmit={onSubmit} />)
+
+    fireEvent.click(screen.getByText('👍 Yes'))
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith({ agreement: 'yes', correctedMood: null }))
+  })
+
+  it('asks for the mood the user felt when it was not a match', async () => {
+    const onSubmit = vi.fn().mockResolvedValue({})
+    render(<MoodFeedback detectedMood="happy" onSubmit={onSubmit} />)
+
+    fireEvent.click(screen.getByText('👎 No'))
+    expect(screen.queryByRole('option', { name: /happy/ })).not.toBeInTheDocument()
+    fireEvent.change(screen.getByLabelText(/How did you actually feel/), { target: { value: 'sad' } })
+    fireEvent.click(screen.getByText('Save'))
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalledWith({ agreement: 'no', correctedMood: 'sad' }))
+  })
+
+  it('keeps the prompt open with an error when saving fails', async () => {
+    const onSubmit = vi.fn().mockRejectedValue(new Error('Database quota exceeded'))
+    render(<MoodFeedback detectedMood="happy" onSubmit={onSubmit} />)
+
+    fireEvent.click(screen.getByText('👍 Yes'))
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('Database quota exceeded')
+    expect(screen.getByText('👍 Yes')).toBeInTheDocument()
+  })
+
+  it('summarizes feedback already given', () => {
+    render(<MoodFeedback detectedMood="happy" feedback={{ agreement: 'partly', correctedMood: 'tired' }} onSubmit={vi.fn()} />)
+
+    expect(screen.getByRole('status')).toHaveTextContent('partly matched')
+    expect(screen.getByRole('status')).toHaveTextContent('tired')
+  })
+})
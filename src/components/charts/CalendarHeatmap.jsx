@@ -0,0 +1,80 @@
+import React from 'react'
+import { getMoodColor } from '../../../shared/moodRegistry.js'
+import { toLocalDateString, getWeekdayIndex } from '../../utils/moodStats'
+
+const CELL = 14
+const GAP = 3
+const LABEL_WIDTH = 18
+const DAY_LABELS = ['M', '', 'W', '', 'F', '', 'S']
+
+/**
+ * Calendar heatmap of daily dominant moods, one column per week
+ * @param {Array} days - Daily buckets ({ bucket, dominantMood, total })
+ * @param {Date} endDate - Last day shown
+ * @param {number} weeks - Number of weeks shown
+ */
+function CalendarHeatmap({ days = [], endDate = new Date(), weeks = 12 }) {
+  const byDate = new Map(days.map(day => [day.bucket, day]))
+  const maxTotal = Math.max(1, ...days.map(day => day.total))
+
+  // Start on the Monday so each column is a full week
+  const start = new Date(endDate)
+  start.setHours(0, 0, 0, 0)
+  start.setDate(start.getDate() - getWeekdayIndex(start) - (weeks - 1) * 7)
+
+  const cells = []
+  for (let week = 0; week < weeks; week++) {
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const date = new Date(start)
+      date.setDate(start.getDate() + week * 7 + weekday)
+      if (date > endDate) continue
+
+      const dateString = toLocalDateString(date)
+      const day = byDate.get(dateString)
+      cells.push(
+        <rect
+          key={dateString}
+          x={LABEL_WIDTH + week * (CELL + GAP)}
+          y={weekday * (CELL + GAP)}
+          width={CELL}
+          height={CELL}
+          rx={3}
+          fill={day ? getMoodColor(day.dominantMood) : 'rgba(255, 255, 255, 0.08)'}
+          fillOpacity={day ? 0.45 + 0.55 * (day.total / maxTotal) : 1}
+        >
+          <title>
+            {day
+              ? `${dateString}: mostly ${day.dominantMood} (${day.total} ${day.total === 1 ? 'entry' : 'entries'})`
+              : `${dateString}: no entries`}
+          </title>
+        </rect>
+      )
+    }
+  }
+
+  const width = LABEL_WIDTH + weeks * (CELL + GAP)
+  const height = 7 * (CELL + GAP)
+
+  return (
+    <svg
+      className="chart calendar-heatmap"
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label={`Dominant mood per day over the last ${weeks} weeks`}
+    >
+      {DAY_LABELS.map((label, weekday) => label && (
+        <text
+          key={weekday}
+          className="chart-label"
+          x={0}
+          y={weekday * (CELL + GAP) + CELL - 3}
+        >
+          {label}
+        </text>
+      ))}
+      {cells}
+    </svg>
+  )
+}
+
+export default CalendarHeatmap
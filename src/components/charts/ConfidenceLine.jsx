@@ -0,0 +1,66 @@
+import React from 'react'
+
+const WIDTH = 320
+const HEIGHT = 140
+const PADDING = { top: 10, right: 10, bottom: 22, left: 34 }
+
+/**
+ * Line chart of average analysis confidence over time
+ * @param {Array} points - Ordered points ({ label, value } with value in 0-1)
+ */
+function ConfidenceLine({ points = [] }) {
+  const plotWidth = WIDTH - PADDING.left - PADDING.right
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom
+
+  const x = (index) => PADDING.left + (points.length > 1 ? (index / (points.length - 1)) * plotWidth : plotWidth / 2)
+  const y = (value) => PADDING.top + (1 - value) * plotHeight
+
+  const path = points.map((point, index) => `${x(index)},${y(point.value)}`).join(' ')
+
+  return (
+    <svg
+      className="chart confidence-line"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label="Average confidence over time"
+    >
+      {[0, 0.5, 1].map(tick => (
+        <g key={tick}>
+          <line
+            className="chart-gridline"
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(tick)}
+            y2={y(tick)}
+          />
+          <text className="chart-label" x={PADDING.left - 4} y={y(tick) + 4} textAnchor="end">
+            {Math.round(tick * 100)}%
+          </text>
+        </g>
+      ))}
+
+      {points.length > 0 && (
+        <>
+          <text className="chart-label" x={x(0)} y={HEIGHT - 4} textAnchor="start">
+            {points[0].label}
+          </text>
+          {points.length > 1 && (
+            <text className="chart-label" x={x(points.length - 1)} y={HEIGHT - 4} textAnchor="end">
+              {points[points.length - 1].label}
+            </text>
+          )}
+        </>
+      )}
+
+      {points.length > 1 && <polyline className="chart-line" points={path} fill="none" />}
+
+      {points.map((point, index) => (
+        <circle key={point.label} className="chart-point" cx={x(index)} cy={y(point.value)} r={3}>
+          <title>{`${point.label}: ${Math.round(point.value * 100)}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+export default ConfidenceLine
@@ -0,0 +1,71 @@
+import React from 'react'
+import { getMoodColor, getMoodEmoji } from '../../../shared/moodRegistry.js'
+
+const SIZE = 160
+const STROKE = 28
+const RADIUS = (SIZE - STROKE) / 2
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS
+
+/**
+ * Donut chart of mood distribution with a legend
+ * @param {Array} moods - Per-mood counts ({ mood, count })
+ */
+function MoodDonut({ moods = [] }) {
+  const total = moods.reduce((sum, mood) => sum + mood.count, 0)
+  let offset = 0
+
+  return (
+    <div className="mood-donut">
+      <svg
+        className="chart"
+        viewBox={`0 0 ${SIZE} ${SIZE}`}
+        role="img"
+        aria-label="Mood distribution"
+      >
+        <circle
+          cx={SIZE / 2}
+          cy={SIZE / 2}
+          r={RADIUS}
+          fill="none"
+          stroke="rgba(255, 255, 255, 0.08)"
+          strokeWidth={STROKE}
+        />
+        {total > 0 && moods.map(({ mood, count }) => {
+          const length = (count / total) * CIRCUMFERENCE
+          const segment = (
+            <circle
+              key={mood}
+              cx={SIZE / 2}
+              cy={SIZE / 2}
+              r={RADIUS}
+              fill="none"
+              stroke={getMoodColor(mood)}
+              strokeWidth={STROKE}
+              strokeDasharray={`${length} ${CIRCUMFERENCE - length}`}
+              strokeDashoffset={-offset}
+              transform={`rotate(-90 ${SIZE / 2} ${SIZE / 2})`}
+            >
+              <title>{`${mood}: ${count} (${Math.round((count / total) * 100)}%)`}</title>
+            </circle>
+          )
+          offset += length
+          return segment
+        })}
+        <text className="chart-center-value" x={SIZE / 2} y={SIZE / 2} textAnchor="middle" dominantBaseline="central">
+          {total}
+        </text>
+      </svg>
+
+      <ul className="chart-legend">
+        {moods.map(({ mood, count }) => (
+          <li key={mood}>
+            <span className="legend-swatch" style={{ backgroundColor: getMoodColor(mood) }}></span>
+            {getMoodEmoji(mood)} {mood} <span className="legend-count">{count}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+export default MoodDonut
@@ -0,0 +1,61 @@
+import React from 'react'
+
+const CELL = 11
+const GAP = 2
+const LABEL_WIDTH = 30
+const LABEL_HEIGHT = 14
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+
+/**
+ * Grid of entry counts by weekday (rows) and hour of day (columns)
+ * @param {Array} cells - Heatmap cells ({ dayOfWeek: 0 = Monday, hour, count })
+ */
+function WeekdayHourGrid({ cells = [] }) {
+  const counts = new Map(cells.map(cell => [`${cell.dayOfWeek}-${cell.hour}`, cell.count]))
+  const maxCount = Math.max(1, ...cells.map(cell => cell.count))
+
+  const width = LABEL_WIDTH + 24 * (CELL + GAP)
+  const height = LABEL_HEIGHT + 7 * (CELL + GAP)
+
+  return (
+    <svg
+      className="chart weekday-hour-grid"
+      viewBox={`0 0 ${width} ${height}`}
+      role="img"
+      aria-label="Entries by weekday and hour"
+    >
+      {[0, 6, 12, 18].map(hour => (
+        <text key={hour} className="chart-label" x={LABEL_WIDTH + hour * (CELL + GAP)} y={LABEL_HEIGHT - 4}>
+          {hour}h
+        </text>
+      ))}
+
+      {DAY_NAMES.map((dayName, dayOfWeek) => (
+        <g key={dayName}>
+          <text className="chart-label" x={0} y={LABEL_HEIGHT + dayOfWeek * (CELL + GAP) + CELL - 2}>
+            {dayName}
+          </text>
+          {Array.from({ length: 24 }, (_, hour) => {
+            const count = counts.get(`${dayOfWeek}-${hour}`) || 0
+            return (
+              <rect
+                key={hour}
+                className="grid-cell"
+                x={LABEL_WIDTH + hour * (CELL + GAP)}
+                y={LABEL_HEIGHT + dayOfWeek * (CELL + GAP)}
+                width={CELL}
+                height={CELL}
+                rx={2}
+                fillOpacity={count > 0 ? 0.25 + 0.75 * (count / maxCount) : 0.06}
+              >
+                <title>{`${dayName} ${hour}:00 - ${count} ${count === 1 ? 'entry' : 'entries'}`}</title>
+              </rect>
+            )
+          })}
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+export default WeekdayHourGrid
@@ -14,17 +14,7 @@ export const BRANDING = {
     SECONDARY: '#EC4899', // Pink
     SUCCESS: '#10B981', // Emerald
     WARNING: '#F59E0B', // Amber
-    ERROR: '#EF4444', // Red
-    
-    // Mood colors
-    HAPPY: '#FFD700', // Gold
-    CALM: '#87CEEB', // Sky Blue
-    EXCITED: '#FF6B6B', // Coral
-    PEACEFUL: '#98D8C8', // Mint
-    ANXIOUS: '#FFA07A', // Light Salmon
-    CREATIVE: '#DDA0DD', // Plum
-    ENERGETIC: '#FF7F50', // Coral
-    CONTEMPLATIVE: '#B0C4DE' // Light Steel Blue
+    ERROR: '#EF4444' // Red
   },
   
   // App metadata
@@ -41,7 +31,8 @@ export const BRANDING = {
     DRAWING: 'Mood Canvas',
     ANALYSIS: 'Mood Insights',
     RECOMMENDATIONS: 'Spot Finder',
-    HISTORY: 'Mood Journey'
+    HISTORY: 'Mood Journey',
+    TRENDS: 'Mood Trends'
   },
   
   // UI Text
@@ -55,13 +46,8 @@ export const BRANDING = {
   }
 }
 
-/**
- * Get mood color by name
- */
-export function getMoodColor(mood) {
-  const normalizedMood = mood.toUpperCase()
-  return BRANDING.COLORS[normalizedMood] || BRANDING.COLORS.PRIMARY
-}
+// Mood colors live in the mood registry
+export { getMoodColor } from '../../shared/moodRegistry.js'
 
 /**
  * Get app title with tagline
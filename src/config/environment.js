@@ -1,6 +1,7 @@
 /**
  * Environment Configuration
- * Manages API keys, limits, and environment-specific settings
+ * Manages limits and environment-specific settings
+ * OpenAI and Google Places keys live on the backend (backend/.env), never in the browser
  */
 
 // API Rate Limits (daily)
@@ -31,90 +32,51 @@ export const APP_CONFIG = {
   MAX_DRAWING_SIZE: 800, // Max canvas dimension for API optimization
   IMAGE_QUALITY: 0.8, // JPEG quality for canvas export
   CACHE_DURATION: 60 * 60 * 1000, // 1 hour cache duration
+  ANALYSIS_CACHE_MAX_ENTRIES: 50, // Cached analyses kept before the least recently used is evicted
   MAX_MOOD_HISTORY: 50, // Maximum mood entries to keep
   CLEANUP_INTERVAL: 7 * 24 * 60 * 60 * 1000 // Weekly cleanup
 }
 
-// Mood to Business Category Mapping
-export const MOOD_BUSINESS_MAPPING = {
-  happy: ['restaurant', 'amusement_park', 'shopping_mall', 'movie_theater', 'park'],
-  excited: ['amusement_park', 'night_club', 'bowling_alley', 'movie_theater', 'shopping_mall'],
-  calm: ['spa', 'park', 'library', 'cafe', 'museum'],
-  peaceful: ['park', 'spa', 'library', 'church', 'museum'],
-  anxious: ['spa', 'park', 'cafe', 'gym', 'library'],
-  stressed: ['spa', 'gym', 'park', 'cafe', 'massage'],
-  sad: ['cafe', 'library', 'park', 'movie_theater', 'restaurant'],
-  angry: ['gym', 'park', 'spa', 'bowling_alley', 'massage'],
-  tired: ['cafe', 'spa', 'park', 'restaurant', 'massage'],
-  energetic: ['gym', 'amusement_park', 'shopping_mall', 'bowling_alley', 'park'],
-  creative: ['art_gallery', 'museum', 'library', 'cafe', 'bookstore'],
-  social: ['restaurant', 'bar', 'movie_theater', 'shopping_mall', 'cafe'],
-  contemplative: ['library', 'museum', 'park', 'cafe', 'church'],
-  playful: ['amusement_park', 'bowling_alley', 'arcade', 'park', 'movie_theater']
-}
+// Mood to place type mapping lives in the mood registry (moodRegistry.js)
 
-// Default business categories (fallback)
-export const DEFAULT_BUSINESS_CATEGORIES = [
-  'restaurant', 'cafe', 'park', 'shopping_mall', 'movie_theater'
-]
+// How drawings are analyzed: the OpenAI API, any OpenAI-compatible server,
+// offline heuristics, or random demo data
+export const ANALYSIS_MODES = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai-compatible',
+  OFFLINE: 'offline',
+  MOCK: 'mock'
+}
 
 /**
- * Get API key from environment variables
- * In production, these should be set as environment variables
- * For development, you can create a .env file
+ * Get the analysis mode set with VITE_ANALYSIS_MODE
+ * @returns {string|null} One of ANALYSIS_MODES, or null when unset or unknown
  */
-export function getApiKey(service) {
-  switch (service) {
-    case 'openai':
-      return import.meta.env.VITE_OPENAI_API_KEY || process.env.VITE_OPENAI_API_KEY
-    case 'googlePlaces':
-      return import.meta.env.VITE_GOOGLE_PLACES_API_KEY || process.env.VITE_GOOGLE_PLACES_API_KEY
-    default:
-      console.error(`Unknown API service: ${service}`)
-      return null
-  }
+export function getAnalysisMode() {
+  const mode = import.meta.env.VITE_ANALYSIS_MODE || process.env.VITE_ANALYSIS_MODE
+  return Object.values(ANALYSIS_MODES).includes(mode) ? mode : null
 }
 
 /**
- * Validate that required API keys are present
+ * Whether mock and fallback analyses are saved to history and TiDB
+ * (VITE_STORE_SYNTHETIC_RESULTS=true). Off by default so they never skew statistics.
+ * @returns {boolean}
  */
-export function validateApiKeys() {
-  const openaiKey = getApiKey('openai')
-  const googleKey = getApiKey('googlePlaces')
-  
-  const missing = []
-  if (!openaiKey) missing.push('VITE_OPENAI_API_KEY')
-  if (!googleKey) missing.push('VITE_GOOGLE_PLACES_API_KEY')
-  
-  if (missing.length > 0) {
-    console.warn('Missing API keys:', missing.join(', '))
-    console.warn('Please set these environment variables for full functionality')
-    return false
-  }
-  
-  return true
+export function shouldStoreSyntheticResults() {
+  return (import.meta.env.VITE_STORE_SYNTHETIC_RESULTS || process.env.VITE_STORE_SYNTHETIC_RESULTS) === 'true'
 }
 
 /**
- * Get business categories for a detected mood
+ * Get settings for an OpenAI-compatible analysis server
+ * VITE_ANALYSIS_BASE_URL is required; the model falls back to the OpenAI model.
+ * There is no API key: VITE_ variables are built into the public bundle, so the
+ * browser only calls servers that need none, such as a self-hosted model.
  */
-export function getBusinessCategoriesForMood(mood) {
-  const normalizedMood = mood.toLowerCase().trim()
-  
-  // Direct match
-  if (MOOD_BUSINESS_MAPPING[normalizedMood]) {
-    return MOOD_BUSINESS_MAPPING[normalizedMood]
-  }
-  
-  // Partial match
-  for (const [moodKey, categories] of Object.entries(MOOD_BUSINESS_MAPPING)) {
-    if (normalizedMood.includes(moodKey) || moodKey.includes(normalizedMood)) {
-      return categories
-    }
+export function getCompatibleProviderConfig() {
+  return {
+    baseUrl: import.meta.env.VITE_ANALYSIS_BASE_URL || process.env.VITE_ANALYSIS_BASE_URL || null,
+    model: import.meta.env.VITE_ANALYSIS_MODEL || process.env.VITE_ANALYSIS_MODEL || API_CONFIG.OPENAI.MODEL
   }
-  
-  // Fallback to default categories
-  return DEFAULT_BUSINESS_CATEGORIES
 }
 
 /**
@@ -145,8 +107,8 @@ export function logConfigStatus() {
   if (isDevelopment()) {
     console.log('🔧 Environment Configuration:')
     console.log('- Environment:', getEnvironment())
-    console.log('- OpenAI API Key:', getApiKey('openai') ? '✅ Set' : '❌ Missing')
-    console.log('- Google Places API Key:', getApiKey('googlePlaces') ? '✅ Set' : '❌ Missing')
+    console.log('- API Keys: held by the backend (see backend/.env)')
+    console.log('- Analysis Mode:', getAnalysisMode() || 'auto')
     console.log('- API Limits:', API_LIMITS)
     console.log('- App Config:', APP_CONFIG)
   }
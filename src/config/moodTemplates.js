@@ -0,0 +1,145 @@
+/**
+ * MoodSpot Mood Templates
+ * Descriptions and wellness recommendations for each of the 15 moods, used by
+ * the offline and mock analysis providers
+ */
+
+export const MOOD_TEMPLATES = {
+  happy: {
+    confidenceRange: [0.85, 0.95],
+    description: 'Your drawing radiates joy with bright colors and uplifting strokes.',
+    recommendations: [
+      { title: 'Share Your Joy', description: 'Call a friend and share this positive energy with someone you care about.', icon: '📞' },
+      { title: 'Celebrate This Moment', description: 'Take a photo or write in a gratitude journal to capture this happiness.', icon: '📸' },
+      { title: 'Spread Positivity', description: 'Do something kind for someone else to multiply your joy.', icon: '🌟' }
+    ]
+  },
+  sad: {
+    confidenceRange: [0.75, 0.9],
+    description: 'Your drawing shows gentle, melancholic tones suggesting you need comfort.',
+    recommendations: [
+      { title: 'Gentle Self-Care', description: 'Make yourself a warm drink and wrap up in something cozy.', icon: '☕' },
+      { title: 'Connect with Support', description: 'Reach out to a trusted friend or family member for a caring conversation.', icon: '🤗' },
+      { title: 'Honor Your Feelings', description: 'Allow yourself to feel sad - it\'s okay and this emotion will pass.', icon: '💙' }
+    ]
+  },
+  anxious: {
+    confidenceRange: [0.78, 0.9],
+    description: 'Your drawing shows tension and worried energy in the lines and composition.',
+    recommendations: [
+      { title: 'Deep Breathing', description: 'Try 4-7-8 breathing: inhale for 4, hold for 7, exhale for 8 counts.', icon: '🫁' },
+      { title: 'Grounding Exercise', description: 'Name 5 things you see, 4 you can touch, 3 you hear, 2 you smell, 1 you taste.', icon: '🌱' },
+      { title: 'Gentle Movement', description: 'Take a slow walk or do gentle stretches to release physical tension.', icon: '🚶' }
+    ]
+  },
+  calm: {
+    confidenceRange: [0.82, 0.9],
+    description: 'Your drawing displays peaceful, flowing lines suggesting inner tranquility.',
+    recommendations: [
+      { title: 'Mindful Moment', description: 'Sit quietly and focus on your breath for 5 minutes to deepen this calm.', icon: '🧘' },
+      { title: 'Nature Connection', description: 'Step outside or look out a window to connect with natural beauty.', icon: '🌿' },
+      { title: 'Peaceful Activity', description: 'Read something inspiring or listen to gentle music.', icon: '📚' }
+    ]
+  },
+  creative: {
+    confidenceRange: [0.87, 0.95],
+    description: 'Your drawing shows artistic flair and imaginative expression.',
+    recommendations: [
+      { title: 'Capture Ideas', description: 'Write down or sketch any creative inspirations while they\'re fresh.', icon: '💡' },
+      { title: 'Explore Art', description: 'Try a new artistic medium or visit a gallery for inspiration.', icon: '🎨' },
+      { title: 'Creative Project', description: 'Start or continue a creative project that excites you.', icon: '✨' }
+    ]
+  },
+  energetic: {
+    confidenceRange: [0.89, 0.95],
+    description: 'Your drawing pulses with dynamic energy and vibrant movement.',
+    recommendations: [
+      { title: 'Physical Activity', description: 'Channel this energy into exercise, dancing, or active movement.', icon: '💃' },
+      { title: 'Productive Tasks', description: 'Tackle that project or task you\'ve been putting off.', icon: '⚡' },
+      { title: 'Social Energy', description: 'Connect with friends for an energizing activity or conversation.', icon: '👥' }
+    ]
+  },
+  tired: {
+    confidenceRange: [0.73, 0.85],
+    description: 'Your drawing shows fatigue with heavy, weary strokes.',
+    recommendations: [
+      { title: 'Rest Permission', description: 'Give yourself permission to rest without guilt - you deserve it.', icon: '😴' },
+      { title: 'Gentle Restoration', description: 'Take a warm bath or shower to refresh your body and mind.', icon: '🛁' },
+      { title: 'Energy Foods', description: 'Eat something nourishing and drink plenty of water.', icon: '🍎' }
+    ]
+  },
+  angry: {
+    confidenceRange: [0.84, 0.95],
+    description: 'Your drawing shows sharp, aggressive strokes indicating intense anger.',
+    recommendations: [
+      { title: 'Safe Physical Release', description: 'Punch a pillow, do jumping jacks, or go for a vigorous run.', icon: '🥊' },
+      { title: 'Cool Down Time', description: 'Take 10 deep breaths and count to 20 before responding.', icon: '❄️' },
+      { title: 'Express Safely', description: 'Write about your anger or talk to someone you trust.', icon: '✍️' }
+    ]
+  },
+  excited: {
+    confidenceRange: [0.91, 0.98],
+    description: 'Your drawing bursts with enthusiasm and anticipatory energy.',
+    recommendations: [
+      { title: 'Channel Excitement', description: 'Use this energy to work on something you\'re passionate about.', icon: '🚀' },
+      { title: 'Share the Buzz', description: 'Tell someone about what\'s got you so excited!', icon: '📢' },
+      { title: 'Plan Action', description: 'Make concrete plans to act on whatever is exciting you.', icon: '📋' }
+    ]
+  },
+  peaceful: {
+    confidenceRange: [0.86, 0.95],
+    description: 'Your drawing emanates serenity with soft, harmonious lines.',
+    recommendations: [
+      { title: 'Savor the Peace', description: 'Sit quietly and fully experience this beautiful sense of calm.', icon: '🕊️' },
+      { title: 'Meditation Time', description: 'Spend 10-15 minutes in peaceful meditation or prayer.', icon: '🧘‍♀️' },
+      { title: 'Share Serenity', description: 'Be a calming presence for someone who might need it.', icon: '☮️' }
+    ]
+  },
+  confident: {
+    confidenceRange: [0.88, 0.96],
+    description: 'Your drawing shows bold, decisive strokes reflecting strong self-assurance.',
+    recommendations: [
+      { title: 'Take Bold Action', description: 'Use this confidence to tackle something challenging.', icon: '💪' },
+      { title: 'Lead Others', description: 'Step up and offer leadership or guidance to someone.', icon: '👑' },
+      { title: 'Set Big Goals', description: 'This is the perfect time to aim high and dream big.', icon: '🎯' }
+    ]
+  },
+  overwhelmed: {
+    confidenceRange: [0.81, 0.95],
+    description: 'Your drawing shows chaotic, overlapping lines suggesting you feel swamped.',
+    recommendations: [
+      { title: 'Priority List', description: 'Write down everything, then pick just the top 3 most important items.', icon: '📝' },
+      { title: 'Take a Break', description: 'Step away for 15 minutes - even overwhelm needs a pause.', icon: '⏸️' },
+      { title: 'Ask for Help', description: 'Reach out to someone who can assist or just listen.', icon: '🆘' }
+    ]
+  },
+  lonely: {
+    confidenceRange: [0.77, 0.9],
+    description: 'Your drawing has isolated elements suggesting you\'re feeling disconnected.',
+    recommendations: [
+      { title: 'Reach Out', description: 'Send a text or make a call to someone you care about.', icon: '📱' },
+      { title: 'Join Something', description: 'Look for a group, class, or community activity to join.', icon: '👥' },
+      { title: 'Self-Compassion', description: 'Be gentle with yourself - loneliness is temporary and normal.', icon: '💝' }
+    ]
+  },
+  frustrated: {
+    confidenceRange: [0.85, 0.95],
+    description: 'Your drawing shows blocked, jagged energy indicating frustration.',
+    recommendations: [
+      { title: 'Step Away', description: 'Take a break from whatever is frustrating you right now.', icon: '🚪' },
+      { title: 'Physical Release', description: 'Do some vigorous exercise to discharge the frustrated energy.', icon: '🏃' },
+      { title: 'New Approach', description: 'Try tackling the problem from a completely different angle.', icon: '🔄' }
+    ]
+  },
+  inspired: {
+    confidenceRange: [0.93, 0.98],
+    description: 'Your drawing flows with creative inspiration and visionary energy.',
+    recommendations: [
+      { title: 'Capture the Vision', description: 'Write down or sketch your inspired ideas immediately.', icon: '💡' },
+      { title: 'Take Action', description: 'Start working on whatever is inspiring you - strike while the iron is hot!', icon: '⚡' },
+      { title: 'Share Inspiration', description: 'Tell others about your vision - inspiration is contagious.', icon: '✨' }
+    ]
+  }
+}
+
+export default MOOD_TEMPLATES
@@ -0,0 +1,134 @@
+/**
+ * useMoodAdvice Hook
+ * React hook for structured MoodAdviceService advice, personalized with the
+ * locally stored mood history and the guided exercises the user completed
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { localStorageManager, moodAdviceService } from '../services'
+
+// Number of past entries and completions used to personalize advice
+const HISTORY_LIMIT = 20
+
+/**
+ * Turn stored mood entries and exercise completions into the session shape
+ * MoodAdviceService expects. Only completed exercises count as used advice,
+ * so the historical boost reflects what the user actually did.
+ * @param {Array} entries - Mood entries from LocalStorageManager
+ * @param {Array} completions - Exercise completions from LocalStorageManager
+ * @param {string} currentImage - Drawing of the result being advised, excluded from history
+ * @returns {Array} Previous sessions ({ mood, timestamp, advice })
+ */
+function toAdviceSessions(entries, completions, currentImage) {
+  const moodSessions = entries
+    .filter(entry => entry.analysis?.primaryMood && entry.imageData !== currentImage)
+    .map(entry => ({
+      mood: entry.analysis.primaryMood,
+      timestamp: entry.timestamp,
+      advice: []
+    }))
+
+  const exerciseSessions = completions.map(completion => ({
+    mood: completion.mood,
+    timestamp: completion.completedAt,
+    advice: [{ category: completion.category, title: completion.title }]
+  }))
+
+  return [...moodSessions, ...exerciseSessions]
+}
+
+/**
+ * Custom hook for structured mood advice
+ * @param {Object} analysisResult - UI analysis result from useMoodAnalysis
+ * @returns {Object} Advice recommendation state
+ */
+export function useMoodAdvice(analysisResult) {
+  const [recommendation, setRecommendation] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+
+  const primaryMood = analysisResult?.primaryMood
+  const confidence = analysisResult?.confidence
+  const emotions = analysisResult?.emotions
+  const currentImage = analysisResult?.drawingData?.dataUrl
+
+  useEffect(() => {
+    if (!primaryMood) {
+      setRecommendation(null)
+      return
+    }
+
+    let cancelled = false
+
+    const loadAdvice = async () => {
+      setIsLoading(true)
+
+      let history = []
+      try {
+        const [entries, completions] = await Promise.all([
+          localStorageManager.getMoodHistory(HISTORY_LIMIT),
+          localStorageManager.getExerciseCompletions(HISTORY_LIMIT)
+        ])
+        history = toAdviceSessions(entries, completions, currentImage)
+      } catch (error) {
+        // Advice still works without personalization
+        console.warn('⚠️ ADVICE: Could not load mood history:', error)
+      }
+
+      try {
+        const result = moodAdviceService.getAdviceForMood({
+          primaryMood,
+          confidence: confidence || 0,
+          emotions: emotions || []
+        }, history)
+
+        if (!cancelled) {
+          setRecommendation(result)
+        }
+      } catch (error) {
+        console.error('❌ ADVICE: Failed to build advice:', error)
+        if (!cancelled) {
+          setRecommendation(null)
+        }
+      } finally {
+        if (!cancelled) {
+          setIsLoading(false)
+        }
+      }
+    }
+
+    loadAdvice()
+
+    return () => {
+      cancelled = true
+    }
+  }, [primaryMood, confidence, emotions, currentImage])
+
+  /**
+   * Record that the user finished a guided exercise
+   * @param {Object} advice - Completed advice item
+   * @param {number} secondsSpent - Time spent in the exercise player
+   */
+  const recordCompletion = useCallback(async (advice, secondsSpent) => {
+    try {
+      await localStorageManager.saveExerciseCompletion({
+        category: advice.category,
+        title: advice.title,
+        mood: primaryMood,
+        secondsSpent,
+        stepCount: advice.actionSteps?.length || 0
+      })
+      console.log('✅ ADVICE: Recorded exercise completion', advice.title)
+    } catch (error) {
+      // The user still finished the exercise, so never surface this
+      console.error('❌ ADVICE: Failed to record exercise completion:', error)
+    }
+  }, [primaryMood])
+
+  return {
+    recommendation,
+    isLoading,
+    recordCompletion
+  }
+}
+
+export default useMoodAdvice
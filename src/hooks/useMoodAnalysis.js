@@ -1,5 +1,8 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
 import { moodAnalysisService } from '../services'
+import { AnalysisError } from '../../shared/errors.js'
+import { ANALYSIS_MODES } from '../config/environment.js'
+import { getMoodEmoji, getMoodColor, getPlaceTypesForMood } from '../../shared/moodRegistry.js'
 
 const mockAnalysisResults = [
   {
@@ -73,8 +76,128 @@ const mockAnalysisResults = [
   }
 ]
 
+// Display names for placeholder spots shown before a location search
+const GENERIC_PLACE_NAMES = {
+  cafe: 'Local Coffee Shop',
+  park: 'Community Park',
+  shopping_mall: 'Shopping Center',
+  library: 'Local Library',
+  spa: 'Wellness Spa',
+  gym: 'Neighborhood Gym',
+  restaurant: 'Popular Restaurant',
+  amusement_park: 'Entertainment Center',
+  movie_theater: 'Movie Theater',
+  museum: 'Local Museum',
+  art_gallery: 'Art Gallery',
+  bookstore: 'Bookstore',
+  bowling_alley: 'Bowling Alley',
+  sports_complex: 'Sports Complex',
+  community_center: 'Community Center'
+}
+
+// Helper function to get generic recommendations when location is not available
+function getGenericRecommendationsForMood(mood) {
+  return getPlaceTypesForMood(mood).slice(0, 3).map(category => ({
+    placeId: `generic-${category}`,
+    name: GENERIC_PLACE_NAMES[category] || 'Nearby Spot',
+    category,
+    rating: 0,
+    distance: 0,
+    address: 'Nearby location',
+    isOpen: null
+  }))
+}
+
+/**
+ * Get the ranked emotion breakdown of an analysis result
+ * Results stored before the breakdown existed only carry the primary mood
+ * @param {Object} analysisResult - Result from MoodAnalysisService
+ * @returns {Array} Emotions ({ name, intensity }), strongest first
+ */
+function getEmotionBreakdown(analysisResult) {
+  const emotions = Array.isArray(analysisResult.emotions)
+    ? analysisResult.emotions.filter(emotion => emotion && typeof emotion.name === 'string')
+    : []
+
+  if (emotions.length > 0) {
+    return emotions
+  }
+
+  return [{ name: analysisResult.primaryMood, intensity: analysisResult.confidence || 1 }]
+}
+
+/**
+ * Transform a MoodAnalysisService result into the shape the screens render
+ * @param {Object} analysisResult - Result from MoodAnalysisService.analyzeMood
+ * @param {Object} drawingData - Canvas export data the analysis was made from
+ * @param {string} analysisTimestamp - When the analysis was made (defaults to now)
+ * @returns {Object} UI analysis result
+ */
+export function transformAnalysisResult(analysisResult, drawingData, analysisTimestamp = new Date().toISOString()) {
+  return {
+    mood: analysisResult.primaryMood,
+    primaryMood: analysisResult.primaryMood, // Keep both for compatibility
+    emoji: getMoodEmoji(analysisResult.primaryMood),
+    color: getMoodColor(analysisResult.primaryMood),
+    description: analysisResult.description,
+    confidence: analysisResult.confidence,
+    confidenceDefaulted: analysisResult.confidenceDefaulted || false,
+    calibration: analysisResult.calibration || null,
+    emotions: getEmotionBreakdown(analysisResult),
+    businessCategories: analysisResult.businessCategories || [],
+    recommendations: analysisResult.recommendations || [], // Use real API recommendations
+    businessRecommendations: getGenericRecommendationsForMood(analysisResult.primaryMood),
+    drawingData,
+    analysisTimestamp,
+    processingTime: analysisResult.processingTime || 0,
+    isMockData: analysisResult.isMockData || false,
+    isFallback: Boolean(analysisResult.isFallback || analysisResult.metadata?.isFallback),
+    fallbackReason: analysisResult.fallbackReason || analysisResult.metadata?.error || null,
+    isOfflineAnalysis: analysisResult.isOfflineAnalysis || false,
+    fromCache: analysisResult.fromCache || false,
+    cachedAt: analysisResult.cachedAt || null,
+    entryId: analysisResult.entryId || null,
+    feedback: analysisResult.feedback || null,
+    storageError: analysisResult.storageError || null
+  }
+}
+
+/**
+ * Transform a streamed partial analysis into the shape AnalysisScreen renders
+ * @param {Object} partial - Partial result from MoodAnalysisService's onPartial
+ * @returns {Object} UI partial result (mood is null until it has arrived)
+ */
+export function transformPartialAnalysis(partial) {
+  const mood = partial.primaryMood || null
+  return {
+    mood,
+    primaryMood: mood,
+    emoji: mood ? getMoodEmoji(mood) : null,
+    color: mood ? getMoodColor(mood) : null,
+    description: partial.description || '',
+    confidence: partial.confidence,
+    recommendations: partial.recommendations || [],
+    isPartial: true
+  }
+}
+
+// The analysis in flight, shared by every useMoodAnalysis instance so that
+// AnalysisScreen can show results streaming in for an analysis HomeScreen started.
+// error is the last failure ({ type, message, recovery, ... } from shared/errors.js)
+let liveAnalysis = { isAnalyzing: false, partialResult: null, error: null }
+const liveAnalysisListeners = new Set()
+
+// The drawing behind the last failed analysis, kept so any screen can retry it
+let failedDrawing = null
+
+function updateLiveAnalysis(changes, finalResult = null) {
+  liveAnalysis = { ...liveAnalysis, ...changes }
+  liveAnalysisListeners.forEach(listener => listener(liveAnalysis, finalResult))
+}
+
 function useMoodAnalysis() {
   const [isAnalyzing, setIsAnalyzing] = useState(false)
+  const [live, setLive] = useState(liveAnalysis)
   const [analysisResult, setAnalysisResult] = useState(() => {
     // Try to restore from sessionStorage on initialization
     try {
@@ -89,10 +212,38 @@ function useMoodAnalysis() {
     return null
   })
 
-  const analyzeDrawing = async (exportData = null) => {
+  useEffect(() => {
+    const listener = (state, finalResult) => {
+      setLive(state)
+      // Instances that mounted mid-stream pick up the finished result too
+      if (finalResult) {
+        setAnalysisResult(finalResult)
+      }
+    }
+
+    liveAnalysisListeners.add(listener)
+    setLive(liveAnalysis)
+    return () => {
+      liveAnalysisListeners.delete(listener)
+    }
+  }, [])
+
+  /**
+   * Analyze a drawing, streaming partial results where the provider supports it
+   * @param {Object} exportData - Canvas export data from DrawingCanvas
+   * @param {Object} options
+   * @param {Function} options.onPartial - Called with each UI partial result
+   * @param {boolean} options.realOnly - Skip the mock provider (see MoodAnalysisService.analyzeMood)
+   * @param {boolean} options.bypassCache - Analyze again even if the drawing has a cached analysis
+   * @returns {Promise<Object>} UI analysis result
+   */
+  const analyzeDrawing = async (exportData = null, { onPartial = null, realOnly = false, bypassCache = false } = {}) => {
     console.log('🧠 Starting mood analysis...', exportData)
     setIsAnalyzing(true)
     setAnalysisResult(null)
+    updateLiveAnalysis({ isAnalyzing: true, partialResult: null, error: null })
+    failedDrawing = null
+    let finalResult = null
     
     // Clear sessionStorage when starting new analysis
     try {
@@ -117,32 +268,26 @@ function useMoodAnalysis() {
       // Use the actual MoodAnalysisService
       console.log('🔍 Using MoodAnalysisService for real analysis...')
       
-      const analysisResult = await moodAnalysisService.analyzeMood(exportData)
+      const analysisResult = await moodAnalysisService.analyzeMood(exportData, {
+        realOnly,
+        bypassCache,
+        onPartial: (partial) => {
+          const partialResult = transformPartialAnalysis(partial)
+          updateLiveAnalysis({ partialResult })
+          if (onPartial) {
+            onPartial(partialResult)
+          }
+        }
+      })
       
       console.log('✅ Real analysis result:', analysisResult)
       
       // Skip location-based recommendations during analysis for faster response
       // Location recommendations will be fetched later in RecommendationsScreen
       console.log('⚡ Skipping location recommendations for faster analysis')
-      const businessRecommendations = getGenericRecommendationsForMood(analysisResult.primaryMood)
 
       // Transform the result to match the expected format for the UI
-      const transformedResult = {
-        mood: analysisResult.primaryMood,
-        primaryMood: analysisResult.primaryMood, // Keep both for compatibility
-        emoji: getMoodEmoji(analysisResult.primaryMood),
-        color: getMoodColor(analysisResult.primaryMood),
-        description: analysisResult.description,
-        confidence: analysisResult.confidence,
-        emotions: analysisResult.emotions || [analysisResult.primaryMood],
-        businessCategories: analysisResult.businessCategories || [],
-        recommendations: analysisResult.recommendations || [], // Use real API recommendations
-        businessRecommendations: businessRecommendations, // Add business recommendations
-        drawingData: exportData,
-        analysisTimestamp: new Date().toISOString(),
-        processingTime: analysisResult.processingTime || 0,
-        isMockData: analysisResult.isMockData || false
-      }
+      const transformedResult = transformAnalysisResult(analysisResult, exportData)
       
       // Validate the transformed result
       if (!transformedResult.mood || !transformedResult.description) {
@@ -161,12 +306,20 @@ function useMoodAnalysis() {
       }
       
       console.log('🎉 Analysis completed successfully!')
+      finalResult = transformedResult
       return transformedResult
       
     } catch (error) {
       console.error('❌ Analysis failed:', error)
+
+      // Typed failures go to the screens, which offer the matching recovery
+      if (error instanceof AnalysisError) {
+        failedDrawing = exportData
+        updateLiveAnalysis({ error: error.toJSON() })
+        return null
+      }
       
-      // Create a fallback result for any error
+      // Create a fallback result for any other error
       const fallbackMood = 'creative'
       const fallbackResult = {
         mood: fallbackMood,
@@ -175,7 +328,7 @@ function useMoodAnalysis() {
         color: getMoodColor(fallbackMood),
         description: 'Your drawing shows creative expression. We encountered an issue with detailed analysis, but your creativity shines through!',
         confidence: 0.7,
-        emotions: [fallbackMood],
+        emotions: [{ name: fallbackMood, intensity: 0.7 }],
         businessCategories: ['cafe', 'art_gallery', 'park'],
         recommendations: [
           {
@@ -198,8 +351,9 @@ function useMoodAnalysis() {
         drawingData: exportData,
         analysisTimestamp: new Date().toISOString(),
         processingTime: 0,
-        isMockData: true,
-        isError: false // Don't mark as error, just use fallback
+        isMockData: false,
+        isFallback: true, // Never stored; AnalysisScreen offers a real retry
+        fallbackReason: error.message
       }
       
       console.log('🔄 Using fallback analysis result:', fallbackResult)
@@ -212,82 +366,111 @@ function useMoodAnalysis() {
         console.warn('Failed to save fallback to sessionStorage:', error)
       }
       
+      finalResult = fallbackResult
       return fallbackResult
     } finally {
       setIsAnalyzing(false)
+      updateLiveAnalysis({ isAnalyzing: false, partialResult: null }, finalResult)
     }
   }
 
-  // Helper function to get emoji for mood (15 categories)
-  const getMoodEmoji = (mood) => {
-    const emojiMap = {
-      happy: '😊',
-      sad: '😢',
-      anxious: '😰',
-      calm: '😌',
-      creative: '🎨',
-      energetic: '⚡',
-      tired: '😴',
-      angry: '😠',
-      excited: '🤩',
-      peaceful: '☮️',
-      confident: '💪',
-      overwhelmed: '🤯',
-      lonely: '😔',
-      frustrated: '😤',
-      inspired: '✨'
+  /**
+   * Analyze the drawing behind the last failure again
+   * @returns {Promise<Object|null>} UI analysis result, or null when it failed again
+   */
+  const retryAnalysis = async (options = {}) => {
+    if (!failedDrawing) {
+      return null
     }
-    return emojiMap[mood.toLowerCase()] || '😐'
+    return analyzeDrawing(failedDrawing, options)
+  }
+
+  /**
+   * Switch to on-device analysis for the rest of the session and retry the failed drawing
+   * @returns {Promise<Object|null>} UI analysis result
+   */
+  const switchToOfflineMode = async (options = {}) => {
+    moodAnalysisService.setAnalysisModeOverride(ANALYSIS_MODES.OFFLINE)
+    return retryAnalysis(options)
   }
 
-  // Helper function to get color for mood (15 categories)
-  const getMoodColor = (mood) => {
-    const colorMap = {
-      happy: '#FFD700',
-      sad: '#6495ED',
-      anxious: '#FF6B6B',
-      calm: '#87CEEB',
-      creative: '#FF69B4',
-      energetic: '#32CD32',
-      tired: '#9370DB',
-      angry: '#DC143C',
-      excited: '#FF6B35',
-      peaceful: '#98FB98',
-      confident: '#FF8C00',
-      overwhelmed: '#FF4444',
-      lonely: '#708090',
-      frustrated: '#CD5C5C',
-      inspired: '#DA70D6'
+  /**
+   * Analyze the drawing behind the current mock or fallback result for real
+   * @returns {Promise<Object|null>} UI analysis result, or null without a drawing to retry
+   */
+  const retryRealAnalysis = async (options = {}) => {
+    const drawingData = analysisResult?.drawingData
+    if (!drawingData?.dataUrl) {
+      return null
     }
-    return colorMap[mood.toLowerCase()] || '#808080'
+    return analyzeDrawing(drawingData, { ...options, realOnly: true })
   }
 
-  // Helper function to get generic recommendations when location is not available
-  const getGenericRecommendationsForMood = (mood) => {
-    const genericRecommendations = {
-      happy: [
-        { placeId: 'generic-1', name: 'Local Coffee Shop', category: 'cafe', rating: 4.2, distance: 0, address: 'Nearby location', isOpen: null },
-        { placeId: 'generic-2', name: 'Community Park', category: 'park', rating: 4.5, distance: 0, address: 'Nearby location', isOpen: true },
-        { placeId: 'generic-3', name: 'Shopping Center', category: 'shopping_mall', rating: 4.0, distance: 0, address: 'Nearby location', isOpen: null }
-      ],
-      sad: [
-        { placeId: 'generic-4', name: 'Cozy Cafe', category: 'cafe', rating: 4.3, distance: 0, address: 'Nearby location', isOpen: null },
-        { placeId: 'generic-5', name: 'Local Library', category: 'library', rating: 4.4, distance: 0, address: 'Nearby location', isOpen: true },
-        { placeId: 'generic-6', name: 'Quiet Park', category: 'park', rating: 4.2, distance: 0, address: 'Nearby location', isOpen: true }
-      ],
-      anxious: [
-        { placeId: 'generic-7', name: 'Wellness Spa', category: 'spa', rating: 4.6, distance: 0, address: 'Nearby location', isOpen: null },
-        { placeId: 'generic-8', name: 'Peaceful Park', category: 'park', rating: 4.3, distance: 0, address: 'Nearby location', isOpen: true },
-        { placeId: 'generic-9', name: 'Meditation Center', category: 'gym', rating: 4.1, distance: 0, address: 'Nearby location', isOpen: null }
-      ],
-      excited: [
-        { placeId: 'generic-10', name: 'Entertainment Center', category: 'amusement_park', rating: 4.4, distance: 0, address: 'Nearby location', isOpen: null },
-        { placeId: 'generic-11', name: 'Popular Restaurant', category: 'restaurant', rating: 4.2, distance: 0, address: 'Nearby location', isOpen: null },
-        { placeId: 'generic-12', name: 'Shopping Mall', category: 'shopping_mall', rating: 4.0, distance: 0, address: 'Nearby location', isOpen: true }
-      ]
+  /**
+   * Analyze the drawing behind a cached result again instead of reusing it
+   * @returns {Promise<Object|null>} UI analysis result, or null without a drawing to analyze
+   */
+  const reanalyzeDrawing = async (options = {}) => {
+    const drawingData = analysisResult?.drawingData
+    if (!drawingData?.dataUrl) {
+      return null
     }
-    
-    return genericRecommendations[mood.toLowerCase()] || genericRecommendations.happy
+    return analyzeDrawing(drawingData, { ...options, bypassCache: true })
+  }
+
+  /**
+   * Record whether the current result matched how the user felt
+   * @param {Object} feedback - { agreement, correctedMood } (see FEEDBACK_AGREEMENT)
+   * @returns {Promise<Object>} The stored feedback
+   * @throws {Error} When the result was never saved to mood history, or saving fails
+   */
+  const submitFeedback = async (feedback) => {
+    const entryId = analysisResult?.historyEntryId || analysisResult?.entryId
+    const savedFeedback = await moodAnalysisService.submitFeedback(entryId, feedback, analysisResult?.primaryMood)
+
+    const updatedResult = { ...analysisResult, feedback: savedFeedback }
+    setAnalysisResult(updatedResult)
+    try {
+      sessionStorage.setItem('moodspot_analysis_result', JSON.stringify(updatedResult))
+    } catch (error) {
+      console.warn('Failed to save feedback to sessionStorage:', error)
+    }
+
+    return savedFeedback
+  }
+
+  const clearError = () => {
+    failedDrawing = null
+    updateLiveAnalysis({ error: null })
+  }
+
+  /**
+   * Show a stored mood history entry as the current analysis result
+   * @param {Object} entry - Entry from LocalStorageManager.getMoodHistory
+   * @returns {Object} UI analysis result
+   */
+  const loadHistoryEntry = (entry) => {
+    console.log('📖 Loading mood history entry:', entry.id)
+    const drawingData = {
+      dataUrl: entry.imageData,
+      width: entry.imageDimensions?.width,
+      height: entry.imageDimensions?.height,
+      strokes: entry.strokeData || null
+    }
+    const historyResult = {
+      ...transformAnalysisResult(entry.analysis, drawingData, entry.timestamp),
+      historyEntryId: entry.id,
+      feedback: entry.feedback || null
+    }
+
+    setAnalysisResult(historyResult)
+    try {
+      sessionStorage.setItem('moodspot_analysis_result', JSON.stringify(historyResult))
+    } catch (error) {
+      console.warn('Failed to save history entry to sessionStorage:', error)
+    }
+
+    return historyResult
   }
 
   const clearAnalysis = () => {
@@ -302,8 +485,18 @@ function useMoodAnalysis() {
 
   return {
     analyzeDrawing,
-    isAnalyzing,
+    isAnalyzing: isAnalyzing || live.isAnalyzing,
+    partialResult: live.isAnalyzing ? live.partialResult : null,
     analysisResult,
+    error: live.error,
+    canRetry: Boolean(live.error && failedDrawing),
+    retryAnalysis,
+    retryRealAnalysis,
+    reanalyzeDrawing,
+    submitFeedback,
+    switchToOfflineMode,
+    clearError,
+    loadHistoryEntry,
     clearAnalysis
   }
 }
@@ -0,0 +1,74 @@
+/**
+ * useMoodHistory Hook
+ * React hook for paging through the locally stored mood journey
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { localStorageManager } from '../services'
+
+const PAGE_SIZE = 10
+
+/**
+ * Custom hook for mood history
+ * @param {number} pageSize - Number of entries to load per page
+ * @returns {Object} Mood history state and methods
+ */
+export function useMoodHistory(pageSize = PAGE_SIZE) {
+  const [entries, setEntries] = useState([])
+  const [isLoading, setIsLoading] = useState(false)
+  const [hasMore, setHasMore] = useState(true)
+  const [error, setError] = useState(null)
+
+  /**
+   * Load a page of entries starting at the given offset
+   */
+  const loadPage = useCallback(async (offset) => {
+    setIsLoading(true)
+    setError(null)
+
+    try {
+      // Ask for one extra entry to find out whether another page exists
+      const page = await localStorageManager.getMoodHistory(pageSize + 1, offset)
+      const pageEntries = page.slice(0, pageSize)
+
+      setEntries(prev => offset === 0 ? pageEntries : [...prev, ...pageEntries])
+      setHasMore(page.length > pageSize)
+      return pageEntries
+    } catch (error) {
+      console.error('❌ HISTORY: Failed to load mood history:', error)
+      setError(error.message)
+      return []
+    } finally {
+      setIsLoading(false)
+    }
+  }, [pageSize])
+
+  /**
+   * Load the next page of entries
+   */
+  const loadMore = useCallback(() => {
+    return loadPage(entries.length)
+  }, [loadPage, entries.length])
+
+  /**
+   * Reload history from the newest entry
+   */
+  const refresh = useCallback(() => {
+    return loadPage(0)
+  }, [loadPage])
+
+  useEffect(() => {
+    loadPage(0)
+  }, [loadPage])
+
+  return {
+    entries,
+    isLoading,
+    hasMore,
+    error,
+    loadMore,
+    refresh
+  }
+}
+
+export default useMoodHistory
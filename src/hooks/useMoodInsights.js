@@ -0,0 +1,75 @@
+/**
+ * useMoodInsights Hook
+ * React hook for mood trend statistics, from TiDB when available and
+ * local IndexedDB history otherwise
+ */
+
+import { useState, useEffect, useCallback } from 'react'
+import { localStorageManager, tidbService } from '../services'
+import { computeMoodStats, toLocalDateString } from '../utils/moodStats'
+
+// Enough local history to cover the dashboard window for daily users
+const HISTORY_LIMIT = 500
+const HEATMAP_WEEKS = 12
+
+/**
+ * Custom hook for mood insights
+ * @param {string} bucket - Trend bucket size: day, week or month
+ * @returns {Object} Insights state and methods
+ */
+export function useMoodInsights(bucket = 'week') {
+  const [stats, setStats] = useState(null)
+  const [calendarDays, setCalendarDays] = useState([])
+  const [source, setSource] = useState(null)
+  const [isLoading, setIsLoading] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadInsights = useCallback(async () => {
+    setIsLoading(true)
+    setError(null)
+
+    const calendarStart = new Date()
+    calendarStart.setDate(calendarStart.getDate() - HEATMAP_WEEKS * 7)
+    const from = toLocalDateString(calendarStart)
+
+    try {
+      const [serverStats, serverCalendar] = await Promise.all([
+        tidbService.getMoodStats({ bucket }),
+        tidbService.getMoodStats({ from, bucket: 'day' })
+      ])
+
+      if (serverStats && serverCalendar && serverStats.totals.entries > 0) {
+        setStats(serverStats)
+        setCalendarDays(serverCalendar.buckets)
+        setSource('tidb')
+        return
+      }
+
+      const history = await localStorageManager.getMoodHistory(HISTORY_LIMIT)
+      setStats(computeMoodStats(history, { bucket }))
+      setCalendarDays(computeMoodStats(history, { from, bucket: 'day' }).buckets)
+      setSource('local')
+    } catch (error) {
+      console.error('❌ INSIGHTS: Failed to load mood insights:', error)
+      setError(error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }, [bucket])
+
+  useEffect(() => {
+    loadInsights()
+  }, [loadInsights])
+
+  return {
+    stats,
+    calendarDays,
+    heatmapWeeks: HEATMAP_WEEKS,
+    source,
+    isLoading,
+    error,
+    refresh: loadInsights
+  }
+}
+
+export default useMoodInsights
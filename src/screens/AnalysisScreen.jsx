@@ -1,14 +1,36 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import TiDBStatus from '../components/TiDBStatus.jsx'
+import EmotionBreakdown from '../components/EmotionBreakdown.jsx'
+import AdviceCard from '../components/AdviceCard.jsx'
+import ExercisePlayer from '../components/ExercisePlayer.jsx'
+import AnalysisRecovery from '../components/AnalysisRecovery.jsx'
+import MoodFeedback from '../components/MoodFeedback.jsx'
 import useMoodAnalysis from '../hooks/useMoodAnalysis'
+import useMoodAdvice from '../hooks/useMoodAdvice'
+import { shouldStoreSyntheticResults } from '../config/environment'
 import '../styles/analysis-screen.css'
 
 function AnalysisScreen() {
   const navigate = useNavigate()
-  const { isAnalyzing, analysisResult } = useMoodAnalysis()
+  const {
+    isAnalyzing,
+    partialResult,
+    analysisResult,
+    error,
+    canRetry,
+    retryAnalysis,
+    retryRealAnalysis,
+    reanalyzeDrawing,
+    submitFeedback,
+    switchToOfflineMode,
+    clearError
+  } = useMoodAnalysis()
+  const { recommendation: adviceRecommendation, recordCompletion } = useMoodAdvice(analysisResult)
   const [showResults, setShowResults] = useState(false)
-  const [error, setError] = useState(null)
+  const [activeExercise, setActiveExercise] = useState(null)
+  // Results that streamed in are already on screen, so skip the reveal delay
+  const streamedRef = useRef(false)
 
   useEffect(() => {
     console.log('📊 AnalysisScreen mounted')
@@ -23,19 +45,76 @@ function AnalysisScreen() {
     // If we have analysis result, show it
     if (analysisResult && !isAnalyzing) {
       console.log('✅ Showing analysis results with recommendations')
-      setTimeout(() => setShowResults(true), 500)
+      if (streamedRef.current) {
+        setShowResults(true)
+      } else {
+        setTimeout(() => setShowResults(true), 500)
+      }
     }
     // If no analysis result and not analyzing, redirect to home
-    else if (!analysisResult && !isAnalyzing) {
+    // (a failed analysis stays here to offer its recovery options)
+    else if (!analysisResult && !isAnalyzing && !error) {
       console.log('❌ No analysis result, redirecting to home')
       navigate('/')
     }
-  }, [analysisResult, isAnalyzing, navigate])
+  }, [analysisResult, isAnalyzing, error, navigate])
+
+  useEffect(() => {
+    if (partialResult) {
+      streamedRef.current = true
+    }
+  }, [partialResult])
 
   const handleStartOver = () => {
     navigate('/')
   }
 
+  // Send the same drawing for a real analysis, replacing a mock or fallback result
+  const handleRetryRealAnalysis = () => {
+    setShowResults(false)
+    retryRealAnalysis()
+  }
+
+  const handleReanalyze = () => {
+    setShowResults(false)
+    reanalyzeDrawing()
+  }
+
+  const handleRedraw = () => {
+    clearError()
+    navigate('/')
+  }
+
+  const handleFindSpots = () => {
+    navigate('/recommendations')
+  }
+
+  const handleViewHistory = () => {
+    navigate('/history')
+  }
+
+  const handleExerciseComplete = (secondsSpent) => {
+    recordCompletion(activeExercise, secondsSpent)
+  }
+
+  const handleCloseExercise = useCallback(() => {
+    setActiveExercise(null)
+  }, [])
+
+  const calibration = analysisResult?.calibration || null
+  const feedbackEntryId = analysisResult?.historyEntryId || analysisResult?.entryId
+  // Unsure analyses ask for confirmation up front, before the details
+  const askToConfirm = Boolean(calibration?.needsConfirmation && !analysisResult?.feedback)
+  const feedbackPrompt = feedbackEntryId ? (
+    <MoodFeedback
+      key={feedbackEntryId}
+      detectedMood={analysisResult.primaryMood}
+      feedback={analysisResult.feedback}
+      needsConfirmation={askToConfirm}
+      onSubmit={submitFeedback}
+    />
+  ) : null
+
   return (
     <div className="screen analysis-screen">
       <header className="analysis-header">
@@ -44,7 +123,7 @@ function AnalysisScreen() {
       </header>
 
       <main className="analysis-main">
-        {isAnalyzing && (
+        {isAnalyzing && !partialResult && (
           <div className="analysis-loading">
             <div className="loading-spinner"></div>
             <p>Analyzing your drawing and preparing personalized advice...</p>
@@ -52,22 +131,85 @@ function AnalysisScreen() {
           </div>
         )}
 
-        {error && (
-          <div className="analysis-error">
-            <div className="error-icon">⚠️</div>
-            <h3>Analysis Unavailable</h3>
-            <p>{error}</p>
-            <button 
-              className="button button-secondary"
-              onClick={handleStartOver}
-            >
-              Try Drawing Again
-            </button>
+        {isAnalyzing && partialResult && (
+          <div className="analysis-results analysis-streaming" aria-busy="true">
+            <div className="mood-indicator">
+              <h2>Your Mood</h2>
+              {partialResult.mood ? (
+                <>
+                  <div className="mood-circle" style={{ backgroundColor: partialResult.color }}>
+                    <span className="mood-emoji">{partialResult.emoji}</span>
+                  </div>
+                  <h3>{partialResult.mood}</h3>
+                </>
+              ) : (
+                <div className="mood-circle mood-circle-pending">
+                  <div className="loading-spinner"></div>
+                </div>
+              )}
+            </div>
+
+            <div className="analysis-details" aria-live="polite">
+              <p className="streaming-text">
+                {partialResult.description}
+                <span className="streaming-cursor" aria-hidden="true"></span>
+              </p>
+            </div>
+
+            {partialResult.recommendations.length > 0 && (
+              <div className="mood-advice-section">
+                <h2>Personalized Recommendations</h2>
+                <div className="advice-cards">
+                  {partialResult.recommendations.map((recommendation, index) => (
+                    <div key={index} className="advice-card advice-card-streamed">
+                      <div className="advice-header">
+                        <div className="advice-icon">{recommendation.icon}</div>
+                        <h3>{recommendation.title}</h3>
+                      </div>
+                      <p className="advice-description">{recommendation.description}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
+        {error && !isAnalyzing && (
+          <AnalysisRecovery
+            error={error}
+            canRetry={canRetry}
+            onRetry={() => retryAnalysis()}
+            onOfflineMode={() => switchToOfflineMode()}
+            onRedraw={handleRedraw}
+          />
+        )}
+
         {showResults && analysisResult && (
           <div className="analysis-results">
+            {(analysisResult.isFallback || analysisResult.isMockData) && (
+              <div className="synthetic-result-banner" role="status">
+                <p>
+                  <strong>{analysisResult.isFallback ? '⚠️ Placeholder result' : '🎭 Demo result'}</strong>
+                  {analysisResult.isFallback
+                    ? ` - we couldn't analyze your drawing${analysisResult.fallbackReason ? ` (${analysisResult.fallbackReason})` : ''}.`
+                    : ' - sample data, not a reading of your drawing.'}
+                  {shouldStoreSyntheticResults()
+                    ? ' It is saved flagged and left out of your statistics.'
+                    : ' It is not saved to your mood journey.'}
+                </p>
+                {analysisResult.drawingData?.dataUrl && (
+                  <button
+                    type="button"
+                    className="button button-primary"
+                    onClick={handleRetryRealAnalysis}
+                  >
+                    🔄 Retry real analysis
+                  </button>
+                )}
+              </div>
+            )}
+
             {/* Mood Analysis Results */}
             <div className="mood-indicator">
               <h2>Your Mood</h2>
@@ -77,10 +219,24 @@ function AnalysisScreen() {
               <h3>{analysisResult.mood}</h3>
             </div>
 
+            {askToConfirm && feedbackPrompt}
+
             <div className="analysis-details">
               <p>{analysisResult.description}</p>
+              <EmotionBreakdown emotions={analysisResult.emotions} />
               <div className="analysis-metadata">
-                {analysisResult.confidence && (
+                {calibration ? (
+                  <p className="confidence-score">
+                    Confidence: {Math.round(calibration.confidence * 100)}%
+                    {calibration.isCalibrated && (
+                      <span className="confidence-note">
+                        {calibration.rawConfidence === null
+                          ? ' - estimated from your feedback, the analysis gave none'
+                          : ` - adjusted from ${Math.round(calibration.rawConfidence * 100)}% using your feedback`}
+                      </span>
+                    )}
+                  </p>
+                ) : analysisResult.confidence && !analysisResult.confidenceDefaulted && (
                   <p className="confidence-score">
                     Confidence: {Math.round(analysisResult.confidence * 100)}%
                   </p>
@@ -90,12 +246,41 @@ function AnalysisScreen() {
                     Analysis time: {(analysisResult.processingTime / 1000).toFixed(1)}s
                   </p>
                 )}
+                {analysisResult.historyEntryId && (
+                  <p className="recorded-time">
+                    Recorded: {new Date(analysisResult.analysisTimestamp).toLocaleString()}
+                  </p>
+                )}
                 {analysisResult.isMockData && (
                   <p className="mock-indicator">
                     🎭 Demo mode - using sample analysis
                   </p>
                 )}
+                {analysisResult.isOfflineAnalysis && (
+                  <p className="mock-indicator">
+                    📴 Offline analysis - estimated from your drawing's colors and strokes
+                  </p>
+                )}
+                {analysisResult.fromCache && (
+                  <div className="cached-result" role="status">
+                    <p>
+                      📋 You drew this exact drawing before, so its analysis
+                      {analysisResult.cachedAt ? ` from ${new Date(analysisResult.cachedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : ''} was reused.
+                    </p>
+                    {analysisResult.drawingData?.dataUrl && (
+                      <button type="button" className="button button-secondary" onClick={handleReanalyze}>
+                        Re-analyze anyway
+                      </button>
+                    )}
+                  </div>
+                )}
+                {analysisResult.storageError && (
+                  <p className="storage-warning" role="status">
+                    💾 Not saved to your mood journey: {analysisResult.storageError.message}
+                  </p>
+                )}
               </div>
+              {!askToConfirm && feedbackPrompt}
             </div>
 
             {/* Mood Recommendations Section */}
@@ -121,16 +306,54 @@ function AnalysisScreen() {
               </div>
             )}
 
+            {/* Structured, history-ranked techniques from MoodAdviceService */}
+            {adviceRecommendation && adviceRecommendation.advice.length > 0 && (
+              <div className="mood-advice-section structured-advice-section">
+                <h2>Guided Techniques</h2>
+                <p className="advice-message">{adviceRecommendation.personalizedMessage}</p>
+
+                <div className="advice-cards">
+                  {adviceRecommendation.advice.map(advice => (
+                    <AdviceCard
+                      key={`${advice.category}-${advice.title}`}
+                      advice={advice}
+                      onStart={setActiveExercise}
+                    />
+                  ))}
+                </div>
+              </div>
+            )}
+
             <div className="analysis-actions">
               <button 
                 className="button button-primary"
+                onClick={handleFindSpots}
+              >
+                📍 Find spots for this mood
+              </button>
+              <button 
+                className="button button-secondary"
                 onClick={handleStartOver}
               >
                 Draw Again
               </button>
+              <button 
+                className="button button-secondary"
+                onClick={handleViewHistory}
+              >
+                {analysisResult.historyEntryId ? 'Back to Mood Journey' : 'View Mood Journey'}
+              </button>
             </div>
           </div>
         )}
+
+        {activeExercise && (
+          <ExercisePlayer
+            advice={activeExercise}
+            onComplete={handleExerciseComplete}
+            onClose={handleCloseExercise}
+          />
+        )}
       </main>
     </div>
   )
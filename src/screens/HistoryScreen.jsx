@@ -0,0 +1,153 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import useMoodAnalysis from '../hooks/useMoodAnalysis'
+import { getMoodEmoji, getMoodColor } from '../../shared/moodRegistry.js'
+import useMoodHistory from '../hooks/useMoodHistory'
+import { BRANDING } from '../config/branding'
+import DrawingReplay from '../components/DrawingReplay'
+import { formatTimestampForDisplay } from '../utils/dateUtils'
+import { isSyntheticAnalysis } from '../../shared/analysis/analysisValidation.js'
+import { getEffectiveMood } from '../../shared/analysis/moodFeedback.js'
+import '../styles/history-screen.css'
+
+function HistoryScreen() {
+  const navigate = useNavigate()
+  const { loadHistoryEntry } = useMoodAnalysis()
+  const { entries, isLoading, hasMore, error, loadMore, refresh } = useMoodHistory()
+  const [replayEntryId, setReplayEntryId] = useState(null)
+
+  const handleOpenEntry = (entry) => {
+    console.log('📖 HISTORY: Opening entry', entry.id)
+    loadHistoryEntry(entry)
+    navigate('/analysis')
+  }
+
+  const handleToggleReplay = (entryId) => {
+    setReplayEntryId(currentId => currentId === entryId ? null : entryId)
+  }
+
+  const handleStartOver = () => {
+    navigate('/')
+  }
+
+  return (
+    <div className="screen history-screen">
+      <header className="history-header">
+        <h1>{BRANDING.FEATURES.HISTORY}</h1>
+        <p>Revisit how you've been feeling</p>
+      </header>
+
+      <main className="history-main">
+        {error && (
+          <div className="error-state">
+            <p>Could not load your mood history: {error}</p>
+            <button className="button button-secondary" onClick={refresh}>
+              Try Again
+            </button>
+          </div>
+        )}
+
+        {!isLoading && !error && entries.length === 0 && (
+          <div className="empty-state">
+            <p>No moods recorded yet. Draw how you feel to start your journey.</p>
+          </div>
+        )}
+
+        {entries.length > 0 && (
+          <ul className="history-list">
+            {entries.map(entry => {
+              // Moods the user corrected are shown as they felt them
+              const mood = getEffectiveMood(entry) || 'unknown'
+              const detectedMood = entry.feedback?.correctedMood ? entry.analysis?.primaryMood : null
+              // Calibrated confidence as it was shown at the time, when there was one
+              const confidence = detectedMood
+                ? null
+                : entry.analysis?.calibration?.confidence ?? (entry.analysis?.confidenceDefaulted ? null : entry.analysis?.confidence)
+
+              return (
+                <li key={entry.id}>
+                  <button
+                    type="button"
+                    className="history-entry"
+                    onClick={() => handleOpenEntry(entry)}
+                    aria-label={`Open ${mood} mood from ${formatTimestampForDisplay(entry.timestamp)}`}
+                  >
+                    {entry.imageData && (
+                      <img
+                        className="history-thumbnail"
+                        src={entry.imageData}
+                        alt={`Drawing for ${mood} mood`}
+                        loading="lazy"
+                      />
+                    )}
+                    <span
+                      className="history-mood-badge"
+                      style={{ backgroundColor: getMoodColor(mood) }}
+                    >
+                      {getMoodEmoji(mood)}
+                    </span>
+                    <span className="history-entry-details">
+                      <span className="history-mood-name">{mood}</span>
+                      {detectedMood && (
+                        <span className="history-corrected">Corrected from {detectedMood}</span>
+                      )}
+                      {isSyntheticAnalysis(entry.analysis) && (
+                        <span className="history-synthetic">Not a real analysis</span>
+                      )}
+                      {typeof confidence === 'number' && (
+                        <span className="history-confidence">
+                          Confidence: {Math.round(confidence * 100)}%
+                        </span>
+                      )}
+                      <span className="history-timestamp">
+                        {formatTimestampForDisplay(entry.timestamp)}
+                      </span>
+                    </span>
+                  </button>
+                  {entry.strokeData && (
+                    <button
+                      type="button"
+                      className="history-replay-toggle"
+                      onClick={() => handleToggleReplay(entry.id)}
+                      aria-expanded={replayEntryId === entry.id}
+                    >
+                      {replayEntryId === entry.id ? '✕ Close Replay' : '▶ Replay'}
+                    </button>
+                  )}
+                  {replayEntryId === entry.id && (
+                    <DrawingReplay strokeData={entry.strokeData} />
+                  )}
+                </li>
+              )
+            })}
+          </ul>
+        )}
+
+        {isLoading && (
+          <div className="loading-state">
+            <div className="loading-spinner"></div>
+            <p>Loading your mood journey...</p>
+          </div>
+        )}
+
+        <div className="history-actions">
+          {hasMore && !isLoading && entries.length > 0 && (
+            <button className="button button-secondary" onClick={loadMore}>
+              Load More
+            </button>
+          )}
+          {entries.length > 0 && (
+            <button className="button button-secondary" onClick={() => navigate('/insights')}>
+              📊 {BRANDING.FEATURES.TRENDS}
+            </button>
+          )}
+          <button className="button button-primary" onClick={handleStartOver}>
+            New Drawing
+          </button>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default HistoryScreen
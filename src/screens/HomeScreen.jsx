@@ -1,14 +1,27 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
 import { useNavigate } from 'react-router-dom'
 import DrawingCanvas from '../components/DrawingCanvas'
 import TiDBStatus from '../components/TiDBStatus.jsx'
+import AnalysisRecovery from '../components/AnalysisRecovery.jsx'
 import useMoodAnalysis from '../hooks/useMoodAnalysis'
+import { BRANDING } from '../config/branding'
 import '../styles/home-screen.css'
 
 function HomeScreen() {
   const navigate = useNavigate()
-  const { analyzeDrawing, isAnalyzing, clearAnalysis } = useMoodAnalysis()
+  const {
+    analyzeDrawing,
+    isAnalyzing,
+    clearAnalysis,
+    error,
+    canRetry,
+    retryAnalysis,
+    switchToOfflineMode,
+    clearError
+  } = useMoodAnalysis()
   const [hasDrawing, setHasDrawing] = useState(false)
+  // Set once AnalysisScreen has been opened to show a streaming analysis
+  const navigatedRef = useRef(false)
 
   useEffect(() => {
     console.log('🏠 HomeScreen mounted')
@@ -19,20 +32,30 @@ function HomeScreen() {
     }
   }, [clearAnalysis])
 
-  const handleDrawingComplete = async (exportData) => {
-    console.log('🎨 HOME: Drawing completed, starting analysis...', exportData)
-    
-    if (isAnalyzing) {
-      console.log('⚠️ HOME: Analysis already in progress, ignoring duplicate request')
-      return
-    }
-    
+  /**
+   * Run an analysis and open AnalysisScreen once there is something to show
+   * Failures stay here: useMoodAnalysis exposes them as error for AnalysisRecovery
+   * @param {Function} start - Starts the analysis with the given options (analyze, retry or offline)
+   */
+  const runAnalysis = async (start) => {
     try {
       console.log('🧠 HOME: Calling analyzeDrawing...')
-      const result = await analyzeDrawing(exportData)
-      console.log('✅ HOME: Analysis completed successfully:', result)
+      navigatedRef.current = false
+      const result = await start({
+        // Open the analysis screen as soon as the mood has streamed in
+        onPartial: (partialResult) => {
+          if (partialResult.mood && !navigatedRef.current) {
+            navigatedRef.current = true
+            console.log('🌊 HOME: Mood streamed in, navigating to /analysis early')
+            navigate('/analysis')
+          }
+        }
+      })
+      console.log('✅ HOME: Analysis finished:', result)
       
-      if (result && !result.isError) {
+      if (result && navigatedRef.current) {
+        console.log('✅ HOME: Already showing the streamed analysis')
+      } else if (result) {
         console.log('🧭 HOME: Analysis successful, navigating to /analysis...')
         console.log('📊 HOME: Result details:', {
           mood: result.mood,
@@ -45,17 +68,25 @@ function HomeScreen() {
         navigate('/analysis')
         console.log('✅ HOME: Navigation call completed')
       } else {
-        console.error('❌ HOME: Analysis failed or returned error result:', result)
-        alert('Analysis failed. Please try drawing again.')
+        console.warn('⚠️ HOME: Analysis failed, showing recovery options')
       }
       
     } catch (error) {
       console.error('❌ HOME: Analysis failed with error:', error)
-      console.error('❌ HOME: Error stack:', error.stack)
-      alert(`Analysis failed: ${error.message}. Please try again.`)
     }
   }
 
+  const handleDrawingComplete = async (exportData) => {
+    console.log('🎨 HOME: Drawing completed, starting analysis...', exportData)
+    
+    if (isAnalyzing) {
+      console.log('⚠️ HOME: Analysis already in progress, ignoring duplicate request')
+      return
+    }
+    
+    await runAnalysis(options => analyzeDrawing(exportData, options))
+  }
+
   const handleDrawingChange = (hasContent) => {
     setHasDrawing(hasContent)
   }
@@ -66,6 +97,14 @@ function HomeScreen() {
         <h1>MoodSpot</h1>
         <p>Express your feelings through drawing and get personalized advice</p>
         <TiDBStatus />
+        <button
+          type="button"
+          className="button button-secondary history-link"
+          onClick={() => navigate('/history')}
+          disabled={isAnalyzing}
+        >
+          📖 {BRANDING.FEATURES.HISTORY}
+        </button>
       </header>
       
       <main className="home-main">
@@ -79,6 +118,16 @@ function HomeScreen() {
           />
         </div>
         
+        {error && !isAnalyzing && (
+          <AnalysisRecovery
+            error={error}
+            canRetry={canRetry}
+            onRetry={() => runAnalysis(retryAnalysis)}
+            onOfflineMode={() => runAnalysis(switchToOfflineMode)}
+            onRedraw={clearError}
+          />
+        )}
+
         {isAnalyzing && (
           <div className="analysis-loading">
             <div className="loading-spinner"></div>
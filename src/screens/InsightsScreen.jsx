@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import useMoodInsights from '../hooks/useMoodInsights'
+import { getMoodEmoji } from '../../shared/moodRegistry.js'
+import CalendarHeatmap from '../components/charts/CalendarHeatmap'
+import MoodDonut from '../components/charts/MoodDonut'
+import ConfidenceLine from '../components/charts/ConfidenceLine'
+import WeekdayHourGrid from '../components/charts/WeekdayHourGrid'
+import { BRANDING } from '../config/branding'
+import '../styles/insights-screen.css'
+
+const BUCKET_OPTIONS = [
+  { value: 'day', label: 'Daily' },
+  { value: 'week', label: 'Weekly' },
+  { value: 'month', label: 'Monthly' }
+]
+
+function InsightsScreen() {
+  const navigate = useNavigate()
+  const [bucket, setBucket] = useState('week')
+  const { stats, calendarDays, heatmapWeeks, source, isLoading, error, refresh } = useMoodInsights(bucket)
+
+  const hasEntries = stats && stats.totals.entries > 0
+  const topMood = hasEntries ? stats.moods[0] : null
+
+  return (
+    <div className="screen insights-screen">
+      <header className="insights-header">
+        <h1>{BRANDING.FEATURES.TRENDS}</h1>
+        <p>Patterns in how you've been feeling</p>
+      </header>
+
+      <main className="insights-main">
+        {isLoading && (
+          <div className="loading-state" role="status">
+            <div className="loading-spinner"></div>
+            <p>Crunching your mood journey...</p>
+          </div>
+        )}
+
+        {error && (
+          <div className="error-state">
+            <p>Could not load your mood trends: {error}</p>
+            <button className="button button-secondary" onClick={refresh}>
+              Try Again
+            </button>
+          </div>
+        )}
+
+        {!isLoading && !error && stats && !hasEntries && (
+          <div className="empty-state">
+            <p>No moods recorded yet. Draw a few moods to see your trends.</p>
+          </div>
+        )}
+
+        {!isLoading && hasEntries && (
+          <>
+            <section className="insights-summary">
+              <div className="summary-stat">
+                <span className="summary-value">{stats.totals.entries}</span>
+                <span className="summary-label">Moods logged</span>
+              </div>
+              <div className="summary-stat">
+                <span className="summary-value">{getMoodEmoji(topMood.mood)} {topMood.mood}</span>
+                <span className="summary-label">Most frequent</span>
+              </div>
+              <div className="summary-stat">
+                <span className="summary-value">{stats.streaks.current} / {stats.streaks.longest}</span>
+                <span className="summary-label">Current / longest streak (days)</span>
+              </div>
+            </section>
+
+            <section className="insights-card">
+              <h2>Daily moods</h2>
+              <CalendarHeatmap days={calendarDays} weeks={heatmapWeeks} />
+            </section>
+
+            <section className="insights-card">
+              <h2>Mood mix</h2>
+              <MoodDonut moods={stats.moods} />
+            </section>
+
+            <section className="insights-card">
+              <div className="insights-card-header">
+                <h2>Confidence over time</h2>
+                <div className="bucket-toggle" role="group" aria-label="Trend period">
+                  {BUCKET_OPTIONS.map(option => (
+                    <button
+                      key={option.value}
+                      type="button"
+                      className={`bucket-option ${bucket === option.value ? 'active' : ''}`}
+                      aria-pressed={bucket === option.value}
+                      onClick={() => setBucket(option.value)}
+                    >
+                      {option.label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <ConfidenceLine
+                points={stats.buckets.map(item => ({ label: item.bucket, value: item.averageConfidence }))}
+              />
+            </section>
+
+            <section className="insights-card">
+              <h2>When you check in</h2>
+              <WeekdayHourGrid cells={stats.heatmap} />
+            </section>
+
+            <p className="insights-source">
+              {source === 'tidb' ? 'Synced from the cloud' : 'Based on moods stored on this device'}
+            </p>
+          </>
+        )}
+
+        <div className="insights-actions">
+          <button className="button button-secondary" onClick={() => navigate('/history')}>
+            Back to {BRANDING.FEATURES.HISTORY}
+          </button>
+          <button className="button button-primary" onClick={() => navigate('/')}>
+            New Drawing
+          </button>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+export default InsightsScreen
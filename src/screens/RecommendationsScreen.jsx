@@ -17,7 +17,8 @@ function RecommendationsScreen() {
     getLocationFromAddress,
     location,
     locationError,
-    locationLoading
+    locationLoading,
+    locationService
   } = useLocationService()
   
   const [businessRecommendations, setBusinessRecommendations] = useState([])
@@ -45,14 +46,21 @@ function RecommendationsScreen() {
     
     // Check API configuration
     console.log('🔑 RECS: Checking API configuration...')
-    const apiConfigured = process.env.VITE_GOOGLE_PLACES_API_KEY || import.meta.env.VITE_GOOGLE_PLACES_API_KEY
-    console.log('🔑 RECS: Google Places API key configured:', !!apiConfigured)
-    
-    if (!apiConfigured) {
+    if (!locationService.isApiKeyConfigured()) {
       console.warn('⚠️ RECS: Google Places API key not configured')
       setLocationStatus('api_not_configured')
     }
-  }, [analysisResult, navigate])
+  }, [analysisResult, navigate, locationService])
+
+  // Switch to the not-configured state once the backend has said it has no Places key
+  const handlePlacesNotConfigured = () => {
+    if (locationService.isApiKeyConfigured()) return false
+
+    console.warn('⚠️ RECS: Google Places API key not configured on the backend')
+    setLocationStatus('api_not_configured')
+    setShowManualInput(false)
+    return true
+  }
 
   // Get location-based recommendations with comprehensive error handling
   const getLocationRecommendations = async () => {
@@ -87,6 +95,7 @@ function RecommendationsScreen() {
       
       // Search for nearby businesses
       const recommendations = await searchNearbyBusinesses(analysisResult.mood, userLocation)
+      if (handlePlacesNotConfigured()) return
       console.log('✅ RECS: Found recommendations:', recommendations.length)
       
       setBusinessRecommendations(recommendations)
@@ -103,7 +112,6 @@ function RecommendationsScreen() {
   // Handle manual address input
   const handleManualLocation = async () => {
     if (!manualAddress.trim()) {
-      alert('Please enter a city or address')
       return
     }
 
@@ -115,6 +123,7 @@ function RecommendationsScreen() {
       // Get location from address
       const userLocation = await getLocationFromAddress(manualAddress.trim())
       if (!userLocation) {
+        if (handlePlacesNotConfigured()) return
         setLocationStatus('location_failed')
         return
       }
@@ -124,6 +133,7 @@ function RecommendationsScreen() {
       
       // Search for nearby businesses
       const recommendations = await searchNearbyBusinesses(analysisResult.mood, userLocation)
+      if (handlePlacesNotConfigured()) return
       console.log('✅ RECS: Found recommendations:', recommendations.length)
       
       setBusinessRecommendations(recommendations)
@@ -133,7 +143,6 @@ function RecommendationsScreen() {
     } catch (error) {
       console.error('❌ RECS: Manual location failed:', error)
       setLocationStatus('error')
-      alert(`Could not find location: ${error.message}`)
     }
   }
 
@@ -158,7 +167,7 @@ function RecommendationsScreen() {
       case 'error':
         return 'Error getting your location. Please try again or enter your location manually.'
       case 'success':
-        return 'Found nearby places based on your location!'
+        return `Found ${businessRecommendations.length} nearby ${businessRecommendations.length === 1 ? 'place' : 'places'} for your ${analysisResult.mood.toLowerCase()} mood!`
       case 'api_not_configured':
         return 'Location services are not configured. Showing general recommendations.'
       default:
@@ -223,12 +232,34 @@ function RecommendationsScreen() {
           </div>
           
           {(recommendationsLoading || ['getting_location', 'searching'].includes(locationStatus)) && (
-            <div className="loading-state">
+            <div className="loading-state" role="status">
               <div className="loading-spinner"></div>
               <p>{getLocationStatusMessage()}</p>
             </div>
           )}
 
+          {locationStatus === 'api_not_configured' && (
+            <div className="info-state location-status-notice">
+              <p>🗺️ {getLocationStatusMessage()}</p>
+              <p className="status-detail">
+                Set GOOGLE_PLACES_API_KEY on the backend to find real spots near you.
+              </p>
+            </div>
+          )}
+
+          {locationStatus === 'success' && (
+            <div className="success-state">
+              <p>✅ {getLocationStatusMessage()}</p>
+              <button
+                className="button button-secondary"
+                onClick={() => setShowManualInput(true)}
+                disabled={locationLoading}
+              >
+                Search Somewhere Else
+              </button>
+            </div>
+          )}
+
           {recommendationsError && (
             <div className="error-state">
               <p>Error: {recommendationsError}</p>
@@ -238,7 +269,12 @@ function RecommendationsScreen() {
           {(locationStatus === 'permission_denied' || locationStatus === 'location_failed' || locationStatus === 'error' || showManualInput) && (
             <div className="location-input-section">
               <div className="info-state">
-                <p>📍 {getLocationStatusMessage()}</p>
+                {locationStatus !== 'success' && (
+                  <p>📍 {getLocationStatusMessage()}</p>
+                )}
+                {locationStatus === 'location_failed' && locationError && (
+                  <p className="status-detail">{locationError}</p>
+                )}
                 
                 {!showManualInput ? (
                   <div className="location-buttons">
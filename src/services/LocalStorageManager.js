@@ -4,17 +4,23 @@
  */
 
 import rateLimiter from './RateLimiter.js'
+import { QuotaExceededError, StorageError } from '../../shared/errors.js'
 
 const DB_NAME = 'MoodSpot'
-const DB_VERSION = 1
+const DB_VERSION = 3
 const STORES = {
   SESSIONS: 'sessions',
   MOOD_HISTORY: 'moodHistory',
   API_USAGE: 'apiUsage',
   USER_PREFERENCES: 'userPreferences',
-  RECOMMENDATIONS: 'recommendations'
+  RECOMMENDATIONS: 'recommendations',
+  EXERCISE_COMPLETIONS: 'exerciseCompletions',
+  ANALYSIS_CACHE: 'analysisCache'
 }
 
+// Where analyses were cached before they moved to IndexedDB
+const LEGACY_ANALYSIS_CACHE_KEY = 'moodspot_analysis_cache'
+
 class LocalStorageManager {
   constructor() {
     this.db = null
@@ -82,16 +88,32 @@ class LocalStorageManager {
       recStore.createIndex('timestamp', 'timestamp', { unique: false })
     }
 
+    // Guided exercise completions store (added in version 2)
+    if (!db.objectStoreNames.contains(STORES.EXERCISE_COMPLETIONS)) {
+      const completionStore = db.createObjectStore(STORES.EXERCISE_COMPLETIONS, { keyPath: 'id' })
+      completionStore.createIndex('completedAt', 'completedAt', { unique: false })
+    }
+
+    // Analysis cache store (added in version 3)
+    if (!db.objectStoreNames.contains(STORES.ANALYSIS_CACHE)) {
+      const cacheStore = db.createObjectStore(STORES.ANALYSIS_CACHE, { keyPath: 'key' })
+      cacheStore.createIndex('lastAccessedAt', 'lastAccessedAt', { unique: false })
+    }
+
     console.log('IndexedDB object stores created')
   }
 
   /**
    * Check database operation quota before proceeding
+   * @throws {QuotaExceededError} When today's database operations are used up
    */
   async checkDatabaseQuota() {
     const hasQuota = await rateLimiter.checkQuota('database')
     if (!hasQuota) {
-      throw new Error('Daily database operation limit exceeded')
+      throw new QuotaExceededError('Daily database operation limit exceeded', {
+        service: 'database',
+        resetTime: await rateLimiter.getResetTime('database')
+      })
     }
     return rateLimiter.incrementUsage('database')
   }
@@ -103,7 +125,7 @@ class LocalStorageManager {
     await this.initialize()
     
     if (!(await this.checkDatabaseQuota())) {
-      throw new Error('Database quota exceeded')
+      throw new StorageError('Database quota exceeded', { operation: 'saveSession' })
     }
 
     return new Promise((resolve, reject) => {
@@ -126,7 +148,7 @@ class LocalStorageManager {
 
       request.onerror = () => {
         console.error('Failed to save session:', request.error)
-        reject(request.error)
+        reject(new StorageError('Failed to save session', { operation: 'saveSession', cause: request.error }))
       }
     })
   }
@@ -190,7 +212,7 @@ class LocalStorageManager {
     await this.initialize()
     
     if (!(await this.checkDatabaseQuota())) {
-      throw new Error('Database quota exceeded')
+      throw new StorageError('Database quota exceeded', { operation: 'saveMoodEntry' })
     }
 
     return new Promise((resolve, reject) => {
@@ -212,20 +234,61 @@ class LocalStorageManager {
 
       request.onerror = () => {
         console.error('Failed to save mood analysis:', request.error)
-        reject(request.error)
+        reject(new StorageError('Failed to save mood analysis', { operation: 'saveMoodEntry', cause: request.error }))
+      }
+    })
+  }
+
+  /**
+   * Attach the user's feedback to a stored mood entry, replacing earlier feedback
+   * @param {string} entryId - Mood entry id
+   * @param {Object} feedback - Normalized feedback ({ agreement, correctedMood, submittedAt })
+   * @returns {Promise<Object>} The updated entry
+   */
+  async saveMoodFeedback(entryId, feedback) {
+    await this.initialize()
+
+    if (!(await this.checkDatabaseQuota())) {
+      throw new StorageError('Database quota exceeded', { operation: 'saveMoodFeedback' })
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.MOOD_HISTORY], 'readwrite')
+      const store = transaction.objectStore(STORES.MOOD_HISTORY)
+      const fail = (cause) => {
+        console.error('Failed to save mood feedback:', cause)
+        reject(new StorageError('Failed to save your feedback', { operation: 'saveMoodFeedback', cause }))
       }
+
+      const getRequest = store.get(entryId)
+
+      getRequest.onsuccess = () => {
+        if (!getRequest.result) {
+          fail(new Error(`Mood entry ${entryId} not found`))
+          return
+        }
+
+        const updated = { ...getRequest.result, feedback }
+        const putRequest = store.put(updated)
+        putRequest.onsuccess = () => resolve(updated)
+        putRequest.onerror = () => fail(putRequest.error)
+      }
+
+      getRequest.onerror = () => fail(getRequest.error)
     })
   }
 
   /**
-   * Get mood history
+   * Get mood history (newest first)
+   * @param {number} limit - Maximum number of entries to return
+   * @param {number} offset - Number of newest entries to skip (for paging)
    */
-  async getMoodHistory(limit = 10) {
+  async getMoodHistory(limit = 10, offset = 0) {
     await this.initialize()
     
     if (!(await this.checkDatabaseQuota())) {
       console.warn('Database quota exceeded, returning cached history')
-      return this.getCachedMoodHistory()
+      return this.getCachedMoodHistory().slice(offset, offset + limit)
     }
 
     return new Promise((resolve, reject) => {
@@ -234,10 +297,16 @@ class LocalStorageManager {
       const index = store.index('timestamp')
       
       const results = []
+      let skipped = offset === 0
       const request = index.openCursor(null, 'prev')
       
       request.onsuccess = () => {
         const cursor = request.result
+        if (cursor && !skipped) {
+          skipped = true
+          cursor.advance(offset)
+          return
+        }
         if (cursor && results.length < limit) {
           results.push(cursor.value)
           cursor.continue()
@@ -253,6 +322,72 @@ class LocalStorageManager {
     })
   }
 
+  /**
+   * Save a completed guided exercise
+   */
+  async saveExerciseCompletion(completion) {
+    await this.initialize()
+
+    if (!(await this.checkDatabaseQuota())) {
+      throw new StorageError('Database quota exceeded', { operation: 'saveExerciseCompletion' })
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.EXERCISE_COMPLETIONS], 'readwrite')
+      const store = transaction.objectStore(STORES.EXERCISE_COMPLETIONS)
+
+      const completionWithId = {
+        ...completion,
+        id: completion.id || this.generateId(),
+        completedAt: completion.completedAt || new Date().toISOString()
+      }
+
+      const request = store.put(completionWithId)
+
+      request.onsuccess = () => resolve(completionWithId)
+
+      request.onerror = () => {
+        console.error('Failed to save exercise completion:', request.error)
+        reject(new StorageError('Failed to save exercise completion', { operation: 'saveExerciseCompletion', cause: request.error }))
+      }
+    })
+  }
+
+  /**
+   * Get most recent guided exercise completions
+   */
+  async getExerciseCompletions(limit = 50) {
+    await this.initialize()
+
+    if (!(await this.checkDatabaseQuota())) {
+      console.warn('Database quota exceeded, skipping exercise completions')
+      return []
+    }
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.EXERCISE_COMPLETIONS], 'readonly')
+      const index = transaction.objectStore(STORES.EXERCISE_COMPLETIONS).index('completedAt')
+
+      const results = []
+      const request = index.openCursor(null, 'prev')
+
+      request.onsuccess = () => {
+        const cursor = request.result
+        if (cursor && results.length < limit) {
+          results.push(cursor.value)
+          cursor.continue()
+        } else {
+          resolve(results)
+        }
+      }
+
+      request.onerror = () => {
+        console.error('Failed to load exercise completions:', request.error)
+        reject(request.error)
+      }
+    })
+  }
+
   /**
    * Log API usage
    */
@@ -442,38 +577,86 @@ class LocalStorageManager {
   }
 
   /**
-   * Save analysis cache
+   * Get every cached analysis, least recently used first
+   * Cache reads and writes don't count against the database quota: the cache
+   * exists to save API calls, and is bounded by its own size limit
+   * @returns {Promise<Array>} Entries of { key, result, createdAt, lastAccessedAt }
    */
-  async saveAnalysisCache(cacheData) {
-    try {
-      localStorage.setItem('moodspot_analysis_cache', JSON.stringify(cacheData))
-    } catch (error) {
-      console.error('Failed to save analysis cache:', error)
-    }
+  async getAnalysisCacheEntries() {
+    await this.initialize()
+
+    // Caches from before version 3 hold keys that can collide, so they are dropped
+    localStorage.removeItem(LEGACY_ANALYSIS_CACHE_KEY)
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.ANALYSIS_CACHE], 'readonly')
+      const request = transaction.objectStore(STORES.ANALYSIS_CACHE).index('lastAccessedAt').getAll()
+
+      request.onsuccess = () => resolve(request.result || [])
+      request.onerror = () => {
+        console.error('Failed to load analysis cache:', request.error)
+        reject(request.error)
+      }
+    })
   }
 
   /**
-   * Get analysis cache
+   * Save or update a cached analysis
+   * @param {Object} entry - { key, result, createdAt, lastAccessedAt }
    */
-  async getAnalysisCache() {
-    try {
-      const cached = localStorage.getItem('moodspot_analysis_cache')
-      return cached ? JSON.parse(cached) : {}
-    } catch (error) {
-      console.error('Failed to get analysis cache:', error)
-      return {}
-    }
+  async saveAnalysisCacheEntry(entry) {
+    await this.initialize()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.ANALYSIS_CACHE], 'readwrite')
+      const request = transaction.objectStore(STORES.ANALYSIS_CACHE).put(entry)
+
+      request.onsuccess = () => resolve(entry)
+      request.onerror = () => {
+        console.error('Failed to save analysis cache entry:', request.error)
+        reject(request.error)
+      }
+    })
+  }
+
+  /**
+   * Remove cached analyses (expired or evicted)
+   * @param {Array<string>} keys - Cache keys to remove
+   */
+  async deleteAnalysisCacheEntries(keys) {
+    if (!keys.length) return
+    await this.initialize()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.ANALYSIS_CACHE], 'readwrite')
+      const store = transaction.objectStore(STORES.ANALYSIS_CACHE)
+      keys.forEach(key => store.delete(key))
+
+      transaction.oncomplete = () => resolve()
+      transaction.onerror = () => {
+        console.error('Failed to delete analysis cache entries:', transaction.error)
+        reject(transaction.error)
+      }
+    })
   }
 
   /**
    * Clear analysis cache
    */
   async clearAnalysisCache() {
-    try {
-      localStorage.removeItem('moodspot_analysis_cache')
-    } catch (error) {
-      console.error('Failed to clear analysis cache:', error)
-    }
+    localStorage.removeItem(LEGACY_ANALYSIS_CACHE_KEY)
+    await this.initialize()
+
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction([STORES.ANALYSIS_CACHE], 'readwrite')
+      const request = transaction.objectStore(STORES.ANALYSIS_CACHE).clear()
+
+      request.onsuccess = () => resolve()
+      request.onerror = () => {
+        console.error('Failed to clear analysis cache:', request.error)
+        reject(request.error)
+      }
+    })
   }
 
   /**
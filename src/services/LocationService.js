@@ -1,32 +1,23 @@
 import rateLimiter from './RateLimiter.js';
 import localStorageManager from './LocalStorageManager.js';
+import tidbService from './TiDBAPIService.js';
+import { QuotaExceededError, ProviderHTTPError } from '../../shared/errors.js';
+import { getPlaceTypesForMood } from '../../shared/moodRegistry.js';
 
 /**
  * LocationService handles geolocation and Google Places API integration
- * with rate limiting and caching for offline access
+ * with rate limiting and caching for offline access.
+ * Places and geocoding requests go through the backend proxy, which holds the API key.
  */
 export class LocationService {
   constructor() {
     this.rateLimiter = rateLimiter;
     this.storageManager = localStorageManager;
-    this.apiKey = import.meta.env.VITE_GOOGLE_PLACES_API_KEY;
+    this.placesApi = tidbService;
     this.cachedLocation = null;
     this.cachedRecommendations = new Map();
-    
-    // Mood to business category mapping
-    this.moodCategoryMap = {
-      happy: ['restaurant', 'amusement_park', 'shopping_mall', 'cafe'],
-      sad: ['cafe', 'bookstore', 'spa', 'park'],
-      anxious: ['spa', 'park', 'gym', 'library'],
-      angry: ['gym', 'park', 'sports_complex'],
-      excited: ['amusement_park', 'shopping_mall', 'restaurant', 'movie_theater'],
-      calm: ['park', 'library', 'spa', 'cafe'],
-      energetic: ['gym', 'sports_complex', 'amusement_park'],
-      lonely: ['cafe', 'restaurant', 'shopping_mall', 'community_center'],
-      creative: ['art_gallery', 'bookstore', 'cafe', 'museum'],
-      tired: ['spa', 'cafe', 'park'],
-      default: ['restaurant', 'cafe', 'park', 'shopping_mall']
-    };
+    // Set once the backend says it has no Places key; unknown until it answers
+    this.placesNotConfigured = false;
   }
 
   /**
@@ -134,10 +125,6 @@ export class LocationService {
       return this.getCachedRecommendations(location, moodCategories);
     }
 
-    if (!this.apiKey) {
-      throw new Error('Google Places API key not configured');
-    }
-
     const cacheKey = `${location.latitude},${location.longitude}-${moodCategories.join(',')}`;
     
     // Check for cached recommendations (valid for 1 hour)
@@ -172,29 +159,26 @@ export class LocationService {
       return uniqueRecommendations.slice(0, 10); // Return top 10 results
     } catch (error) {
       console.error('Error searching nearby businesses:', error);
+      if (error instanceof QuotaExceededError) {
+        await this.rateLimiter.applyRetryAfter('googlePlaces', error.retryAfter);
+      }
+      this.notePlacesError(error);
       // Return cached recommendations as fallback
       return this.getCachedRecommendations(location, moodCategories);
     }
   }
 
   /**
-   * Search businesses by specific category using Google Places API
+   * Search businesses by specific category using the backend Places proxy
    * @private
    */
   async searchByCategory(location, category, radius) {
-    const url = new URL('https://maps.googleapis.com/maps/api/place/nearbysearch/json');
-    url.searchParams.append('location', `${location.latitude},${location.longitude}`);
-    url.searchParams.append('radius', radius.toString());
-    url.searchParams.append('type', category);
-    url.searchParams.append('key', this.apiKey);
-
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`Google Places API error: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await this.placesApi.searchNearbyPlaces({
+      latitude: location.latitude,
+      longitude: location.longitude,
+      radius,
+      type: category
+    });
     
     if (data.status !== 'OK' && data.status !== 'ZERO_RESULTS') {
       throw new Error(`Google Places API error: ${data.status}`);
@@ -225,8 +209,7 @@ export class LocationService {
    * @returns {string[]} Array of business categories
    */
   getCategoriesForMood(mood) {
-    const normalizedMood = mood.toLowerCase();
-    return this.moodCategoryMap[normalizedMood] || this.moodCategoryMap.default;
+    return getPlaceTypesForMood(mood);
   }
 
   /**
@@ -389,23 +372,9 @@ export class LocationService {
   async getLocationFromAddress(address) {
     console.log('🗺️ LOCATION: Geocoding address:', address)
     
-    if (!this.apiKey) {
-      throw new Error('Google Places API key not configured for geocoding');
-    }
-
     try {
-      const url = new URL('https://maps.googleapis.com/maps/api/geocode/json');
-      url.searchParams.append('address', address);
-      url.searchParams.append('key', this.apiKey);
-
       console.log('🌐 LOCATION: Making geocoding request...')
-      const response = await fetch(url);
-      
-      if (!response.ok) {
-        throw new Error(`Geocoding API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+      const data = await this.placesApi.geocodeAddress(address);
       console.log('📍 LOCATION: Geocoding response:', data)
       
       if (data.status !== 'OK' || !data.results || data.results.length === 0) {
@@ -421,6 +390,7 @@ export class LocationService {
       };
     } catch (error) {
       console.error('❌ LOCATION: Geocoding failed:', error)
+      this.notePlacesError(error);
       throw error;
     }
   }
@@ -473,13 +443,23 @@ export class LocationService {
   }
 
   /**
-   * Check API key configuration
+   * Check whether live places search is configured
+   * The API key is held by the backend, so this is true until the backend
+   * answers a places request with 503 not_configured
    * @returns {boolean}
    */
   isApiKeyConfigured() {
-    const hasKey = !!this.apiKey;
-    console.log('🔑 LOCATION: API key configured:', hasKey)
-    return hasKey;
+    return !this.placesNotConfigured;
+  }
+
+  /**
+   * Remember when a places request failed because the backend has no API key
+   * @private
+   */
+  notePlacesError(error) {
+    if (error instanceof ProviderHTTPError && error.status === 503 && error.code === 'not_configured') {
+      this.placesNotConfigured = true;
+    }
   }
 
   /**
@@ -1,6 +1,9 @@
+import { getAdviceCategoriesForMood } from '../../shared/moodRegistry.js';
+
 /**
  * MoodAdviceService - Provides comprehensive mood improvement advice and recommendations
  * Supports anxiety, sadness, stress, happiness, and mixed emotional states
+ * Analysis moods (e.g. "anxious") are mapped to these categories via the mood registry
  */
 class MoodAdviceService {
   constructor() {
@@ -19,12 +22,12 @@ class MoodAdviceService {
     const { primaryMood, emotions, confidence } = moodResult;
     
     // Get base advice for primary mood
-    let relevantAdvice = this.getAdviceByCategory(primaryMood.toLowerCase());
+    let relevantAdvice = this.getAdviceForEmotion(primaryMood);
     
     // Add advice for secondary emotions if they have significant intensity
     emotions.forEach(emotion => {
       if (emotion.intensity > 0.3 && emotion.name !== primaryMood) {
-        const secondaryAdvice = this.getAdviceByCategory(emotion.name.toLowerCase());
+        const secondaryAdvice = this.getAdviceForEmotion(emotion.name);
         relevantAdvice = [...relevantAdvice, ...secondaryAdvice];
       }
     });
@@ -59,6 +62,29 @@ class MoodAdviceService {
     return this.adviceDatabase.get(normalizedCategory) || [];
   }
 
+  /**
+   * Resolve a mood or emotion name to advice categories
+   * Advice category names are used as-is, analysis moods go through the mood registry
+   * @param {string} name - Mood (e.g. "anxious") or category (e.g. "anxiety")
+   * @returns {Array} Advice category names
+   */
+  getCategoriesForEmotion(name) {
+    const normalizedName = name.toLowerCase();
+    if (this.adviceDatabase.has(normalizedName)) {
+      return [normalizedName];
+    }
+    return getAdviceCategoriesForMood(normalizedName);
+  }
+
+  /**
+   * Get advice for every category a mood or emotion maps to
+   * @param {string} name - Mood or category name
+   * @returns {Array} Array of advice objects
+   */
+  getAdviceForEmotion(name) {
+    return this.getCategoriesForEmotion(name).flatMap(category => this.getAdviceByCategory(category));
+  }
+
   /**
    * Personalize advice based on mood intensity and user history
    * @param {Array} advice - Base advice array
@@ -104,13 +130,13 @@ class MoodAdviceService {
     let score = 0.5; // Base score
 
     // Boost score for primary mood match
-    if (adviceItem.category === moodResult.primaryMood.toLowerCase()) {
+    if (this.getCategoriesForEmotion(moodResult.primaryMood).includes(adviceItem.category)) {
       score += 0.3;
     }
 
     // Boost for emotion intensity match
     moodResult.emotions.forEach(emotion => {
-      if (adviceItem.category === emotion.name.toLowerCase()) {
+      if (this.getCategoriesForEmotion(emotion.name).includes(adviceItem.category)) {
         score += emotion.intensity * 0.2;
       }
     });
@@ -143,7 +169,7 @@ class MoodAdviceService {
    */
   generatePersonalizedMessage(moodResult, userHistory) {
     const { primaryMood, confidence } = moodResult;
-    const moodName = primaryMood.toLowerCase();
+    const moodName = this.getCategoriesForEmotion(primaryMood)[0];
     
     const messages = {
       anxiety: [
@@ -1,24 +1,55 @@
 /**
  * MoodAnalysisService
- * Handles mood analysis using OpenAI GPT-4 Vision API
+ * Handles mood analysis using OpenAI GPT-4 Vision through the backend API
  */
 
 import { 
-  API_CONFIG, 
   APP_CONFIG, 
-  getApiKey, 
-  getBusinessCategoriesForMood,
+  ANALYSIS_MODES,
+  getAnalysisMode,
+  getCompatibleProviderConfig,
+  shouldStoreSyntheticResults,
   isDevelopment 
 } from '../config/environment.js'
+import { getPlaceTypesForMood } from '../../shared/moodRegistry.js'
 import rateLimiter from './RateLimiter.js'
 import localStorageManager from './LocalStorageManager.js'
 import tidbService from './TiDBAPIService.js'
+import { sha256Hex } from '../utils/contentHash.js'
+import { createCalibrator } from '../utils/confidenceCalibration.js'
+import {
+  AnalysisError,
+  QuotaExceededError,
+  InvalidDrawingError,
+  StorageError
+} from '../../shared/errors.js'
+import {
+  createAnalysisProvider,
+  validateAnalysisResult,
+  normalizeEmotions,
+  isSyntheticAnalysis,
+  createPartialAnalysisStream,
+  normalizeMoodFeedback,
+  OfflineAnalysisProvider,
+  MockAnalysisProvider
+} from './analysis/index.js'
+
+// Analysis mode the user switched to for this session (e.g. offline after an outage)
+const MODE_OVERRIDE_KEY = 'moodspot_analysis_mode'
+
+// Most recent mood entries the confidence calibration learns from
+const CALIBRATION_HISTORY_LIMIT = 200
 
 class MoodAnalysisService {
   constructor() {
-    this.apiKey = null
     this.isInitialized = false
+    // Cache key -> { key, result, createdAt, lastAccessedAt }, least recently used first
     this.analysisCache = new Map()
+    this.providers = new Map()
+    // Entry id -> TiDB save still in flight, so feedback is never sent before its entry
+    this.pendingTiDBSaves = new Map()
+    // Fitted from mood history feedback on first use, refitted after new feedback
+    this.calibrator = null
   }
 
   /**
@@ -26,10 +57,8 @@ class MoodAnalysisService {
    */
   async initialize() {
     try {
-      this.apiKey = getApiKey('openai')
-      if (!this.apiKey) {
-        console.warn('OpenAI API key not found. Mood analysis will use mock data.')
-      }
+      // Providers capture configuration, so rebuild them on (re)initialization
+      this.providers.clear()
       
       // Load cached analyses
       await this.loadAnalysisCache()
@@ -45,57 +74,99 @@ class MoodAnalysisService {
   /**
    * Analyze mood from drawing image data
    * @param {Object} exportData - Canvas export data from DrawingCanvas
-   * @returns {Promise<Object>} Mood analysis result
+   * @param {Object} options
+   * @param {Function} options.onPartial - Called with partial results
+   *   ({ primaryMood, confidence, description, recommendations }) while a streaming provider responds
+   * @param {boolean} options.realOnly - Analyze for real even when the mock provider is configured
+   * @param {boolean} options.bypassCache - Analyze again even if this drawing has a cached analysis;
+   *   the fresh result replaces the cached one
+   * @returns {Promise<Object>} Mood analysis result; a fallback analysis (isFallback) for unexpected failures.
+   *   Results reused from the cache carry fromCache and cachedAt.
+   *   Real analyses carry calibration (see getCalibration); confidence stays the provider's own.
+   *   Mock and fallback results are neither cached nor stored unless VITE_STORE_SYNTHETIC_RESULTS is set.
+   *   Results saved to mood history carry entryId, for submitFeedback; a reused result is saved
+   *   as a new entry too, so it can take feedback like a fresh one.
+   *   When the result could not be saved locally it carries storageError ({ type, message, recovery }).
+   * @throws {InvalidDrawingError} When there is no drawing to analyze
+   * @throws {QuotaExceededError} When the OpenAI quota is used up, locally or on the backend
+   * @throws {ProviderHTTPError} When the provider cannot be reached or answers with an error
+   * @throws {ResponseParseError} When the provider's response holds no valid analysis
    */
-  async analyzeMood(exportData) {
+  async analyzeMood(exportData, { onPartial = null, realOnly = false, bypassCache = false } = {}) {
     if (!this.isInitialized) {
       await this.initialize()
     }
 
-    try {
-      // Check rate limiting first
+    // Validate input data
+    if (!exportData || !exportData.dataUrl) {
+      throw new InvalidDrawingError()
+    }
+
+    const provider = this.getProvider({ realOnly })
+
+    // A cached analysis of the same drawing costs no API call
+    const cacheKey = await this.generateCacheKey(exportData.dataUrl, provider.name)
+    const cached = bypassCache ? null : this.getCachedAnalysis(cacheKey)
+    if (cached) {
+      console.log('📋 Returning cached mood analysis')
+      // Feedback given since it was cached may have moved the calibration
+      const calibration = await this.getCalibration(cached)
+      return this.recordAnalysis(calibration ? { ...cached, calibration } : cached, exportData)
+    }
+
+    // Check rate limiting; offline and self-hosted analysis cost nothing
+    if (provider.usesQuota) {
       const canMakeRequest = await rateLimiter.checkQuota('openai')
       const quotaInfo = await rateLimiter.getAllQuotas()
       const remaining = quotaInfo.openai.remaining
-      
+
       if (!canMakeRequest) {
-        throw new Error(`Daily OpenAI quota exceeded (${quotaInfo.openai.used}/${quotaInfo.openai.limit}). Please try again tomorrow.`)
+        throw new QuotaExceededError(`Daily OpenAI quota exceeded (${quotaInfo.openai.used}/${quotaInfo.openai.limit}). Please try again later.`, {
+          service: 'openai',
+          resetTime: await rateLimiter.getResetTime('openai'),
+          quota: quotaInfo.openai
+        })
       }
-      
+
       // Warn when approaching limit (less than 10 calls remaining)
       if (remaining <= 10) {
         console.warn(`⚠️ Approaching API limit: ${remaining} calls remaining`)
       }
+    }
 
-      // Validate input data
-      if (!exportData || !exportData.dataUrl) {
-        throw new Error('Invalid drawing data provided')
-      }
-
-      // Check cache first
-      const cacheKey = this.generateCacheKey(exportData.dataUrl)
-      if (this.analysisCache.has(cacheKey)) {
-        console.log('📋 Returning cached mood analysis')
-        return this.analysisCache.get(cacheKey)
-      }
-
+    try {
       // Prepare image for API
       const optimizedImage = this.optimizeImageForAPI(exportData.dataUrl)
       
-      let analysisResult
+      console.log(`🧠 Analyzing mood with the ${provider.name} provider`)
+
+      const startTime = Date.now()
+      const stream = onPartial ? createPartialAnalysisStream(onPartial) : null
+      const rawResult = await provider.analyze({
+        imageData: optimizedImage,
+        features: exportData.features || null
+      }, { onText: stream ? stream.push : null })
 
-      if (this.apiKey && !isDevelopment()) {
-        // Make actual API call in production with API key
-        analysisResult = await this.callOpenAIAPI(optimizedImage)
-        
+      if (provider.usesQuota) {
         // Increment usage counter
         await rateLimiter.incrementUsage('openai')
-      } else {
-        // Use mock analysis for development/demo or when no API key
-        console.log('🎭 Using mock mood analysis (no API key or development mode)')
-        analysisResult = this.generateMockAnalysis()
       }
 
+      // Every provider's output goes through the same validation
+      const analysisResult = validateAnalysisResult(rawResult)
+      analysisResult.provider = provider.name
+      if (typeof analysisResult.processingTime !== 'number') {
+        analysisResult.processingTime = Date.now() - startTime
+      }
+
+      console.log('✅ Mood analysis complete:', {
+        provider: provider.name,
+        mood: analysisResult.primaryMood,
+        confidence: analysisResult.confidence,
+        emotions: analysisResult.emotions.map(emotion => emotion.name),
+        recommendationsCount: analysisResult.recommendations.length
+      })
+
       // Add metadata
       analysisResult.metadata = {
         timestamp: new Date().toISOString(),
@@ -105,26 +176,37 @@ class MoodAnalysisService {
       }
 
       // Map mood to business categories
-      analysisResult.businessCategories = getBusinessCategoriesForMood(analysisResult.primaryMood)
+      analysisResult.businessCategories = getPlaceTypesForMood(analysisResult.primaryMood)
 
-      // Cache the result
-      this.analysisCache.set(cacheKey, analysisResult)
-      await this.saveAnalysisCache()
+      const calibration = await this.getCalibration(analysisResult)
+      if (calibration) {
+        analysisResult.calibration = calibration
+      }
 
-      // Store in local database
-      await this.storeAnalysisResult(analysisResult, exportData)
+      // Demo data says nothing about this drawing, so it is not reused
+      const isSynthetic = isSyntheticAnalysis(analysisResult)
+      if (!isSynthetic) {
+        await this.cacheAnalysis(cacheKey, analysisResult)
+      }
 
-      // Save to TiDB (non-blocking)
-      this.saveMoodToTiDB(analysisResult.primaryMood, analysisResult.confidence)
+      if (isSynthetic && !shouldStoreSyntheticResults()) {
+        console.log('🎭 Demo analysis kept out of history and TiDB')
+        return analysisResult
+      }
 
-      return analysisResult
+      return await this.recordAnalysis(analysisResult, exportData)
 
     } catch (error) {
       console.error('❌ Mood analysis failed:', error)
       
-      // Return fallback analysis for better UX
-      if (error.message.includes('quota exceeded')) {
-        throw error // Re-throw quota errors
+      // The backend refused the request: mirror its Retry-After locally
+      if (error instanceof QuotaExceededError) {
+        await rateLimiter.applyRetryAfter(error.service, error.retryAfter)
+      }
+
+      // Typed errors tell the UI how to recover, so they are not papered over
+      if (error instanceof AnalysisError) {
+        throw error
       }
       
       return this.generateFallbackAnalysis(error.message)
@@ -132,236 +214,52 @@ class MoodAnalysisService {
   }
 
   /**
-   * Call OpenAI GPT-4 Vision API
-   * @param {string} imageData - Base64 image data
-   * @returns {Promise<Object>} API response
+   * Save an analysis to mood history locally and to TiDB (non-blocking)
+   * The analysis still stands when saving fails.
+   * @param {Object} analysisResult - Analysis result to save
+   * @param {Object} exportData - Original drawing data
+   * @returns {Promise<Object>} The result with entryId, or with storageError when it could not be saved locally
    */
-  async callOpenAIAPI(imageData) {
-    const startTime = Date.now()
-    
-    const prompt = `You are an expert art therapist analyzing a drawing to determine the creator's emotional state. Analyze this drawing carefully based on these visual elements:
-
-VISUAL ANALYSIS CRITERIA:
-- Line quality: smooth/jagged, light/heavy pressure, continuous/broken strokes, fast/slow execution
-- Color palette: dark/bright, warm/cool tones, monochromatic/diverse, color intensity
-- Shapes and forms: angular/curved, geometric/organic, large/small, simple/complex
-- Composition: balanced/unbalanced, centered/scattered, full/sparse, organized/chaotic
-- Drawing style: detailed/sketchy, realistic/abstract, controlled/expressive
-
-MOOD CLASSIFICATION:
-You must classify the PRIMARY mood as exactly ONE of these 15 categories:
-happy, sad, anxious, calm, creative, energetic, tired, angry, excited, peaceful, confident, overwhelmed, lonely, frustrated, inspired
-
-CRITICAL INSTRUCTIONS:
-- Analyze the ACTUAL visual elements - do NOT default to "happy"
-- Different line qualities indicate different emotions (jagged = anxiety/anger, flowing = calm/happy)
-- Dark colors often indicate sadness/anxiety, bright colors suggest energy/happiness
-- Chaotic compositions may show overwhelm/anxiety, organized ones suggest calm/confidence
-- Heavy pressure/bold strokes can indicate strong emotions (anger, excitement, confidence)
-- Light, tentative strokes may suggest uncertainty, sadness, or tiredness
-
-REQUIRED JSON OUTPUT FORMAT (respond with ONLY this JSON, no other text):
-{
-  "primaryMood": "one_of_the_15_words_exactly",
-  "confidence": 0.85,
-  "description": "Specific analysis of visual elements that led to this mood classification",
-  "recommendations": [
-    {
-      "title": "Actionable wellness advice title",
-      "description": "Detailed explanation of how this helps with the detected mood",
-      "icon": "relevant_emoji"
-    },
-    {
-      "title": "Second wellness recommendation",
-      "description": "Another specific suggestion tailored to this mood",
-      "icon": "relevant_emoji"
-    },
-    {
-      "title": "Third personalized advice",
-      "description": "Additional mood-specific guidance",
-      "icon": "relevant_emoji"
-    }
-  ]
-}
-
-Remember: Respond with ONLY valid JSON. No additional text before or after.`
-
-    const requestBody = {
-      model: API_CONFIG.OPENAI.MODEL,
-      messages: [
-        {
-          role: "user",
-          content: [
-            {
-              type: "text",
-              text: prompt
-            },
-            {
-              type: "image_url",
-              image_url: {
-                url: imageData,
-                detail: "low" // Use low detail to reduce costs
-              }
-            }
-          ]
-        }
-      ],
-      max_tokens: API_CONFIG.OPENAI.MAX_TOKENS,
-      temperature: API_CONFIG.OPENAI.TEMPERATURE
+  async recordAnalysis(analysisResult, exportData) {
+    let moodEntry = null
+    let storageError = null
+    try {
+      moodEntry = await this.storeAnalysisResult(analysisResult, exportData)
+    } catch (error) {
+      storageError = error.toJSON()
     }
 
-    const response = await fetch(`${API_CONFIG.OPENAI.BASE_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${this.apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    })
+    this.saveMoodToTiDB(analysisResult, moodEntry?.id)
 
-    if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}))
-      throw new Error(`OpenAI API error: ${response.status} - ${errorData.error?.message || 'Unknown error'}`)
-    }
+    const result = moodEntry ? { ...analysisResult, entryId: moodEntry.id } : analysisResult
+    return storageError ? { ...result, storageError } : result
+  }
 
-    const data = await response.json()
-    
-    if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-      throw new Error('Invalid response format from OpenAI API')
+  /**
+   * Get the provider for the current analysis mode
+   * Providers are created once per mode and reused
+   * @param {Object} options
+   * @param {boolean} options.realOnly - Use the default mode instead of the mock provider
+   * @returns {AnalysisProvider} Analysis provider
+   */
+  getProvider({ realOnly = false } = {}) {
+    let mode = this.resolveAnalysisMode()
+    if (realOnly && mode === ANALYSIS_MODES.MOCK) {
+      mode = this.getDefaultAnalysisMode()
     }
 
-    const content = data.choices[0].message.content.trim()
-    
-    try {
-      // Clean up response - remove any text before/after JSON
-      let jsonContent = content
-      
-      // Find JSON boundaries
-      const jsonStart = content.indexOf('{')
-      const jsonEnd = content.lastIndexOf('}')
-      
-      if (jsonStart !== -1 && jsonEnd !== -1 && jsonEnd > jsonStart) {
-        jsonContent = content.substring(jsonStart, jsonEnd + 1)
-      }
-      
-      // Parse JSON response
-      const analysisResult = JSON.parse(jsonContent)
-      
-      // Validate required fields
-      if (!analysisResult.primaryMood || typeof analysisResult.primaryMood !== 'string') {
-        throw new Error('Missing or invalid primaryMood field')
-      }
-      
-      if (!analysisResult.description || typeof analysisResult.description !== 'string') {
-        throw new Error('Missing or invalid description field')
-      }
-      
-      // Validate primaryMood is one of the expected 15 moods
-      const validMoods = ['happy', 'sad', 'anxious', 'calm', 'creative', 'energetic', 'tired', 'angry', 'excited', 'peaceful', 'confident', 'overwhelmed', 'lonely', 'frustrated', 'inspired']
-      const normalizedMood = analysisResult.primaryMood.toLowerCase().trim()
-      
-      if (!validMoods.includes(normalizedMood)) {
-        console.warn(`Invalid mood detected: ${analysisResult.primaryMood}, defaulting to closest match`)
-        // Find closest match or default to 'creative'
-        analysisResult.primaryMood = this.findClosestMood(normalizedMood, validMoods) || 'creative'
-      } else {
-        analysisResult.primaryMood = normalizedMood
-      }
-
-      // Ensure recommendations array exists and is valid
-      if (!analysisResult.recommendations || !Array.isArray(analysisResult.recommendations)) {
-        analysisResult.recommendations = []
-      }
-      
-      // Validate and clean recommendations
-      analysisResult.recommendations = analysisResult.recommendations
-        .filter(rec => rec && typeof rec === 'object' && rec.title && rec.description)
-        .slice(0, 4) // Limit to 4 recommendations
-        .map(rec => ({
-          title: String(rec.title).trim(),
-          description: String(rec.description).trim(),
-          icon: rec.icon || '💡'
-        }))
-
-      // Ensure confidence is a valid number
-      if (typeof analysisResult.confidence !== 'number' || analysisResult.confidence < 0 || analysisResult.confidence > 1) {
-        analysisResult.confidence = 0.75 // Default confidence
-      }
-
-      // Add processing time
-      analysisResult.processingTime = Date.now() - startTime
-
-      console.log('✅ Parsed OpenAI response:', {
-        mood: analysisResult.primaryMood,
-        confidence: analysisResult.confidence,
-        recommendationsCount: analysisResult.recommendations.length
-      })
-
-      return analysisResult
-
-    } catch (parseError) {
-      console.error('❌ Failed to parse OpenAI response:', {
-        error: parseError.message,
-        content: content.substring(0, 200) + '...'
-      })
-      throw new Error(`Failed to parse mood analysis response: ${parseError.message}`)
+    if (!this.providers.has(mode)) {
+      this.providers.set(mode, createAnalysisProvider(mode))
     }
+    return this.providers.get(mode)
   }
 
   /**
-   * Find closest matching mood from valid moods list
-   * @param {string} mood - Input mood string
-   * @param {Array} validMoods - Array of valid mood strings
-   * @returns {string|null} Closest matching mood or null
+   * Validate and rank the emotion breakdown from an analysis response
+   * @see normalizeEmotions in analysis/analysisValidation.js
    */
-  findClosestMood(mood, validMoods) {
-    if (!mood || !validMoods || validMoods.length === 0) return null
-    
-    // Direct match
-    if (validMoods.includes(mood)) return mood
-    
-    // Partial match - find mood that contains the input or vice versa
-    for (const validMood of validMoods) {
-      if (mood.includes(validMood) || validMood.includes(mood)) {
-        return validMood
-      }
-    }
-    
-    // Similarity-based matching for common variations
-    const moodMappings = {
-      'joyful': 'happy',
-      'cheerful': 'happy',
-      'elated': 'excited',
-      'depressed': 'sad',
-      'melancholy': 'sad',
-      'worried': 'anxious',
-      'nervous': 'anxious',
-      'stressed': 'overwhelmed',
-      'relaxed': 'calm',
-      'serene': 'peaceful',
-      'tranquil': 'peaceful',
-      'artistic': 'creative',
-      'imaginative': 'creative',
-      'lively': 'energetic',
-      'vigorous': 'energetic',
-      'exhausted': 'tired',
-      'weary': 'tired',
-      'mad': 'angry',
-      'furious': 'angry',
-      'thrilled': 'excited',
-      'enthusiastic': 'excited',
-      'sure': 'confident',
-      'self-assured': 'confident',
-      'swamped': 'overwhelmed',
-      'isolated': 'lonely',
-      'alone': 'lonely',
-      'annoyed': 'frustrated',
-      'irritated': 'frustrated',
-      'motivated': 'inspired',
-      'uplifted': 'inspired'
-    }
-    
-    return moodMappings[mood] || null
+  normalizeEmotions(emotions, primaryMood, confidence) {
+    return normalizeEmotions(emotions, primaryMood, confidence)
   }
 
   /**
@@ -381,181 +279,90 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
   }
 
   /**
-   * Generate mock analysis for development/demo
-   * @returns {Object} Mock analysis result
+   * Resolve which analysis mode to use
+   * A mode the user switched to wins, then VITE_ANALYSIS_MODE; otherwise the backend OpenAI route is used in production.
+   * The compatible mode falls back to offline analysis without a server URL.
+   * The OpenAI key lives on the backend, which answers 503 when it is not configured.
+   * @returns {string} One of ANALYSIS_MODES
    */
-  generateMockAnalysis() {
-    // Define 15 diverse mood categories with specific recommendations
-    const moodDatabase = {
-      happy: {
-        primaryMood: 'happy',
-        confidence: 0.85 + Math.random() * 0.1,
-        description: 'Your drawing radiates joy with bright colors and uplifting strokes.',
-        recommendations: [
-          { title: 'Share Your Joy', description: 'Call a friend and share this positive energy with someone you care about.', icon: '📞' },
-          { title: 'Celebrate This Moment', description: 'Take a photo or write in a gratitude journal to capture this happiness.', icon: '📸' },
-          { title: 'Spread Positivity', description: 'Do something kind for someone else to multiply your joy.', icon: '🌟' }
-        ]
-      },
-      sad: {
-        primaryMood: 'sad',
-        confidence: 0.75 + Math.random() * 0.15,
-        description: 'Your drawing shows gentle, melancholic tones suggesting you need comfort.',
-        recommendations: [
-          { title: 'Gentle Self-Care', description: 'Make yourself a warm drink and wrap up in something cozy.', icon: '☕' },
-          { title: 'Connect with Support', description: 'Reach out to a trusted friend or family member for a caring conversation.', icon: '🤗' },
-          { title: 'Honor Your Feelings', description: 'Allow yourself to feel sad - it\'s okay and this emotion will pass.', icon: '💙' }
-        ]
-      },
-      anxious: {
-        primaryMood: 'anxious',
-        confidence: 0.78 + Math.random() * 0.12,
-        description: 'Your drawing shows tension and worried energy in the lines and composition.',
-        recommendations: [
-          { title: 'Deep Breathing', description: 'Try 4-7-8 breathing: inhale for 4, hold for 7, exhale for 8 counts.', icon: '🫁' },
-          { title: 'Grounding Exercise', description: 'Name 5 things you see, 4 you can touch, 3 you hear, 2 you smell, 1 you taste.', icon: '🌱' },
-          { title: 'Gentle Movement', description: 'Take a slow walk or do gentle stretches to release physical tension.', icon: '🚶' }
-        ]
-      },
-      calm: {
-        primaryMood: 'calm',
-        confidence: 0.82 + Math.random() * 0.08,
-        description: 'Your drawing displays peaceful, flowing lines suggesting inner tranquility.',
-        recommendations: [
-          { title: 'Mindful Moment', description: 'Sit quietly and focus on your breath for 5 minutes to deepen this calm.', icon: '🧘' },
-          { title: 'Nature Connection', description: 'Step outside or look out a window to connect with natural beauty.', icon: '🌿' },
-          { title: 'Peaceful Activity', description: 'Read something inspiring or listen to gentle music.', icon: '📚' }
-        ]
-      },
-      creative: {
-        primaryMood: 'creative',
-        confidence: 0.87 + Math.random() * 0.08,
-        description: 'Your drawing shows artistic flair and imaginative expression.',
-        recommendations: [
-          { title: 'Capture Ideas', description: 'Write down or sketch any creative inspirations while they\'re fresh.', icon: '💡' },
-          { title: 'Explore Art', description: 'Try a new artistic medium or visit a gallery for inspiration.', icon: '🎨' },
-          { title: 'Creative Project', description: 'Start or continue a creative project that excites you.', icon: '✨' }
-        ]
-      },
-      energetic: {
-        primaryMood: 'energetic',
-        confidence: 0.89 + Math.random() * 0.06,
-        description: 'Your drawing pulses with dynamic energy and vibrant movement.',
-        recommendations: [
-          { title: 'Physical Activity', description: 'Channel this energy into exercise, dancing, or active movement.', icon: '💃' },
-          { title: 'Productive Tasks', description: 'Tackle that project or task you\'ve been putting off.', icon: '⚡' },
-          { title: 'Social Energy', description: 'Connect with friends for an energizing activity or conversation.', icon: '👥' }
-        ]
-      },
-      tired: {
-        primaryMood: 'tired',
-        confidence: 0.73 + Math.random() * 0.12,
-        description: 'Your drawing shows fatigue with heavy, weary strokes.',
-        recommendations: [
-          { title: 'Rest Permission', description: 'Give yourself permission to rest without guilt - you deserve it.', icon: '😴' },
-          { title: 'Gentle Restoration', description: 'Take a warm bath or shower to refresh your body and mind.', icon: '🛁' },
-          { title: 'Energy Foods', description: 'Eat something nourishing and drink plenty of water.', icon: '🍎' }
-        ]
-      },
-      angry: {
-        primaryMood: 'angry',
-        confidence: 0.84 + Math.random() * 0.11,
-        description: 'Your drawing shows sharp, aggressive strokes indicating intense anger.',
-        recommendations: [
-          { title: 'Safe Physical Release', description: 'Punch a pillow, do jumping jacks, or go for a vigorous run.', icon: '🥊' },
-          { title: 'Cool Down Time', description: 'Take 10 deep breaths and count to 20 before responding.', icon: '❄️' },
-          { title: 'Express Safely', description: 'Write about your anger or talk to someone you trust.', icon: '✍️' }
-        ]
-      },
-      excited: {
-        primaryMood: 'excited',
-        confidence: 0.91 + Math.random() * 0.07,
-        description: 'Your drawing bursts with enthusiasm and anticipatory energy.',
-        recommendations: [
-          { title: 'Channel Excitement', description: 'Use this energy to work on something you\'re passionate about.', icon: '🚀' },
-          { title: 'Share the Buzz', description: 'Tell someone about what\'s got you so excited!', icon: '📢' },
-          { title: 'Plan Action', description: 'Make concrete plans to act on whatever is exciting you.', icon: '📋' }
-        ]
-      },
-      peaceful: {
-        primaryMood: 'peaceful',
-        confidence: 0.86 + Math.random() * 0.09,
-        description: 'Your drawing emanates serenity with soft, harmonious lines.',
-        recommendations: [
-          { title: 'Savor the Peace', description: 'Sit quietly and fully experience this beautiful sense of calm.', icon: '🕊️' },
-          { title: 'Meditation Time', description: 'Spend 10-15 minutes in peaceful meditation or prayer.', icon: '🧘‍♀️' },
-          { title: 'Share Serenity', description: 'Be a calming presence for someone who might need it.', icon: '☮️' }
-        ]
-      },
-      confident: {
-        primaryMood: 'confident',
-        confidence: 0.88 + Math.random() * 0.08,
-        description: 'Your drawing shows bold, decisive strokes reflecting strong self-assurance.',
-        recommendations: [
-          { title: 'Take Bold Action', description: 'Use this confidence to tackle something challenging.', icon: '💪' },
-          { title: 'Lead Others', description: 'Step up and offer leadership or guidance to someone.', icon: '👑' },
-          { title: 'Set Big Goals', description: 'This is the perfect time to aim high and dream big.', icon: '🎯' }
-        ]
-      },
-      overwhelmed: {
-        primaryMood: 'overwhelmed',
-        confidence: 0.81 + Math.random() * 0.14,
-        description: 'Your drawing shows chaotic, overlapping lines suggesting you feel swamped.',
-        recommendations: [
-          { title: 'Priority List', description: 'Write down everything, then pick just the top 3 most important items.', icon: '📝' },
-          { title: 'Take a Break', description: 'Step away for 15 minutes - even overwhelm needs a pause.', icon: '⏸️' },
-          { title: 'Ask for Help', description: 'Reach out to someone who can assist or just listen.', icon: '🆘' }
-        ]
-      },
-      lonely: {
-        primaryMood: 'lonely',
-        confidence: 0.77 + Math.random() * 0.13,
-        description: 'Your drawing has isolated elements suggesting you\'re feeling disconnected.',
-        recommendations: [
-          { title: 'Reach Out', description: 'Send a text or make a call to someone you care about.', icon: '📱' },
-          { title: 'Join Something', description: 'Look for a group, class, or community activity to join.', icon: '👥' },
-          { title: 'Self-Compassion', description: 'Be gentle with yourself - loneliness is temporary and normal.', icon: '💝' }
-        ]
-      },
-      frustrated: {
-        primaryMood: 'frustrated',
-        confidence: 0.85 + Math.random() * 0.10,
-        description: 'Your drawing shows blocked, jagged energy indicating frustration.',
-        recommendations: [
-          { title: 'Step Away', description: 'Take a break from whatever is frustrating you right now.', icon: '🚪' },
-          { title: 'Physical Release', description: 'Do some vigorous exercise to discharge the frustrated energy.', icon: '🏃' },
-          { title: 'New Approach', description: 'Try tackling the problem from a completely different angle.', icon: '🔄' }
-        ]
-      },
-      inspired: {
-        primaryMood: 'inspired',
-        confidence: 0.93 + Math.random() * 0.05,
-        description: 'Your drawing flows with creative inspiration and visionary energy.',
-        recommendations: [
-          { title: 'Capture the Vision', description: 'Write down or sketch your inspired ideas immediately.', icon: '💡' },
-          { title: 'Take Action', description: 'Start working on whatever is inspiring you - strike while the iron is hot!', icon: '⚡' },
-          { title: 'Share Inspiration', description: 'Tell others about your vision - inspiration is contagious.', icon: '✨' }
-        ]
+  resolveAnalysisMode() {
+    const overrideMode = this.getAnalysisModeOverride()
+    if (overrideMode) {
+      return overrideMode
+    }
+
+    const configuredMode = getAnalysisMode()
+
+    if (configuredMode === ANALYSIS_MODES.OPENAI_COMPATIBLE && !getCompatibleProviderConfig().baseUrl) {
+      console.warn('OpenAI-compatible analysis mode selected without VITE_ANALYSIS_BASE_URL. Falling back to offline analysis.')
+      return ANALYSIS_MODES.OFFLINE
+    }
+    if (configuredMode) {
+      return configuredMode
+    }
+
+    return this.getDefaultAnalysisMode()
+  }
+
+  /**
+   * Analysis mode used when none is configured: offline in development, OpenAI otherwise
+   * @returns {string} One of ANALYSIS_MODES
+   */
+  getDefaultAnalysisMode() {
+    return isDevelopment() ? ANALYSIS_MODES.OFFLINE : ANALYSIS_MODES.OPENAI
+  }
+
+  /**
+   * Switch analysis mode for the rest of the session, e.g. to offline analysis
+   * while the analysis service is unavailable
+   * @param {string|null} mode - One of ANALYSIS_MODES, or null to return to the configured mode
+   */
+  setAnalysisModeOverride(mode) {
+    try {
+      if (mode) {
+        sessionStorage.setItem(MODE_OVERRIDE_KEY, mode)
+      } else {
+        sessionStorage.removeItem(MODE_OVERRIDE_KEY)
       }
-    };
+    } catch (error) {
+      console.warn('Failed to save analysis mode:', error)
+    }
+    console.log(`🔀 Analysis mode ${mode ? `switched to ${mode}` : 'reset to configuration'}`)
+  }
 
-    // CRITICAL FIX: Proper random mood selection
-    const moodKeys = Object.keys(moodDatabase);
-    const randomIndex = Math.floor(Math.random() * moodKeys.length);
-    const selectedMood = moodKeys[randomIndex];
-    const moodData = moodDatabase[selectedMood];
+  /**
+   * Get the analysis mode the user switched to this session
+   * @returns {string|null} One of ANALYSIS_MODES, or null when none was chosen
+   */
+  getAnalysisModeOverride() {
+    try {
+      const mode = sessionStorage.getItem(MODE_OVERRIDE_KEY)
+      return Object.values(ANALYSIS_MODES).includes(mode) ? mode : null
+    } catch (error) {
+      return null
+    }
+  }
 
-    // Add processing metadata
-    return {
-      ...moodData,
-      processingTime: 800 + Math.random() * 400,
-      isMockData: true,
-      timestamp: new Date().toISOString()
-    };
+  /**
+   * Generate an analysis offline from measured drawing features
+   * @param {Object} features - Drawing features from DrawingCanvas (utils/drawingFeatures.js)
+   * @returns {Object} Offline analysis result
+   */
+  generateOfflineAnalysis(features) {
+    return validateAnalysisResult(new OfflineAnalysisProvider().createAnalysis(features))
+  }
+
+  /**
+   * Generate mock analysis for development/demo
+   * @returns {Object} Mock analysis result
+   */
+  generateMockAnalysis() {
+    return validateAnalysisResult(new MockAnalysisProvider().createAnalysis())
   }
 
   /**
    * Generate fallback analysis when API fails
+   * Flagged with isFallback so it is never mistaken for a real reading
    * @param {string} errorMessage - Error that occurred
    * @returns {Object} Fallback analysis
    */
@@ -564,6 +371,7 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
       primaryMood: 'calm',
       confidence: 0.5,
       description: 'We encountered an issue analyzing your drawing, but your creative expression is still valuable. Sometimes the act of drawing itself can be therapeutic.',
+      emotions: [{ name: 'calm', intensity: 0.5 }],
       recommendations: [
         {
           title: 'Take a Deep Breath',
@@ -581,7 +389,9 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
           icon: '🔄'
         }
       ],
-      businessCategories: getBusinessCategoriesForMood('calm'),
+      businessCategories: getPlaceTypesForMood('calm'),
+      isFallback: true,
+      fallbackReason: errorMessage,
       metadata: {
         timestamp: new Date().toISOString(),
         error: errorMessage,
@@ -594,6 +404,8 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
    * Store analysis result in local database
    * @param {Object} analysisResult - Analysis result to store
    * @param {Object} exportData - Original drawing data
+   * @returns {Promise<Object>} Stored mood entry
+   * @throws {StorageError|QuotaExceededError} When the entry could not be saved
    */
   async storeAnalysisResult(analysisResult, exportData) {
     try {
@@ -605,6 +417,10 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
           width: exportData.width,
           height: exportData.height
         },
+        // Versioned vector strokes (see utils/strokeFormat.js) for replay
+        strokeData: exportData.strokes || null,
+        // Quantitative features measured locally (see utils/drawingFeatures.js)
+        features: exportData.features || null,
         analysis: analysisResult,
         sessionId: this.getSessionId()
       }
@@ -618,33 +434,106 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
           confidence: analysisResult.confidence
         })
       }
+
+      return moodEntry
     } catch (error) {
       console.error('Failed to store mood analysis:', error)
-      // Don't throw - storage failure shouldn't break the analysis flow
+      throw error instanceof AnalysisError
+        ? error
+        : new StorageError('Failed to store mood analysis', { operation: 'saveMoodEntry', cause: error })
     }
   }
 
   /**
-   * Load analysis cache from storage
+   * Load analysis cache from storage, dropping expired entries
    */
   async loadAnalysisCache() {
     try {
-      const cached = await localStorageManager.getAnalysisCache()
-      if (cached) {
-        this.analysisCache = new Map(Object.entries(cached))
+      const entries = await localStorageManager.getAnalysisCacheEntries()
+      const expired = []
+      this.analysisCache = new Map()
+
+      for (const entry of entries) {
+        // Older caches may still hold demo results
+        if (this.isCacheEntryExpired(entry) || isSyntheticAnalysis(entry.result)) {
+          expired.push(entry.key)
+        } else {
+          this.analysisCache.set(entry.key, entry)
+        }
       }
+
+      await localStorageManager.deleteAnalysisCacheEntries(expired)
     } catch (error) {
       console.error('Failed to load analysis cache:', error)
     }
   }
 
   /**
-   * Save analysis cache to storage
+   * Whether a cached analysis is older than APP_CONFIG.CACHE_DURATION
+   * @param {Object} entry - Cache entry
+   * @returns {boolean}
+   */
+  isCacheEntryExpired(entry) {
+    return Date.now() - Date.parse(entry.createdAt) > APP_CONFIG.CACHE_DURATION
+  }
+
+  /**
+   * Look up a cached analysis and mark it as recently used
+   * @param {string|null} cacheKey - Key from generateCacheKey
+   * @returns {Object|null} The cached result with fromCache and cachedAt, or null on a miss
    */
-  async saveAnalysisCache() {
+  getCachedAnalysis(cacheKey) {
+    const entry = cacheKey ? this.analysisCache.get(cacheKey) : null
+    if (!entry) return null
+
+    if (this.isCacheEntryExpired(entry)) {
+      this.analysisCache.delete(cacheKey)
+      this.persistCacheChange(localStorageManager.deleteAnalysisCacheEntries([cacheKey]))
+      return null
+    }
+
+    // Re-inserting moves the entry to the most recently used end
+    entry.lastAccessedAt = new Date().toISOString()
+    this.analysisCache.delete(cacheKey)
+    this.analysisCache.set(cacheKey, entry)
+    this.persistCacheChange(localStorageManager.saveAnalysisCacheEntry(entry))
+
+    return { ...entry.result, fromCache: true, cachedAt: entry.createdAt }
+  }
+
+  /**
+   * Cache an analysis, evicting the least recently used beyond APP_CONFIG.ANALYSIS_CACHE_MAX_ENTRIES
+   * @param {string|null} cacheKey - Key from generateCacheKey; nothing is cached without one
+   * @param {Object} analysisResult - Validated analysis result
+   */
+  async cacheAnalysis(cacheKey, analysisResult) {
+    if (!cacheKey) return
+
+    const now = new Date().toISOString()
+    const entry = { key: cacheKey, result: analysisResult, createdAt: now, lastAccessedAt: now }
+    this.analysisCache.delete(cacheKey)
+    this.analysisCache.set(cacheKey, entry)
+
+    const evicted = []
+    for (const key of this.analysisCache.keys()) {
+      if (this.analysisCache.size - evicted.length <= APP_CONFIG.ANALYSIS_CACHE_MAX_ENTRIES) break
+      evicted.push(key)
+    }
+    evicted.forEach(key => this.analysisCache.delete(key))
+
+    await this.persistCacheChange(Promise.all([
+      localStorageManager.saveAnalysisCacheEntry(entry),
+      localStorageManager.deleteAnalysisCacheEntries(evicted)
+    ]))
+  }
+
+  /**
+   * Wait for a cache write; the in-memory cache still works when IndexedDB does not
+   * @param {Promise} operation - Pending LocalStorageManager call
+   */
+  async persistCacheChange(operation) {
     try {
-      const cacheObject = Object.fromEntries(this.analysisCache)
-      await localStorageManager.saveAnalysisCache(cacheObject)
+      await operation
     } catch (error) {
       console.error('Failed to save analysis cache:', error)
     }
@@ -652,25 +541,19 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
 
   /**
    * Generate cache key for image data
+   * The provider is part of the key, so switching analysis mode never reuses another provider's result
    * @param {string} imageData - Base64 image data
-   * @returns {string} Cache key
+   * @param {string} providerName - Name of the provider that analyzes it
+   * @returns {Promise<string|null>} Cache key, or null when SHA-256 is unavailable (nothing is cached)
    */
-  generateCacheKey(imageData) {
-    // Create a more robust hash by sampling the image data
-    const sampleSize = Math.min(1000, imageData.length)
-    const step = Math.floor(imageData.length / sampleSize)
-    let hash = 0
-    
-    for (let i = 0; i < imageData.length; i += step) {
-      const char = imageData.charCodeAt(i)
-      hash = ((hash << 5) - hash) + char
-      hash = hash & hash // Convert to 32-bit integer
+  async generateCacheKey(imageData, providerName = this.getProvider().name) {
+    try {
+      const digest = await sha256Hex(imageData)
+      return digest ? `mood_${providerName}_${digest}` : null
+    } catch (error) {
+      console.error('Failed to hash drawing for the analysis cache:', error)
+      return null
     }
-    
-    // Include image length in hash to differentiate similar images
-    hash = hash ^ imageData.length
-    
-    return `mood_${Math.abs(hash)}`
   }
 
   /**
@@ -711,19 +594,29 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
   /**
    * Clear analysis cache
    */
-  clearCache() {
+  async clearCache() {
     this.analysisCache.clear()
-    localStorageManager.clearAnalysisCache()
+    await this.persistCacheChange(localStorageManager.clearAnalysisCache())
   }
 
   /**
-   * Save mood to TiDB (non-blocking)
-   * @param {string} mood - Primary mood
-   * @param {number} confidence - Confidence score
+   * Save the full analysis result to TiDB (non-blocking)
+   * @param {Object} analysisResult - Analysis result to persist
+   * @param {string} entryId - Local mood history entry id, if it was stored
    */
-  async saveMoodToTiDB(mood, confidence) {
+  async saveMoodToTiDB(analysisResult, entryId = null) {
+    const mood = analysisResult.primaryMood
+    const confidence = analysisResult.confidence
+
     try {
-      await tidbService.saveMood(mood, confidence)
+      const save = tidbService.saveMood(analysisResult, {
+        sessionId: this.getSessionId(),
+        entryId
+      })
+      if (entryId) {
+        this.pendingTiDBSaves.set(entryId, save)
+      }
+      await save
       console.log('✅ Mood saved to TiDB:', { mood, confidence })
       
       // Dispatch event to update UI
@@ -733,6 +626,63 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
     } catch (error) {
       console.warn('⚠️ Failed to save mood to TiDB (continuing normally):', error.message)
       // Don't throw - TiDB failure shouldn't break the analysis flow
+    } finally {
+      this.pendingTiDBSaves.delete(entryId)
+    }
+  }
+
+  /**
+   * Record whether an analysis matched how the user felt, locally and in TiDB
+   * @param {string} entryId - Mood history entry the analysis was saved as
+   * @param {Object} feedback - { agreement, correctedMood } (see FEEDBACK_AGREEMENT)
+   * @param {string} detectedMood - The analysis's primary mood
+   * @returns {Promise<Object>} The stored feedback ({ agreement, correctedMood, submittedAt })
+   * @throws {Error} When the feedback has no valid agreement rating
+   * @throws {StorageError} When the mood entry cannot be updated locally
+   */
+  async submitFeedback(entryId, feedback, detectedMood = null) {
+    const normalized = normalizeMoodFeedback(feedback, detectedMood)
+    if (!entryId || !normalized) {
+      throw new Error('Feedback needs a saved mood entry and an agreement rating')
+    }
+
+    await localStorageManager.saveMoodFeedback(entryId, normalized)
+    this.calibrator = null
+    this.saveFeedbackToTiDB(entryId, normalized)
+
+    return normalized
+  }
+
+  /**
+   * Confidence adjusted to how often this user has agreed with similar analyses
+   * @param {Object} analysis - Validated analysis result
+   * @returns {Promise<Object|null>} { confidence, rawConfidence, samples, isCalibrated, needsConfirmation }
+   *   (see utils/confidenceCalibration.js), or null for demo and fallback results
+   */
+  async getCalibration(analysis) {
+    if (isSyntheticAnalysis(analysis)) return null
+
+    if (!this.calibrator) {
+      this.calibrator = createCalibrator(await this.getMoodHistory(CALIBRATION_HISTORY_LIMIT))
+    }
+    return this.calibrator.calibrate(analysis.primaryMood, analysis.confidence, {
+      confidenceDefaulted: analysis.confidenceDefaulted,
+      provider: analysis.provider ?? null
+    })
+  }
+
+  /**
+   * Save feedback to TiDB once its mood entry is there (non-blocking)
+   * @param {string} entryId - Mood history entry id
+   * @param {Object} feedback - Normalized feedback
+   */
+  async saveFeedbackToTiDB(entryId, feedback) {
+    try {
+      await this.pendingTiDBSaves.get(entryId)
+      await tidbService.saveMoodFeedback(entryId, feedback, this.getSessionId())
+      console.log('✅ Mood feedback saved to TiDB:', feedback)
+    } catch (error) {
+      console.warn('⚠️ Failed to save mood feedback to TiDB (kept locally):', error.message)
     }
   }
 
@@ -745,7 +695,7 @@ Remember: Respond with ONLY valid JSON. No additional text before or after.`
     
     return {
       initialized: this.isInitialized,
-      hasApiKey: !!this.apiKey,
+      analysisProvider: this.getProvider().name,
       cacheSize: this.analysisCache.size,
       quotaRemaining: quotas.openai.limit - quotas.openai.used,
       quotaUsed: quotas.openai.used,
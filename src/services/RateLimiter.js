@@ -1,20 +1,34 @@
 /**
  * RateLimiter Service
- * Manages API quotas and prevents exceeding daily limits
+ * Mirrors the API quotas the backend enforces, so the app can warn before a
+ * request is refused and the quota UI shows the server's numbers.
+ * The backend is authoritative: clearing this mirror does not reset any quota.
+ * When the backend is unreachable the mirror counts usage locally.
  */
 
+import tidbService from './TiDBAPIService.js'
+
+// Local defaults, used until the backend's limits have been fetched
 const RATE_LIMITS = {
   openai: 50,
   googlePlaces: 250,
   database: 1000
 }
 
+// Services whose quotas the backend meters. The local 'database' counter
+// tracks IndexedDB writes, which the server's TiDB write quota says nothing about.
+const SERVER_METERED_SERVICES = ['openai', 'googlePlaces']
+
 const STORAGE_KEY = 'moodspot_quotas'
 
+// How long a server quota snapshot is reused before fetching a fresh one
+const SYNC_INTERVAL = 30 * 1000
+
 class RateLimiter {
   constructor() {
     this.quotas = null
     this.initialized = false
+    this.lastSyncedAt = 0
   }
 
   /**
@@ -45,6 +59,65 @@ class RateLimiter {
     }
   }
 
+  /**
+   * Update the metered services in the mirror with the backend's current quota view
+   * Snapshots are reused for SYNC_INTERVAL unless forced
+   * @param {Object} options
+   * @param {boolean} options.force - Fetch even if the snapshot is fresh
+   * @returns {Promise<boolean>} True if the mirror reflects the server
+   */
+  async syncFromServer({ force = false } = {}) {
+    if (!force && this.quotas?.source === 'server' && Date.now() - this.lastSyncedAt < SYNC_INTERVAL) {
+      return true
+    }
+
+    const serverQuotas = await tidbService.getQuotas()
+    if (!serverQuotas || !serverQuotas.services) {
+      return false
+    }
+
+    const now = Date.now()
+    const services = { ...(this.quotas?.services || this.createDefaultQuotas().services) }
+    for (const service of SERVER_METERED_SERVICES) {
+      const quota = serverQuotas.services[service]
+      if (!quota) continue
+
+      services[service] = {
+        used: quota.used,
+        limit: quota.limit,
+        window: quota.window,
+        global: quota.global,
+        exceeded: quota.exceeded || [],
+        blockedUntil: quota.retryAfter ? new Date(now + quota.retryAfter * 1000).toISOString() : null
+      }
+    }
+
+    this.quotas = {
+      date: serverQuotas.date,
+      services,
+      resetTime: serverQuotas.resetTime,
+      source: 'server'
+    }
+    this.lastSyncedAt = now
+    await this.saveQuotas()
+    return true
+  }
+
+  /**
+   * Record a 429 from the backend so requests wait for its Retry-After
+   * @param {string} service - Service name
+   * @param {number} retryAfter - Seconds until the service has quota again
+   */
+  async applyRetryAfter(service, retryAfter) {
+    await this.initialize()
+
+    const serviceQuota = this.quotas.services[service]
+    if (!serviceQuota || !retryAfter) return
+
+    serviceQuota.blockedUntil = new Date(Date.now() + retryAfter * 1000).toISOString()
+    await this.saveQuotas()
+  }
+
   /**
    * Create default quota structure
    */
@@ -117,11 +190,16 @@ class RateLimiter {
     }
 
     const serviceQuota = this.quotas.services[service]
+    if (serviceQuota.blockedUntil && new Date(serviceQuota.blockedUntil).getTime() > Date.now()) {
+      return false
+    }
     return serviceQuota.used < serviceQuota.limit
   }
 
   /**
    * Increment usage for a service
+   * The backend counts its own usage; counting it here too keeps the mirror current
+   * until the snapshot is due for a refresh
    * @param {string} service - Service name
    * @returns {boolean} - True if increment successful, false if quota exceeded
    */
@@ -164,11 +242,14 @@ class RateLimiter {
   }
 
   /**
-   * Get all quota information
+   * Get all quota information, refreshed from the backend when reachable
+   * Server-synced entries also include the sliding window, global usage and
+   * retryAfter (seconds) when a limit is reached
    * @returns {object} - Complete quota status
    */
   async getAllQuotas() {
     await this.initialize()
+    await this.syncFromServer()
     
     const result = {}
     for (const [service, quota] of Object.entries(this.quotas.services)) {
@@ -178,14 +259,35 @@ class RateLimiter {
         remaining: quota.limit - quota.used,
         percentage: Math.round((quota.used / quota.limit) * 100)
       }
+
+      if (quota.window) result[service].window = quota.window
+      if (quota.global) result[service].global = quota.global
+      const blockedMs = quota.blockedUntil ? new Date(quota.blockedUntil).getTime() - Date.now() : 0
+      if (blockedMs > 0) result[service].retryAfter = Math.ceil(blockedMs / 1000)
     }
     
     result.resetTime = this.quotas.resetTime
     result.date = this.quotas.date
+    if (this.quotas.source) result.source = this.quotas.source
     
     return result
   }
 
+  /**
+   * When a service will have quota again: the end of a backend block, else the daily reset
+   * @param {string} service - Service name
+   * @returns {string} - ISO timestamp
+   */
+  async getResetTime(service) {
+    await this.initialize()
+
+    const blockedUntil = this.quotas.services[service]?.blockedUntil
+    if (blockedUntil && new Date(blockedUntil).getTime() > Date.now()) {
+      return blockedUntil
+    }
+    return this.quotas.resetTime
+  }
+
   /**
    * Get time until quota reset
    * @returns {number} - Hours until reset
@@ -215,10 +317,12 @@ class RateLimiter {
   }
 
   /**
-   * Force reset quotas (for testing/admin purposes)
+   * Force reset the local mirror (for testing/admin purposes)
+   * Server-side quotas are unaffected; the mirror re-syncs from the backend
    */
   async forceReset() {
     this.resetDailyCounters()
+    await this.syncFromServer({ force: true })
     console.log('Quotas force reset')
   }
 }
@@ -1,8 +1,41 @@
 /**
  * TiDB API Service
  * Connects to TiDB through backend API server (no CORS issues)
+ * Mood routes are scoped to an anonymous device token issued by the backend
  */
 
+import { readLines } from '../../shared/utils/streamLines.js';
+import { resilientFetch, getMaxFetchDuration } from '../../shared/utils/resilientFetch.js';
+import { BACKEND_RETRY_POLICY } from '../../shared/analysis/OpenAIAnalysisProvider.js';
+import { QuotaExceededError, ProviderHTTPError, ResponseParseError, toProviderError } from '../../shared/errors.js';
+
+// Server-side mood history and quotas belong to this device; resets keep it
+export const DEVICE_STORAGE_KEY = 'moodspot_device';
+
+// Retry policies for the integrations proxied by the backend. Neither is retried
+// on 503 (no key configured); analysis is not retried on 502 either (the backend
+// already retried OpenAI). The analysis timeout outlasts the backend's own OpenAI
+// retries, and a timed-out analysis is not sent again.
+const ANALYSIS_TIMEOUT_MARGIN_MS = 15000;
+const ANALYSIS_RETRY_POLICY = {
+  timeoutMs: getMaxFetchDuration(BACKEND_RETRY_POLICY) + ANALYSIS_TIMEOUT_MARGIN_MS,
+  retries: 1,
+  retryOn: [408, 429, 500, 504],
+  retryTimeouts: false
+};
+const PLACES_RETRY_POLICY = { timeoutMs: 10000, retryOn: [408, 429, 500, 502, 504] };
+
+/**
+ * Format the browser's current UTC offset as +HH:MM
+ */
+function getUTCOffset() {
+  const offsetMinutes = -new Date().getTimezoneOffset();
+  const sign = offsetMinutes >= 0 ? '+' : '-';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+  return `${sign}${hours}:${minutes}`;
+}
+
 class TiDBAPIService {
   constructor() {
     const envBase = (import.meta.env && import.meta.env.VITE_API_BASE_URL)
@@ -10,6 +43,110 @@ class TiDBAPIService {
       || ''
     this.baseURL = envBase && envBase.trim() !== '' ? envBase : '/api'
     this.isConnected = false;
+    this.device = null;
+    this.devicePromise = null;
+  }
+
+  /**
+   * Get this browser's device credentials, registering with the backend if needed
+   * Concurrent callers share one registration, so only one token is ever issued
+   * @param {string|null} sessionId - Local session identifier to associate with a new device
+   * @returns {Promise<{deviceId: string, token: string}>}
+   */
+  async ensureDevice(sessionId = null) {
+    if (this.device) return this.device;
+
+    try {
+      const stored = localStorage.getItem(DEVICE_STORAGE_KEY);
+      if (stored) {
+        this.device = JSON.parse(stored);
+        return this.device;
+      }
+    } catch (error) {
+      console.warn('⚠️ Failed to read stored device token:', error);
+    }
+
+    this.devicePromise ??= this.registerDevice(sessionId).finally(() => {
+      this.devicePromise = null;
+    });
+    return this.devicePromise;
+  }
+
+  /**
+   * Register a new anonymous device with the backend and store its credentials
+   * @private
+   */
+  async registerDevice(sessionId) {
+    const response = await fetch(`${this.baseURL}/devices`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ sessionId })
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to register device');
+    }
+
+    const { deviceId, token } = await response.json();
+    this.device = { deviceId, token };
+
+    try {
+      localStorage.setItem(DEVICE_STORAGE_KEY, JSON.stringify(this.device));
+    } catch (error) {
+      console.warn('⚠️ Failed to store device token:', error);
+    }
+
+    console.log('✅ Registered anonymous device:', deviceId);
+    return this.device;
+  }
+
+  /**
+   * Forget the stored device credentials (e.g. after the backend rejects them)
+   */
+  resetDevice() {
+    this.device = null;
+    try {
+      localStorage.removeItem(DEVICE_STORAGE_KEY);
+    } catch (error) {
+      console.warn('⚠️ Failed to clear device token:', error);
+    }
+  }
+
+  /**
+   * Fetch a device-scoped backend route, re-registering once if the token is rejected
+   * @param {string} path - Route path relative to the API base URL
+   * @param {Object} options - fetch options, plus optional service and retryPolicy
+   *   to send the request through resilientFetch with that service's circuit breaker
+   * @param {string|null} sessionId - Local session identifier for device registration
+   * @returns {Promise<Response>}
+   * @throws {ProviderHTTPError} For a service request that got no response
+   */
+  async deviceFetch(path, options = {}, sessionId = null) {
+    const { service = null, retryPolicy = {}, ...fetchOptions } = options;
+    const send = async () => {
+      const { token } = await this.ensureDevice(sessionId);
+      const url = `${this.baseURL}${path}`;
+      const init = {
+        ...fetchOptions,
+        headers: {
+          ...(fetchOptions.headers || {}),
+          'Authorization': `Bearer ${token}`
+        }
+      };
+      return service ? resilientFetch(service, url, init, retryPolicy) : fetch(url, init);
+    };
+
+    try {
+      let response = await send();
+      if (response.status === 401) {
+        console.warn('⚠️ Device token rejected, registering a new device');
+        this.resetDevice();
+        response = await send();
+      }
+      return response;
+    } catch (error) {
+      throw service ? toProviderError(error, service) : error;
+    }
   }
 
   async connect() {
@@ -36,7 +173,17 @@ class TiDBAPIService {
     console.log('✅ Table creation handled by backend');
   }
 
-  async saveMood(mood, confidence) {
+  /**
+   * Save a full analysis result as a mood entry for this device
+   * @param {Object} analysisResult - Result from MoodAnalysisService.analyzeMood
+   * @param {Object} options
+   * @param {string|null} options.sessionId - Identifier from MoodAnalysisService.getSessionId
+   * @param {string|null} options.entryId - Local mood history entry id (deduplicates retries)
+   */
+  async saveMood(analysisResult, { sessionId = null, entryId = null } = {}) {
+    const mood = analysisResult.primaryMood;
+    const confidence = analysisResult.confidence;
+
     try {
       if (!this.isConnected) {
         const connected = await this.connect();
@@ -45,11 +192,11 @@ class TiDBAPIService {
         }
       }
 
-      const response = await fetch(`${this.baseURL}/moods`, {
+      const response = await this.deviceFetch('/moods', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ mood, confidence })
-      });
+        body: JSON.stringify({ mood, confidence, sessionId, entryId, analysis: analysisResult })
+      }, sessionId);
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
@@ -65,6 +212,39 @@ class TiDBAPIService {
     }
   }
 
+  /**
+   * Record the user's feedback on a saved mood entry
+   * @param {string} entryId - Local mood history entry id the entry was saved with
+   * @param {Object} feedback - Normalized feedback ({ agreement, correctedMood, submittedAt })
+   * @param {string|null} sessionId - Identifier from MoodAnalysisService.getSessionId
+   */
+  async saveMoodFeedback(entryId, feedback, sessionId = null) {
+    try {
+      if (!this.isConnected) {
+        const connected = await this.connect();
+        if (!connected) {
+          throw new Error('Could not establish backend connection');
+        }
+      }
+
+      const response = await this.deviceFetch(`/moods/${encodeURIComponent(entryId)}/feedback`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(feedback)
+      }, sessionId);
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to save feedback');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error saving mood feedback:', error);
+      throw error;
+    }
+  }
+
   async getMoodCount() {
     try {
       if (!this.isConnected) {
@@ -74,7 +254,7 @@ class TiDBAPIService {
         }
       }
 
-      const response = await fetch(`${this.baseURL}/moods/count`);
+      const response = await this.deviceFetch('/moods/count');
       if (!response.ok) {
         throw new Error('Failed to get count');
       }
@@ -87,6 +267,180 @@ class TiDBAPIService {
     }
   }
 
+  /**
+   * Get mood analytics computed by the backend for this device
+   * @param {Object} options
+   * @param {string} options.from - First local date to include (YYYY-MM-DD)
+   * @param {string} options.to - Last local date to include (YYYY-MM-DD)
+   * @param {string} options.bucket - Trend bucket size: day, week or month
+   * @param {string} options.tz - UTC offset for bucketing (defaults to the browser's)
+   * @returns {Promise<Object|null>} Stats (moods, buckets, streaks, heatmap) or null if unavailable
+   */
+  async getMoodStats({ from = null, to = null, bucket = 'day', tz = getUTCOffset() } = {}) {
+    try {
+      if (!this.isConnected) {
+        const connected = await this.connect();
+        if (!connected) {
+          return null;
+        }
+      }
+
+      const params = new URLSearchParams({ bucket, tz });
+      if (from) params.append('from', from);
+      if (to) params.append('to', to);
+
+      const response = await this.deviceFetch(`/moods/stats?${params.toString()}`);
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || 'Failed to get mood stats');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error getting mood stats:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get this device's quota usage as enforced by the backend
+   * @returns {Promise<Object|null>} { date, resetTime, services } or null if unavailable
+   */
+  async getQuotas() {
+    try {
+      if (!this.isConnected) {
+        const connected = await this.connect();
+        if (!connected) {
+          return null;
+        }
+      }
+
+      const response = await this.deviceFetch('/quotas');
+      if (!response.ok) {
+        throw new Error('Failed to get quotas');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error getting quotas:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Analyze a drawing on the backend, which holds the OpenAI key
+   * With onText the backend streams the model's text as NDJSON lines
+   * ({ type: 'delta' | 'result' | 'error' }) before the validated result
+   * @param {string} imageData - Drawing as a data URL
+   * @param {Object|null} features - Locally measured drawing features
+   * @param {Object} options
+   * @param {Function} options.onText - Called with each streamed text delta
+   * @returns {Promise<Object>} Validated analysis
+   * @throws {QuotaExceededError} When the backend's OpenAI quota is used up
+   * @throws {ProviderHTTPError} When the backend cannot analyze the drawing,
+   *   or when the stream breaks before the result arrives
+   * @throws {ResponseParseError} When a streamed line is not valid JSON
+   */
+  async analyzeDrawing(imageData, features = null, { onText = null } = {}) {
+    const response = await this.deviceFetch('/analyze', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ imageData, features, stream: Boolean(onText) }),
+      service: 'openai',
+      retryPolicy: ANALYSIS_RETRY_POLICY
+    });
+
+    if (!onText || !response.ok) {
+      return (await this.readProxyResponse(response, 'Failed to analyze drawing', 'openai')).analysis;
+    }
+
+    let analysis = null;
+    await readLines(response, (line) => {
+      if (!line.trim()) return;
+
+      let message;
+      try {
+        message = JSON.parse(line);
+      } catch (parseError) {
+        throw new ResponseParseError('Malformed analysis stream line', { provider: 'openai', cause: parseError });
+      }
+
+      if (message.type === 'delta') {
+        onText(message.text);
+      } else if (message.type === 'result') {
+        analysis = message.analysis;
+      } else if (message.type === 'error') {
+        throw new ProviderHTTPError(message.error || 'Failed to analyze drawing', { provider: 'openai', status: 502 });
+      }
+    });
+
+    if (!analysis) {
+      throw new ProviderHTTPError('Analysis stream ended before the result arrived', { provider: 'openai' });
+    }
+    return analysis;
+  }
+
+  /**
+   * Search nearby places through the backend Google Places proxy
+   * @param {Object} options
+   * @param {number} options.latitude
+   * @param {number} options.longitude
+   * @param {number} options.radius - Search radius in meters
+   * @param {string} options.type - Google Places type, e.g. cafe
+   * @returns {Promise<{status: string, results: Array}>} Google's status and results
+   */
+  async searchNearbyPlaces({ latitude, longitude, radius, type }) {
+    const params = new URLSearchParams({
+      lat: String(latitude),
+      lng: String(longitude),
+      radius: String(radius),
+      type
+    });
+    const response = await this.deviceFetch(`/places?${params.toString()}`, {
+      service: 'googlePlaces',
+      retryPolicy: PLACES_RETRY_POLICY
+    });
+    return this.readProxyResponse(response, 'Failed to search places', 'googlePlaces');
+  }
+
+  /**
+   * Geocode an address through the backend proxy
+   * @param {string} address - Free-form address or city name
+   * @returns {Promise<{status: string, results: Array}>} Google's status and results
+   */
+  async geocodeAddress(address) {
+    const params = new URLSearchParams({ address });
+    const response = await this.deviceFetch(`/places/geocode?${params.toString()}`, {
+      service: 'googlePlaces',
+      retryPolicy: PLACES_RETRY_POLICY
+    });
+    return this.readProxyResponse(response, 'Failed to geocode address', 'googlePlaces');
+  }
+
+  /**
+   * Parse a proxied API response, turning error statuses into typed errors
+   * Quota errors (429) carry the reset time and the server's quota view; other
+   * errors carry the backend's reason code (not_configured when its API key is missing)
+   * @private
+   */
+  async readProxyResponse(response, fallbackMessage, service) {
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const message = errorData.error || `${fallbackMessage}: ${response.status}`;
+
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers?.get('Retry-After')) || errorData.quota?.retryAfter || null;
+        throw new QuotaExceededError(message, {
+          service,
+          resetTime: retryAfter ? new Date(Date.now() + retryAfter * 1000).toISOString() : null,
+          quota: errorData.quota || null
+        });
+      }
+      throw new ProviderHTTPError(message, { provider: service, status: response.status, code: errorData.code || null });
+    }
+    return response.json();
+  }
+
   async testConnection() {
     return await this.connect();
   }
@@ -104,7 +458,36 @@ class TiDBAPIService {
     this.isConnected = false;
   }
 
-  // Debug method to get all mood entries
+  /**
+   * Get this device's mood entries, newest first, with their full analysis payloads
+   * @param {Object} options
+   * @param {number} options.limit - Maximum number of entries (backend caps at 100)
+   * @param {number} options.offset - Number of newest entries to skip
+   * @returns {Promise<Array>} Mood entries
+   */
+  async getMoods({ limit = 10, offset = 0 } = {}) {
+    try {
+      if (!this.isConnected) {
+        const connected = await this.connect();
+        if (!connected) {
+          return [];
+        }
+      }
+
+      const response = await this.deviceFetch(`/moods?limit=${limit}&offset=${offset}`);
+      if (!response.ok) {
+        throw new Error('Failed to get moods');
+      }
+      
+      const data = await response.json();
+      return data.moods || [];
+    } catch (error) {
+      console.error('❌ Error getting moods:', error);
+      return [];
+    }
+  }
+
+  // Debug method to get this device's latest mood entries
   async getAllMoods() {
     try {
       if (!this.isConnected) {
@@ -114,7 +497,7 @@ class TiDBAPIService {
         }
       }
 
-      const response = await fetch(`${this.baseURL}/moods`);
+      const response = await this.deviceFetch('/moods');
       if (!response.ok) {
         throw new Error('Failed to get moods');
       }
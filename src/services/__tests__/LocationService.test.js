@@ -1,5 +1,6 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { LocationService } from '../LocationService.js'
+import { ProviderHTTPError } from '../../../shared/errors.js'
 
 // Mock dependencies
 vi.mock('../RateLimiter.js', () => ({
@@ -16,15 +17,11 @@ vi.mock('../LocalStorageManager.js', () => ({
   }
 }))
 
-// Mock environment variables
-vi.mock('../../config/environment.js', () => ({
-  getApiKey: vi.fn().mockReturnValue('test-api-key')
-}))
-
 describe('LocationService', () => {
   let locationService
   let mockGeolocation
   let mockFetch
+  let mockSearchPlaces
 
   beforeEach(() => {
     locationService = new LocationService()
@@ -53,12 +50,8 @@ describe('LocationService', () => {
     mockFetch = vi.fn()
     global.fetch = mockFetch
 
-    // Mock import.meta.env
-    vi.stubGlobal('import.meta', {
-      env: {
-        VITE_GOOGLE_PLACES_API_KEY: 'test-google-api-key'
-      }
-    })
+    // Places requests go through the backend proxy
+    mockSearchPlaces = vi.spyOn(locationService.placesApi, 'searchNearbyPlaces')
   })
 
   afterEach(() => {
@@ -166,10 +159,7 @@ describe('LocationService', () => {
         ]
       }
 
-      mockFetch.mockResolvedValue({
-        ok: true,
-        json: () => Promise.resolve(mockApiResponse)
-      })
+      mockSearchPlaces.mockResolvedValue(mockApiResponse)
 
       const result = await locationService.searchNearbyBusinesses(mockLocation, mockCategories)
 
@@ -182,7 +172,12 @@ describe('LocationService', () => {
         address: '123 Test St',
         isOpen: true
       })
-      expect(mockFetch).toHaveBeenCalled()
+      expect(mockSearchPlaces).toHaveBeenCalledWith({
+        latitude: mockLocation.latitude,
+        longitude: mockLocation.longitude,
+        radius: 5000,
+        type: mockCategories[0]
+      })
     })
 
     it('should handle API quota exceeded', async () => {
@@ -193,14 +188,11 @@ describe('LocationService', () => {
       // Should return generic recommendations as fallback
       expect(result).toHaveLength(3)
       expect(result[0].name).toBe('Local Coffee Shop')
-      expect(mockFetch).not.toHaveBeenCalled()
+      expect(mockSearchPlaces).not.toHaveBeenCalled()
     })
 
     it('should handle API errors gracefully', async () => {
-      mockFetch.mockResolvedValue({
-        ok: false,
-        status: 400
-      })
+      mockSearchPlaces.mockRejectedValue(Object.assign(new Error('Failed to search places'), { status: 502 }))
 
       const result = await locationService.searchNearbyBusinesses(mockLocation, mockCategories)
       
@@ -227,18 +219,35 @@ describe('LocationService', () => {
       const result = await locationService.searchNearbyBusinesses(mockLocation, mockCategories)
       
       expect(result).toEqual(cachedRecommendations)
-      expect(mockFetch).not.toHaveBeenCalled()
+      expect(mockSearchPlaces).not.toHaveBeenCalled()
     })
 
-    it('should handle missing API key', async () => {
-      locationService.apiKey = null
+    it('should handle places search not configured on the backend', async () => {
+      mockSearchPlaces.mockRejectedValue(Object.assign(new Error('Places search is not configured on the server'), { status: 503 }))
 
       const result = await locationService.searchNearbyBusinesses(mockLocation, mockCategories)
       
-      // Should return generic recommendations as fallback when API key is missing
+      // Should return generic recommendations as fallback when the backend has no key
       expect(result).toHaveLength(3)
       expect(result[0].name).toBe('Local Coffee Shop')
     })
+
+    it('should report the API key as not configured after the backend says so', async () => {
+      locationService.rateLimiter.checkQuota = vi.fn().mockReturnValue(true)
+      expect(locationService.isApiKeyConfigured()).toBe(true)
+
+      mockSearchPlaces.mockRejectedValue(new ProviderHTTPError('Failed to search places: 503', { provider: 'googlePlaces', status: 503 }))
+      await locationService.searchNearbyBusinesses(mockLocation, mockCategories)
+      expect(locationService.isApiKeyConfigured()).toBe(true)
+
+      mockSearchPlaces.mockRejectedValue(new ProviderHTTPError('Places search is not configured on the server', {
+        provider: 'googlePlaces',
+        status: 503,
+        code: 'not_configured'
+      }))
+      await locationService.searchNearbyBusinesses({ latitude: 1, longitude: 2 }, mockCategories)
+      expect(locationService.isApiKeyConfigured()).toBe(false)
+    })
   })
 
   describe('getCategoriesForMood', () => {
@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import MoodAdviceService from '../MoodAdviceService.js';
+import { MOODS, getAdviceCategoriesForMood } from '../../../shared/moodRegistry.js';
 
 describe('MoodAdviceService', () => {
   let service;
@@ -53,6 +54,16 @@ describe('MoodAdviceService', () => {
       expect(Array.isArray(firstAdvice.techniques)).toBe(true);
       expect(['easy', 'medium', 'advanced']).toContain(firstAdvice.difficulty);
     });
+
+    it('should have advice for every category the mood registry maps to', () => {
+      const categories = service.getAvailableCategories();
+
+      MOODS.forEach(mood => {
+        getAdviceCategoriesForMood(mood).forEach(category => {
+          expect(categories).toContain(category);
+        });
+      });
+    });
   });
 
   describe('getAdviceForMood', () => {
@@ -127,6 +138,28 @@ describe('MoodAdviceService', () => {
     });
   });
 
+  describe('mood registry resolution', () => {
+    it('should give analysis moods the advice of their categories', () => {
+      const recommendation = service.getAdviceForMood({
+        primaryMood: 'anxious',
+        confidence: 0.6,
+        emotions: [
+          { name: 'anxious', intensity: 0.6 },
+          { name: 'lonely', intensity: 0.4 }
+        ]
+      });
+
+      const categories = recommendation.advice.map(advice => advice.category);
+      expect(categories).toContain('anxiety');
+      expect(categories).toContain('sadness');
+    });
+
+    it('should fall back to mixed advice for unknown moods', () => {
+      expect(service.getCategoriesForEmotion('bewildered')).toEqual(['mixed']);
+      expect(service.getCategoriesForEmotion('Stress')).toEqual(['stress']);
+    });
+  });
+
   describe('getAdviceByCategory', () => {
     it('should return advice for valid categories', () => {
       const anxietyAdvice = service.getAdviceByCategory('anxiety');
@@ -5,6 +5,7 @@
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
 import rateLimiter from '../RateLimiter.js'
+import tidbService from '../TiDBAPIService.js'
 
 // Mock localStorage
 const localStorageMock = {
@@ -26,6 +27,7 @@ describe('RateLimiter Service', () => {
     // Reset rate limiter state
     rateLimiter.quotas = null
     rateLimiter.initialized = false
+    rateLimiter.lastSyncedAt = 0
     
     // Mock current date
     vi.useFakeTimers()
@@ -34,6 +36,7 @@ describe('RateLimiter Service', () => {
 
   afterEach(() => {
     vi.useRealTimers()
+    vi.restoreAllMocks()
   })
 
   describe('Initialization', () => {
@@ -255,6 +258,111 @@ describe('RateLimiter Service', () => {
     })
   })
 
+  describe('Server Sync', () => {
+    const serverQuotas = {
+      date: '2024-01-15',
+      resetTime: '2024-01-16T00:00:00.000Z',
+      services: {
+        openai: {
+          used: 50,
+          limit: 50,
+          remaining: 0,
+          window: { used: 1, limit: 5, seconds: 60 },
+          global: { used: 300, limit: 1000 },
+          exceeded: ['device-daily'],
+          retryAfter: 50400
+        },
+        googlePlaces: {
+          used: 3,
+          limit: 250,
+          remaining: 247,
+          window: { used: 0, limit: 30, seconds: 60 },
+          global: { used: 40, limit: 5000 },
+          exceeded: [],
+          retryAfter: null
+        }
+      }
+    }
+
+    beforeEach(async () => {
+      localStorageMock.getItem.mockReturnValue(null)
+      await rateLimiter.initialize()
+    })
+
+    it('should mirror the server quota view', async () => {
+      vi.spyOn(tidbService, 'getQuotas').mockResolvedValue(serverQuotas)
+
+      const status = await rateLimiter.getAllQuotas()
+
+      expect(status.source).toBe('server')
+      expect(status.openai).toMatchObject({ used: 50, limit: 50, remaining: 0, retryAfter: 50400 })
+      expect(status.openai.global).toEqual({ used: 300, limit: 1000 })
+      expect(status.googlePlaces.window).toEqual({ used: 0, limit: 30, seconds: 60 })
+      expect(status.googlePlaces.retryAfter).toBeUndefined()
+      expect(await rateLimiter.checkQuota('openai')).toBe(false)
+    })
+
+    it('should not be reset by clearing local storage', async () => {
+      vi.spyOn(tidbService, 'getQuotas').mockResolvedValue(serverQuotas)
+
+      await rateLimiter.forceReset()
+
+      expect(rateLimiter.quotas.services.openai.used).toBe(50)
+      expect(await rateLimiter.checkQuota('openai')).toBe(false)
+    })
+
+    it('should reuse a fresh snapshot instead of refetching', async () => {
+      const getQuotas = vi.spyOn(tidbService, 'getQuotas').mockResolvedValue(serverQuotas)
+
+      await rateLimiter.getAllQuotas()
+      await rateLimiter.getAllQuotas()
+
+      expect(getQuotas).toHaveBeenCalledTimes(1)
+    })
+
+    it('should keep the local database counter, which the server does not meter', async () => {
+      vi.spyOn(tidbService, 'getQuotas').mockResolvedValue({
+        ...serverQuotas,
+        services: { ...serverQuotas.services, database: { used: 900, limit: 1000, retryAfter: null } }
+      })
+      rateLimiter.quotas.services.database.used = 7
+
+      const status = await rateLimiter.getAllQuotas()
+
+      expect(status.database).toMatchObject({ used: 7, limit: 1000 })
+      expect(status.openai.used).toBe(50)
+    })
+
+    it('should count usage locally without refetching a fresh snapshot', async () => {
+      const getQuotas = vi.spyOn(tidbService, 'getQuotas').mockResolvedValue(serverQuotas)
+
+      await rateLimiter.getAllQuotas()
+      await rateLimiter.incrementUsage('googlePlaces')
+      const status = await rateLimiter.getAllQuotas()
+
+      expect(getQuotas).toHaveBeenCalledTimes(1)
+      expect(status.googlePlaces.used).toBe(4)
+    })
+
+    it('should keep counting locally when the server is unreachable', async () => {
+      vi.spyOn(tidbService, 'getQuotas').mockResolvedValue(null)
+      rateLimiter.quotas.services.openai.used = 3
+
+      const status = await rateLimiter.getAllQuotas()
+
+      expect(status.source).toBeUndefined()
+      expect(status.openai.used).toBe(3)
+    })
+
+    it('should block a service until Retry-After elapses', async () => {
+      await rateLimiter.applyRetryAfter('googlePlaces', 30)
+      expect(await rateLimiter.checkQuota('googlePlaces')).toBe(false)
+
+      vi.setSystemTime(new Date('2024-01-15T10:00:31Z'))
+      expect(await rateLimiter.checkQuota('googlePlaces')).toBe(true)
+    })
+  })
+
   describe('Error Handling', () => {
     it('should handle localStorage errors gracefully', async () => {
       localStorageMock.getItem.mockImplementation(() => {
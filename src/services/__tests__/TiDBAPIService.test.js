@@ -0,0 +1,68 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import tidbService from '../TiDBAPIService.js'
+import { ResponseParseError } from '../../../shared/errors.js'
+
+const respondJSON = (status, data) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: () => null },
+  json: () => Promise.resolve(data)
+})
+
+describe('TiDBAPIService', () => {
+  beforeEach(() => {
+    localStorage.clear()
+    tidbService.device = null
+    tidbService.devicePromise = null
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('ensureDevice', () => {
+    it('should share one registration between concurrent callers', async () => {
+      const fetchSpy = vi.spyOn(global, 'fetch')
+        .mockResolvedValue(respondJSON(201, { deviceId: 'device-1', token: 'token-1' }))
+
+      const devices = await Promise.all([
+        tidbService.ensureDevice(),
+        tidbService.ensureDevice(),
+        tidbService.ensureDevice()
+      ])
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1)
+      devices.forEach(device => expect(device).toEqual({ deviceId: 'device-1', token: 'token-1' }))
+      expect(JSON.parse(localStorage.getItem('moodspot_device')).token).toBe('token-1')
+      expect(tidbService.devicePromise).toBeNull()
+    })
+
+    it('should allow registering again after a failed registration', async () => {
+      vi.spyOn(global, 'fetch')
+        .mockResolvedValueOnce(respondJSON(500, {}))
+        .mockResolvedValueOnce(respondJSON(201, { deviceId: 'device-2', token: 'token-2' }))
+
+      await expect(tidbService.ensureDevice()).rejects.toThrow('Failed to register device')
+      await expect(tidbService.ensureDevice()).resolves.toEqual({ deviceId: 'device-2', token: 'token-2' })
+    })
+  })
+
+  describe('analyzeDrawing', () => {
+    beforeEach(() => {
+      tidbService.device = { deviceId: 'device-1', token: 'token-1' }
+    })
+
+    it('should turn a malformed stream line into a ResponseParseError', async () => {
+      const body = '{"type":"delta","text":"You seem"}\n{"type":"res'
+      vi.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200, body: null, text: () => Promise.resolve(body) })
+      const onText = vi.fn()
+
+      const error = await tidbService.analyzeDrawing('data:image/png;base64,AAAA', null, { onText }).catch(e => e)
+
+      expect(error).toBeInstanceOf(ResponseParseError)
+      expect(error.provider).toBe('openai')
+      expect(onText).toHaveBeenCalledWith('You seem')
+    })
+  })
+})
@@ -0,0 +1,231 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import {
+  createAnalysisProvider,
+  validateAnalysisResult,
+  extractAnalysisJSON,
+  OpenAIAnalysisProvider,
+  BackendAnalysisProvider,
+  OfflineAnalysisProvider,
+  MockAnalysisProvider
+} from '../analysis/index.js'
+import tidbService from '../TiDBAPIService.js'
+import { QuotaExceededError, ProviderHTTPError, ResponseParseError, RECOVERY_ACTIONS } from '../../../shared/errors.js'
+
+const modelAnalysis = {
+  primaryMood: 'Stressed',
+  confidence: 0.8,
+  description: 'Tight, dense scribbles.',
+  emotions: [{ name: 'anxious', intensity: 0.4 }],
+  recommendations: [
+    { title: 'Breathe', description: 'Slow breathing for two minutes.' },
+    { title: 'Missing description' }
+  ]
+}
+
+const chatResponse = (content) => ({
+  ok: true,
+  json: () => Promise.resolve({ choices: [{ message: { content } }] })
+})
+
+describe('analysis providers', () => {
+  afterEach(() => {
+    vi.restoreAllMocks()
+    vi.unstubAllEnvs()
+    tidbService.device = null
+  })
+
+  it('should create a provider for each analysis mode', () => {
+    expect(createAnalysisProvider('openai')).toBeInstanceOf(BackendAnalysisProvider)
+    expect(createAnalysisProvider('openai-compatible')).toBeInstanceOf(OpenAIAnalysisProvider)
+    expect(createAnalysisProvider('offline')).toBeInstanceOf(OfflineAnalysisProvider)
+    expect(createAnalysisProvider('mock')).toBeInstanceOf(MockAnalysisProvider)
+    expect(createAnalysisProvider('unknown')).toBeInstanceOf(OfflineAnalysisProvider)
+  })
+
+  it('should require an API key for OpenAI but not for compatible servers', () => {
+    expect(new OpenAIAnalysisProvider({
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini'
+    }).isAvailable()).toBe(false)
+    expect(new OpenAIAnalysisProvider({
+      baseUrl: 'http://localhost:8000/v1',
+      model: 'llava',
+      requiresApiKey: false
+    }).isAvailable()).toBe(true)
+  })
+
+  it('should never send an API key from the browser to a compatible server', () => {
+    vi.stubEnv('VITE_ANALYSIS_API_KEY', 'sk-leaked')
+    const provider = createAnalysisProvider('openai-compatible')
+
+    expect(provider.apiKey).toBeNull()
+    expect(provider.buildRequest({ imageData: 'data:image/png;base64,AAAA' }).options.headers.Authorization).toBeUndefined()
+  })
+
+  it('should send chat/completions requests to a compatible base URL', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue(chatResponse(JSON.stringify(modelAnalysis)))
+    const provider = new OpenAIAnalysisProvider({
+      name: 'openai-compatible',
+      baseUrl: 'http://localhost:8000/v1/',
+      model: 'llava',
+      requiresApiKey: false,
+      usesQuota: false
+    })
+
+    const result = await provider.analyze({ imageData: 'data:image/jpeg;base64,abc', features: null })
+
+    const [url, options] = fetchSpy.mock.calls[0]
+    const body = JSON.parse(options.body)
+    expect(url).toBe('http://localhost:8000/v1/chat/completions')
+    expect(options.headers.Authorization).toBeUndefined()
+    expect(body.model).toBe('llava')
+    expect(body.messages[0].content[1].image_url.url).toBe('data:image/jpeg;base64,abc')
+    expect(result.primaryMood).toBe('Stressed')
+  })
+
+  it('should surface HTTP errors from the provider', async () => {
+    vi.spyOn(global, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: () => Promise.resolve({ error: { message: 'Bad key' } })
+    })
+    const provider = new OpenAIAnalysisProvider({
+      baseUrl: 'https://api.openai.com/v1',
+      model: 'gpt-4o-mini',
+      apiKey: 'sk-test'
+    })
+
+    const request = provider.analyze({ imageData: 'data:,' })
+    await expect(request).rejects.toThrow('OpenAI API error: 401 - Bad key')
+    await expect(request).rejects.toBeInstanceOf(ProviderHTTPError)
+  })
+
+  it('should report unreadable model output as a parse error', async () => {
+    vi.spyOn(global, 'fetch').mockResolvedValue(chatResponse('I cannot analyze this drawing.'))
+    const provider = new OpenAIAnalysisProvider({ baseUrl: 'http://localhost:8000/v1', model: 'llava', requiresApiKey: false })
+
+    await expect(provider.analyze({ imageData: 'data:,' })).rejects.toBeInstanceOf(ResponseParseError)
+    expect(() => validateAnalysisResult({ description: 'No mood' })).toThrow(ResponseParseError)
+  })
+
+  it('should analyze through the backend without a browser API key', async () => {
+    tidbService.device = { deviceId: 'device-1', token: 'device-token' }
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ analysis: validateAnalysisResult(modelAnalysis) })
+    })
+
+    const result = await createAnalysisProvider('openai').analyze({
+      imageData: 'data:image/jpeg;base64,abc',
+      features: { coverage: 0.2 }
+    })
+
+    const [url, options] = fetchSpy.mock.calls[0]
+    expect(url).toBe('/api/analyze')
+    expect(options.headers.Authorization).toBe('Bearer device-token')
+    expect(JSON.parse(options.body)).toEqual({ imageData: 'data:image/jpeg;base64,abc', features: { coverage: 0.2 }, stream: false })
+    expect(options.body).not.toContain('sk-')
+    expect(result.primaryMood).toBe('overwhelmed')
+  })
+
+  it('should surface backend errors with their status', async () => {
+    tidbService.device = { deviceId: 'device-1', token: 'device-token' }
+    vi.spyOn(global, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 503,
+      json: () => Promise.resolve({ error: 'Mood analysis is not configured on the server' })
+    })
+
+    const request = createAnalysisProvider('openai').analyze({ imageData: 'data:,' })
+    await expect(request).rejects.toBeInstanceOf(ProviderHTTPError)
+    await expect(request).rejects.toMatchObject({
+      status: 503,
+      message: 'Mood analysis is not configured on the server',
+      recovery: RECOVERY_ACTIONS.OFFLINE
+    })
+  })
+
+  it('should turn a backend 429 into a quota error with its reset time', async () => {
+    tidbService.device = { deviceId: 'device-1', token: 'device-token' }
+    vi.spyOn(global, 'fetch').mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: (name) => (name === 'Retry-After' ? '3600' : null) },
+      json: () => Promise.resolve({ error: 'OpenAI analysis quota exceeded', quota: { used: 50, limit: 50 } })
+    })
+
+    const error = await createAnalysisProvider('openai').analyze({ imageData: 'data:,' }).catch(error => error)
+
+    expect(error).toBeInstanceOf(QuotaExceededError)
+    expect(error).toMatchObject({ service: 'openai', recovery: RECOVERY_ACTIONS.WAIT, quota: { used: 50, limit: 50 } })
+    expect(error.retryAfter).toBeGreaterThan(3590)
+    expect(Date.parse(error.resetTime)).toBeGreaterThan(Date.now())
+  })
+
+  it('should stream chat/completions deltas from a compatible server', async () => {
+    const content = JSON.stringify(modelAnalysis)
+    const events = [content.slice(0, 30), content.slice(30)]
+      .map(delta => `data: ${JSON.stringify({ choices: [{ delta: { content: delta } }] })}\n\n`)
+      .join('') + 'data: [DONE]\n\n'
+    const fetchSpy = vi.spyOn(global, 'fetch').mockResolvedValue({ ok: true, text: () => Promise.resolve(events) })
+    const provider = new OpenAIAnalysisProvider({ baseUrl: 'http://localhost:8000/v1', model: 'llava', requiresApiKey: false })
+    const onText = vi.fn()
+
+    const result = await provider.analyze({ imageData: 'data:,' }, { onText })
+
+    expect(JSON.parse(fetchSpy.mock.calls[0][1].body).stream).toBe(true)
+    expect(onText).toHaveBeenCalledTimes(2)
+    expect(result.primaryMood).toBe('Stressed')
+  })
+
+  it('should fail when the backend stream breaks before the result', async () => {
+    tidbService.device = { deviceId: 'device-1', token: 'device-token' }
+    const lines = `${JSON.stringify({ type: 'delta', text: '{"primaryMood": "calm"' })}\n`
+    vi.spyOn(global, 'fetch').mockResolvedValue({ ok: true, status: 200, text: () => Promise.resolve(lines) })
+    const onText = vi.fn()
+
+    await expect(createAnalysisProvider('openai').analyze({ imageData: 'data:,' }, { onText }))
+      .rejects.toThrow('stream ended')
+    expect(onText).toHaveBeenCalledWith('{"primaryMood": "calm"')
+  })
+
+  it('should extract JSON wrapped in prose or code fences', () => {
+    expect(extractAnalysisJSON('Here you go:\n```json\n{"primaryMood":"calm"}\n```')).toEqual({ primaryMood: 'calm' })
+    expect(() => extractAnalysisJSON('no json here')).toThrow()
+  })
+
+  it('should validate every provider result into the same shape', () => {
+    const result = validateAnalysisResult(modelAnalysis)
+
+    expect(result.primaryMood).toBe('overwhelmed')
+    expect(result.recommendations).toEqual([
+      { title: 'Breathe', description: 'Slow breathing for two minutes.', icon: '💡' }
+    ])
+    expect(result.emotions[0]).toEqual({ name: 'overwhelmed', intensity: 0.8 })
+    expect(validateAnalysisResult({ ...modelAnalysis, confidence: 3 }).confidence).toBe(0.75)
+    expect(validateAnalysisResult({ ...modelAnalysis, confidence: 3 }).confidenceDefaulted).toBe(true)
+    expect(validateAnalysisResult(modelAnalysis).confidenceDefaulted).toBe(false)
+    expect(() => validateAnalysisResult({ primaryMood: 'calm' })).toThrow('description')
+  })
+
+  it('should keep the defaulted confidence flag when a result is validated twice', () => {
+    // The backend validates first; the client validates the result it receives again
+    const serverResult = JSON.parse(JSON.stringify(validateAnalysisResult({ ...modelAnalysis, confidence: undefined })))
+    const clientResult = validateAnalysisResult(serverResult)
+
+    expect(serverResult).toMatchObject({ confidence: 0.75, confidenceDefaulted: true })
+    expect(clientResult).toMatchObject({ confidence: 0.75, confidenceDefaulted: true })
+    expect(validateAnalysisResult(validateAnalysisResult(modelAnalysis)).confidenceDefaulted).toBe(false)
+  })
+
+  it('should run offline and mock providers without network access', async () => {
+    const fetchSpy = vi.spyOn(global, 'fetch')
+
+    const offline = validateAnalysisResult(await createAnalysisProvider('offline').analyze({ features: null }))
+    const mock = validateAnalysisResult(await createAnalysisProvider('mock').analyze({}))
+
+    expect(offline.isOfflineAnalysis).toBe(true)
+    expect(mock.isMockData).toBe(true)
+    expect(fetchSpy).not.toHaveBeenCalled()
+  })
+})
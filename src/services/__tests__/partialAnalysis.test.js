@@ -0,0 +1,79 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  parsePartialJSON,
+  extractPartialAnalysis,
+  createPartialAnalysisStream
+} from '../analysis/partialAnalysis.js'
+
+const fullResponse = JSON.stringify({
+  primaryMood: 'calm',
+  confidence: 0.82,
+  description: 'Soft, flowing lines in cool blues.',
+  emotions: [{ name: 'calm', intensity: 0.82 }],
+  recommendations: [
+    { title: 'Take a walk', description: 'A slow walk keeps the calm going.', icon: '🚶' },
+    { title: 'Read', description: 'Settle in with a book.', icon: '📚' }
+  ]
+}, null, 2)
+
+describe('partialAnalysis', () => {
+  it('should parse every prefix of a valid JSON document without throwing', () => {
+    for (let length = 0; length <= fullResponse.length; length++) {
+      expect(() => parsePartialJSON(fullResponse.slice(0, length))).not.toThrow()
+    }
+    expect(parsePartialJSON(fullResponse).value).toEqual(JSON.parse(fullResponse))
+    expect(parsePartialJSON(fullResponse).incomplete.size).toBe(0)
+  })
+
+  it('should report values cut off by the end of the text as incomplete', () => {
+    const { value, incomplete } = parsePartialJSON('{"primaryMood": "ca')
+
+    expect(value).toEqual({ primaryMood: 'ca' })
+    expect(incomplete.has('primaryMood')).toBe(true)
+    expect(incomplete.has('')).toBe(true)
+  })
+
+  it('should skip prose and code fences before the JSON', () => {
+    const { value } = parsePartialJSON('Sure!\n```json\n{"primaryMood": "happy", "confidence": 0.9')
+
+    expect(value).toEqual({ primaryMood: 'happy', confidence: 0.9 })
+  })
+
+  it('should throw on text that cannot become valid JSON', () => {
+    expect(() => parsePartialJSON('{"primaryMood" "calm"}')).toThrow(SyntaxError)
+  })
+
+  it('should surface the mood only once it is complete', () => {
+    expect(extractPartialAnalysis('{"primaryMood": "cal')).toBeNull()
+    expect(extractPartialAnalysis('{"primaryMood": "calm"')).toMatchObject({ primaryMood: 'calm', description: '' })
+  })
+
+  it('should stream the description and finished recommendations only', () => {
+    const cutInSecondRecommendation = fullResponse.slice(0, fullResponse.indexOf('Settle in'))
+    const partial = extractPartialAnalysis(cutInSecondRecommendation)
+
+    expect(partial.description).toBe('Soft, flowing lines in cool blues.')
+    expect(partial.confidence).toBe(0.82)
+    expect(partial.recommendations).toEqual([
+      { title: 'Take a walk', description: 'A slow walk keeps the calm going.', icon: '🚶' }
+    ])
+
+    const cutInDescription = fullResponse.slice(0, fullResponse.indexOf('cool blues'))
+    expect(extractPartialAnalysis(cutInDescription).description).toBe('Soft, flowing lines in ')
+  })
+
+  it('should report each change once as text streams in', () => {
+    const onPartial = vi.fn()
+    const stream = createPartialAnalysisStream(onPartial)
+
+    for (let index = 0; index < fullResponse.length; index += 7) {
+      stream.push(fullResponse.slice(index, index + 7))
+    }
+
+    const reported = onPartial.mock.calls.map(([partial]) => partial)
+    expect(stream.getText()).toBe(fullResponse)
+    expect(reported[0].primaryMood).toBe('calm')
+    expect(reported[reported.length - 1].recommendations).toHaveLength(2)
+    expect(new Set(reported.map(partial => JSON.stringify(partial))).size).toBe(reported.length)
+  })
+})
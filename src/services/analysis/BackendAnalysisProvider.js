@@ -0,0 +1,21 @@
+/**
+ * BackendAnalysisProvider
+ * OpenAI analysis run by the backend (POST /api/analyze). The server holds the
+ * API key, builds the prompt and validates the model's response, so nothing
+ * secret ships to the browser.
+ */
+
+import AnalysisProvider from '../../../shared/analysis/AnalysisProvider.js'
+import tidbService from '../TiDBAPIService.js'
+
+class BackendAnalysisProvider extends AnalysisProvider {
+  constructor() {
+    super({ name: 'openai', usesQuota: true })
+  }
+
+  async analyze({ imageData, features }, { onText = null } = {}) {
+    return tidbService.analyzeDrawing(imageData, features || null, { onText })
+  }
+}
+
+export default BackendAnalysisProvider
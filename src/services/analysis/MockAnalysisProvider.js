@@ -0,0 +1,59 @@
+/**
+ * MockAnalysisProvider
+ * Random sample results for UI demos; ignores the drawing entirely
+ */
+
+import AnalysisProvider from '../../../shared/analysis/AnalysisProvider.js'
+import { MOOD_TEMPLATES } from '../../config/moodTemplates.js'
+import { getRelatedMoods } from '../../../shared/moodRegistry.js'
+
+class MockAnalysisProvider extends AnalysisProvider {
+  constructor() {
+    super({ name: 'mock' })
+  }
+
+  /**
+   * Generate a plausible emotion breakdown for a mock mood
+   * @param {string} primaryMood - Mock primary mood
+   * @param {number} confidence - Mock confidence
+   * @returns {Array} Raw emotions, primary first
+   */
+  createEmotions(primaryMood, confidence) {
+    let intensity = 0.55
+    const secondary = getRelatedMoods(primaryMood).slice(0, 2).map(name => {
+      intensity -= 0.1 + Math.random() * 0.15
+      return { name, intensity: Math.max(intensity, 0.1) }
+    })
+
+    return [{ name: primaryMood, intensity: confidence }, ...secondary]
+  }
+
+  /**
+   * Pick a random mood and its sample description and recommendations
+   * @returns {Object} Raw mock analysis
+   */
+  createAnalysis() {
+    const moods = Object.keys(MOOD_TEMPLATES)
+    const primaryMood = moods[Math.floor(Math.random() * moods.length)]
+    const { confidenceRange, description, recommendations } = MOOD_TEMPLATES[primaryMood]
+    const [minConfidence, maxConfidence] = confidenceRange
+    const confidence = minConfidence + Math.random() * (maxConfidence - minConfidence)
+
+    return {
+      primaryMood,
+      confidence,
+      description,
+      emotions: this.createEmotions(primaryMood, confidence),
+      recommendations,
+      processingTime: 800 + Math.random() * 400,
+      isMockData: true,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  async analyze() {
+    return this.createAnalysis()
+  }
+}
+
+export default MockAnalysisProvider
@@ -0,0 +1,46 @@
+/**
+ * OfflineAnalysisProvider
+ * Deterministic analysis from measured drawing features; needs no network
+ */
+
+import AnalysisProvider from '../../../shared/analysis/AnalysisProvider.js'
+import { MOOD_TEMPLATES } from '../../config/moodTemplates.js'
+import { classifyMoodFromFeatures } from '../../utils/moodHeuristics.js'
+
+class OfflineAnalysisProvider extends AnalysisProvider {
+  constructor() {
+    super({ name: 'offline' })
+  }
+
+  /**
+   * Classify a drawing from its features
+   * Deterministic: the same drawing always gets the same mood
+   * @param {Object} features - Drawing features (utils/drawingFeatures.js)
+   * @returns {Object} Raw offline analysis
+   */
+  createAnalysis(features) {
+    const startTime = Date.now()
+    const { primaryMood, confidence, emotions, reasons } = classifyMoodFromFeatures(features)
+
+    const evidence = reasons.length > 0
+      ? `Your drawing shows ${reasons.join(', ').replace(/, ([^,]*)$/, ' and $1')}.`
+      : 'Your drawing has a balanced mix of qualities.'
+
+    return {
+      primaryMood,
+      confidence,
+      description: `${evidence} Patterns like these often go with feeling ${primaryMood}.`,
+      emotions,
+      recommendations: MOOD_TEMPLATES[primaryMood].recommendations,
+      processingTime: Date.now() - startTime,
+      isOfflineAnalysis: true,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  async analyze({ features }) {
+    return this.createAnalysis(features)
+  }
+}
+
+export default OfflineAnalysisProvider
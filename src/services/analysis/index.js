@@ -0,0 +1,50 @@
+/**
+ * Analysis providers
+ * Creates the provider for an analysis mode from configuration
+ */
+
+import { API_CONFIG, ANALYSIS_MODES, getCompatibleProviderConfig } from '../../config/environment.js'
+import OpenAIAnalysisProvider from '../../../shared/analysis/OpenAIAnalysisProvider.js'
+import BackendAnalysisProvider from './BackendAnalysisProvider.js'
+import OfflineAnalysisProvider from './OfflineAnalysisProvider.js'
+import MockAnalysisProvider from './MockAnalysisProvider.js'
+
+export { default as AnalysisProvider } from '../../../shared/analysis/AnalysisProvider.js'
+export { OpenAIAnalysisProvider, BackendAnalysisProvider, OfflineAnalysisProvider, MockAnalysisProvider }
+export { validateAnalysisResult, normalizeEmotions, extractAnalysisJSON, isSyntheticAnalysis } from '../../../shared/analysis/analysisValidation.js'
+export { buildAnalysisPrompt } from '../../../shared/analysis/analysisPrompt.js'
+export { FEEDBACK_AGREEMENT, normalizeMoodFeedback, getEffectiveMood } from '../../../shared/analysis/moodFeedback.js'
+export { parsePartialJSON, extractPartialAnalysis, createPartialAnalysisStream } from './partialAnalysis.js'
+
+/**
+ * Create the provider for an analysis mode
+ * OpenAI analysis goes through the backend, which keeps the key server-side
+ * @param {string} mode - One of ANALYSIS_MODES
+ * @returns {AnalysisProvider} Provider instance
+ */
+export function createAnalysisProvider(mode) {
+  switch (mode) {
+    case ANALYSIS_MODES.OPENAI:
+      return new BackendAnalysisProvider()
+    case ANALYSIS_MODES.OPENAI_COMPATIBLE: {
+      // Called from the browser, so only key-less (e.g. self-hosted) servers
+      const { baseUrl, model } = getCompatibleProviderConfig()
+      return new OpenAIAnalysisProvider({
+        name: ANALYSIS_MODES.OPENAI_COMPATIBLE,
+        label: 'Analysis server',
+        baseUrl,
+        model,
+        requiresApiKey: false,
+        maxTokens: API_CONFIG.OPENAI.MAX_TOKENS,
+        temperature: API_CONFIG.OPENAI.TEMPERATURE,
+        // Self-hosted servers are not billed against the OpenAI quota
+        usesQuota: false
+      })
+    }
+    case ANALYSIS_MODES.MOCK:
+      return new MockAnalysisProvider()
+    case ANALYSIS_MODES.OFFLINE:
+    default:
+      return new OfflineAnalysisProvider()
+  }
+}
@@ -0,0 +1,280 @@
+/**
+ * Partial Analysis
+ * Tolerant incremental JSON parsing for streamed analysis responses, so the UI
+ * can show the mood, description and recommendations before the JSON is complete
+ */
+
+import { resolveMood } from '../../../shared/moodRegistry.js'
+
+const LITERALS = { true: true, false: false, null: null }
+
+/**
+ * Parse the JSON value at the start of a possibly truncated text
+ * Strings, arrays and objects cut off by the end of the text are returned as far
+ * as they got, and their paths are reported as incomplete. Prose or code fences
+ * before the first brace are skipped.
+ * @param {string} text - Response text received so far
+ * @returns {{value: *, incomplete: Set<string>}} Parsed value and the dot-separated
+ *   paths (e.g. "recommendations.1") of values that were still being received
+ * @throws {SyntaxError} When the text is not a prefix of valid JSON
+ */
+export function parsePartialJSON(text) {
+  const source = String(text || '')
+  const start = source.search(/[{[]/)
+  const state = { source, index: start === -1 ? source.length : start, ended: false, incomplete: new Set() }
+
+  const value = parseValue(state, [])
+  return { value, incomplete: state.incomplete }
+}
+
+function skipWhitespace(state) {
+  while (state.index < state.source.length && /\s/.test(state.source[state.index])) {
+    state.index++
+  }
+}
+
+// Mark a value, and through it all its ancestors, as still being received
+function markIncomplete(state, path) {
+  state.ended = true
+  for (let depth = path.length; depth >= 0; depth--) {
+    state.incomplete.add(path.slice(0, depth).join('.'))
+  }
+}
+
+function parseValue(state, path) {
+  skipWhitespace(state)
+  if (state.index >= state.source.length) {
+    markIncomplete(state, path)
+    return undefined
+  }
+
+  const char = state.source[state.index]
+  if (char === '{') return parseObject(state, path)
+  if (char === '[') return parseArray(state, path)
+  if (char === '"') return parseString(state, path)
+  if (char === '-' || (char >= '0' && char <= '9')) return parseNumber(state, path)
+  return parseLiteral(state, path)
+}
+
+function parseObject(state, path) {
+  const object = {}
+  state.index++
+
+  while (true) {
+    skipWhitespace(state)
+    if (state.index >= state.source.length) {
+      markIncomplete(state, path)
+      return object
+    }
+
+    const char = state.source[state.index]
+    if (char === '}') {
+      state.index++
+      return object
+    }
+    if (char === ',') {
+      state.index++
+      continue
+    }
+    if (char !== '"') {
+      throw new SyntaxError(`Unexpected character "${char}" in object at position ${state.index}`)
+    }
+
+    const key = parseString(state, path)
+    skipWhitespace(state)
+    if (state.ended || state.index >= state.source.length) {
+      markIncomplete(state, path)
+      return object
+    }
+    if (state.source[state.index] !== ':') {
+      throw new SyntaxError(`Expected ":" after key "${key}" at position ${state.index}`)
+    }
+    state.index++
+
+    const value = parseValue(state, [...path, key])
+    if (value !== undefined) {
+      object[key] = value
+    }
+    if (state.ended) {
+      return object
+    }
+  }
+}
+
+function parseArray(state, path) {
+  const array = []
+  state.index++
+
+  while (true) {
+    skipWhitespace(state)
+    if (state.index >= state.source.length) {
+      markIncomplete(state, path)
+      return array
+    }
+
+    const char = state.source[state.index]
+    if (char === ']') {
+      state.index++
+      return array
+    }
+    if (char === ',') {
+      state.index++
+      continue
+    }
+
+    const value = parseValue(state, [...path, array.length])
+    if (value !== undefined) {
+      array.push(value)
+    }
+    if (state.ended) {
+      return array
+    }
+  }
+}
+
+function parseString(state, path) {
+  const { source } = state
+  let result = ''
+  state.index++
+
+  while (state.index < source.length) {
+    const char = source[state.index]
+
+    if (char === '"') {
+      state.index++
+      return result
+    }
+
+    if (char === '\\') {
+      const escape = source[state.index + 1]
+      if (escape === undefined) break
+
+      if (escape === 'u') {
+        const hex = source.slice(state.index + 2, state.index + 6)
+        if (hex.length < 4) break
+        result += String.fromCharCode(parseInt(hex, 16))
+        state.index += 6
+        continue
+      }
+
+      const escapes = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' }
+      result += escapes[escape] ?? escape
+      state.index += 2
+      continue
+    }
+
+    result += char
+    state.index++
+  }
+
+  // Cut off mid-string (possibly mid-escape): keep what arrived
+  markIncomplete(state, path)
+  return result
+}
+
+function parseNumber(state, path) {
+  const match = /^-?\d*(\.\d*)?([eE][+-]?\d*)?/.exec(state.source.slice(state.index))
+  state.index += match[0].length
+
+  // A number running into the end of the text may still be growing
+  if (state.index >= state.source.length) {
+    markIncomplete(state, path)
+  }
+
+  const number = parseFloat(match[0])
+  return Number.isFinite(number) ? number : undefined
+}
+
+function parseLiteral(state, path) {
+  const rest = state.source.slice(state.index)
+
+  for (const [word, value] of Object.entries(LITERALS)) {
+    if (rest.startsWith(word)) {
+      state.index += word.length
+      return value
+    }
+    if (word.startsWith(rest)) {
+      state.index = state.source.length
+      markIncomplete(state, path)
+      return undefined
+    }
+  }
+
+  throw new SyntaxError(`Unexpected character "${rest[0]}" at position ${state.index}`)
+}
+
+/**
+ * Pull the fields that are ready to show out of a streamed analysis response
+ * The mood and confidence are only reported once complete, the description as
+ * far as it has arrived, and recommendations one by one as each finishes
+ * @param {string} text - Response text received so far
+ * @returns {Object|null} { primaryMood, confidence, description, recommendations }, or null before anything is usable
+ */
+export function extractPartialAnalysis(text) {
+  let parsed
+  try {
+    parsed = parsePartialJSON(text)
+  } catch (error) {
+    return null
+  }
+
+  const { value, incomplete } = parsed
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return null
+  }
+
+  const isComplete = (path) => !incomplete.has(path)
+
+  const primaryMood = typeof value.primaryMood === 'string' && isComplete('primaryMood')
+    ? resolveMood(value.primaryMood) || null
+    : null
+
+  const confidence = typeof value.confidence === 'number' && isComplete('confidence') &&
+    value.confidence >= 0 && value.confidence <= 1
+    ? value.confidence
+    : null
+
+  const description = typeof value.description === 'string' ? value.description : ''
+
+  const recommendations = (Array.isArray(value.recommendations) ? value.recommendations : [])
+    .filter((rec, index) => isComplete(`recommendations.${index}`) &&
+      rec && typeof rec === 'object' && rec.title && rec.description)
+    .map(rec => ({
+      title: String(rec.title).trim(),
+      description: String(rec.description).trim(),
+      icon: rec.icon || '💡'
+    }))
+
+  if (!primaryMood && !description && recommendations.length === 0) {
+    return null
+  }
+
+  return { primaryMood, confidence, description, recommendations }
+}
+
+/**
+ * Accumulate streamed response text and report each new partial analysis
+ * @param {Function} onPartial - Called with extractPartialAnalysis results when they change
+ * @returns {{push: Function, getText: Function}} push(delta) feeds text; getText() returns it all
+ */
+export function createPartialAnalysisStream(onPartial) {
+  let text = ''
+  let lastReported = null
+
+  return {
+    push(delta) {
+      text += delta
+      const partial = extractPartialAnalysis(text)
+      if (!partial) return
+
+      const serialized = JSON.stringify(partial)
+      if (serialized !== lastReported) {
+        lastReported = serialized
+        onPartial(partial)
+      }
+    },
+    getText() {
+      return text
+    }
+  }
+}
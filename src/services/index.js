@@ -7,8 +7,12 @@ import rateLimiter from './RateLimiter.js'
 import localStorageManager from './LocalStorageManager.js'
 import moodAnalysisService from './MoodAnalysisService.js'
 import MoodAdviceService from './MoodAdviceService.js'
-import tidbService from './TiDBAPIService.js'
-import { validateApiKeys, logConfigStatus } from '../config/environment.js'
+import tidbService, { DEVICE_STORAGE_KEY } from './TiDBAPIService.js'
+import { logConfigStatus } from '../config/environment.js'
+import { getCircuitStates, resetCircuitBreakers, CIRCUIT_STATES } from '../../shared/utils/resilientFetch.js'
+
+// Shared advice service so its offline advice cache is reused across screens
+const moodAdviceService = new MoodAdviceService()
 
 /**
  * Initialize all core services
@@ -20,12 +24,6 @@ export async function initializeServices() {
     // Log configuration status in development
     logConfigStatus()
     
-    // Validate API keys
-    const hasValidKeys = validateApiKeys()
-    if (!hasValidKeys) {
-      console.warn('⚠️ Some API keys are missing. App will run with limited functionality.')
-    }
-    
     // Initialize rate limiter
     await rateLimiter.initialize()
     console.log('✅ Rate limiter initialized')
@@ -38,8 +36,7 @@ export async function initializeServices() {
     await moodAnalysisService.initialize()
     console.log('✅ Mood analysis service initialized')
     
-    // Initialize mood advice service
-    const moodAdviceService = new MoodAdviceService()
+    // Mood advice service is ready on construction
     console.log('✅ Mood advice service initialized')
     
     // Initialize TiDB service (deferred to not block app startup)
@@ -75,7 +72,6 @@ export async function initializeServices() {
       moodAdviceService,
       tidbService,
       tidbConnected,
-      hasValidApiKeys: hasValidKeys,
       quotas
     }
     
@@ -110,10 +106,16 @@ export async function getServiceHealth() {
   try {
     const quotas = await rateLimiter.getAllQuotas()
     const dbHealth = await checkDatabaseHealth()
+    const circuits = getCircuitStates()
+    const hasOpenCircuit = Object.values(circuits).some(circuit => circuit.state !== CIRCUIT_STATES.CLOSED)
     
     return {
-      status: 'healthy',
+      status: hasOpenCircuit ? 'degraded' : 'healthy',
       services: {
+        externalApis: {
+          status: hasOpenCircuit ? 'degraded' : 'healthy',
+          circuits
+        },
         rateLimiter: {
           status: 'healthy',
           quotas
@@ -154,11 +156,18 @@ export async function emergencyReset() {
   try {
     console.log('🚨 Emergency reset initiated...')
     
-    // Reset rate limiter
+    // Reset the local quota mirror (server-side quotas are unaffected)
     await rateLimiter.forceReset()
+
+    // Close every circuit so external APIs are tried again
+    resetCircuitBreakers()
     
-    // Clear all local storage
-    localStorage.clear()
+    // Clear local storage, including cached analyses in IndexedDB. The device
+    // key stays, so the backend's history and quotas still belong to this browser
+    Object.keys(localStorage)
+      .filter(key => key !== DEVICE_STORAGE_KEY)
+      .forEach(key => localStorage.removeItem(key))
+    await moodAnalysisService.clearCache()
     
     // Reinitialize services
     await initializeServices()
@@ -172,5 +181,5 @@ export async function emergencyReset() {
 }
 
 // Export services for direct access
-export { rateLimiter, localStorageManager, moodAnalysisService, tidbService }
+export { rateLimiter, localStorageManager, moodAnalysisService, moodAdviceService, tidbService }
 export { MoodAdviceService }
\ No newline at end of file
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createCalibrator,
+  getCalibrationPairs,
+  fitIsotonic,
+  evaluateIsotonic
+} from '../confidenceCalibration.js'
+
+const entry = (primaryMood, confidence, agreement, analysis = {}) => ({
+  analysis: { primaryMood, confidence, ...analysis },
+  feedback: agreement ? { agreement, correctedMood: null } : null
+})
+
+describe('confidenceCalibration', () => {
+  it('should pair raw confidence with agreement and skip entries it cannot learn from', () => {
+    const pairs = getCalibrationPairs([
+      entry('happy', 0.9, 'yes'),
+      entry('sad', 0.6, 'partly'),
+      entry('calm', 0.75, 'no', { confidenceDefaulted: true, provider: 'offline' }),
+      entry('happy', 0.8, null),
+      entry('happy', 0.8, 'yes', { isMockData: true })
+    ])
+
+    expect(pairs).toEqual([
+      { provider: null, mood: 'happy', confidence: 0.9, label: 1 },
+      { provider: null, mood: 'sad', confidence: 0.6, label: 0.5 },
+      { provider: 'offline', mood: 'calm', confidence: null, label: 0 }
+    ])
+  })
+
+  it('should fit a non-decreasing curve and interpolate between its knots', () => {
+    const curve = fitIsotonic([{ x: 0.2, y: 0 }, { x: 0.4, y: 1 }, { x: 0.6, y: 0 }, { x: 0.8, y: 1 }])
+
+    expect(curve.map(knot => knot.y)).toEqual([0, 0.5, 1])
+    expect(evaluateIsotonic(curve, 0.1)).toBe(0)
+    expect(evaluateIsotonic(curve, 0.65)).toBeCloseTo(0.75)
+    expect(evaluateIsotonic(curve, 0.95)).toBe(1)
+    expect(evaluateIsotonic([], 0.5)).toBeNull()
+  })
+
+  it('should leave confidence unchanged without feedback', () => {
+    const calibration = createCalibrator([]).calibrate('happy', 0.85)
+
+    expect(calibration).toMatchObject({ confidence: 0.85, rawConfidence: 0.85, isCalibrated: false, needsConfirmation: false })
+  })
+
+  it('should lower confidence for a mood the user keeps disagreeing with', () => {
+    const entries = [
+      ...Array.from({ length: 10 }, () => entry('anxious', 0.9, 'no')),
+      ...Array.from({ length: 10 }, () => entry('happy', 0.9, 'yes'))
+    ]
+    const calibrator = createCalibrator(entries)
+
+    const anxious = calibrator.calibrate('anxious', 0.9)
+    const happy = calibrator.calibrate('happy', 0.9)
+
+    expect(anxious.confidence).toBeLessThan(0.5)
+    expect(anxious.needsConfirmation).toBe(true)
+    expect(anxious.samples).toBe(10)
+    expect(happy.confidence).toBeGreaterThan(0.8)
+    expect(happy.needsConfirmation).toBe(false)
+  })
+
+  it('should only nudge confidence after a little feedback', () => {
+    const calibration = createCalibrator([entry('happy', 0.8, 'no')]).calibrate('happy', 0.8)
+
+    expect(calibration.confidence).toBeLessThan(0.8)
+    expect(calibration.confidence).toBeGreaterThan(0.5)
+  })
+
+  it('should only learn from feedback on the same provider', () => {
+    const entries = Array.from({ length: 10 }, () => entry('happy', 0.9, 'no', { provider: 'offline' }))
+    const calibrator = createCalibrator(entries)
+
+    expect(calibrator.calibrate('happy', 0.9, { provider: 'offline' }).confidence).toBeLessThan(0.5)
+    expect(calibrator.calibrate('happy', 0.9, { provider: 'openai' }))
+      .toMatchObject({ confidence: 0.9, samples: 0, isCalibrated: false })
+  })
+
+  it('should estimate unreported confidence from agreement and ask until it has feedback', () => {
+    expect(createCalibrator([]).calibrate('calm', 0.75, { confidenceDefaulted: true }))
+      .toMatchObject({ rawConfidence: null, needsConfirmation: true })
+
+    const calibrator = createCalibrator(Array.from({ length: 10 }, () => entry('calm', 0.7, 'yes')))
+    const calibration = calibrator.calibrate('calm', 0.75, { confidenceDefaulted: true })
+
+    expect(calibration.confidence).toBeGreaterThan(0.8)
+    expect(calibration.needsConfirmation).toBe(false)
+  })
+})
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  MAX_REDO_HISTORY,
+  createDrawingHistory,
+  addStroke,
+  undoStroke,
+  redoStroke,
+  drawStroke,
+  replayStrokes,
+  getPressureWidth
+} from '../drawingHistory.js'
+
+const stroke = (id) => ({
+  type: 'stroke',
+  color: '#000000',
+  size: 3,
+  path: [{ x: 0, y: 0 }, { x: 10, y: 10 }, { x: 20, y: 0 }],
+  timestamp: id
+})
+
+const mockContext = () => ({
+  beginPath: vi.fn(),
+  moveTo: vi.fn(),
+  quadraticCurveTo: vi.fn(),
+  stroke: vi.fn()
+})
+
+describe('drawingHistory', () => {
+  it('should undo and redo strokes in order', () => {
+    let history = createDrawingHistory()
+    history = addStroke(history, stroke(1))
+    history = addStroke(history, stroke(2))
+
+    history = undoStroke(history)
+    expect(history.actions.map(s => s.timestamp)).toEqual([1])
+    expect(history.redoStack.map(s => s.timestamp)).toEqual([2])
+
+    history = redoStroke(history)
+    expect(history.actions.map(s => s.timestamp)).toEqual([1, 2])
+    expect(history.redoStack).toEqual([])
+  })
+
+  it('should clear redo history when a new stroke is drawn', () => {
+    let history = addStroke(createDrawingHistory(), stroke(1))
+    history = undoStroke(history)
+    history = addStroke(history, stroke(2))
+
+    expect(history.redoStack).toEqual([])
+    expect(redoStroke(history)).toBe(history)
+  })
+
+  it('should leave an empty history untouched', () => {
+    const history = createDrawingHistory()
+    expect(undoStroke(history)).toBe(history)
+    expect(redoStroke(history)).toBe(history)
+  })
+
+  it('should cap the redo history', () => {
+    let history = createDrawingHistory()
+    for (let i = 0; i < MAX_REDO_HISTORY + 5; i++) {
+      history = addStroke(history, stroke(i))
+    }
+    for (let i = 0; i < MAX_REDO_HISTORY + 5; i++) {
+      history = undoStroke(history)
+    }
+
+    expect(history.actions).toEqual([])
+    expect(history.redoStack).toHaveLength(MAX_REDO_HISTORY)
+    // The most recently undone stroke is redone first
+    expect(redoStroke(history).actions[0].timestamp).toBe(0)
+  })
+
+  it('should restore persisted history defensively', () => {
+    expect(createDrawingHistory(null, undefined)).toEqual({ actions: [], redoStack: [] })
+    expect(createDrawingHistory([stroke(1)], new Array(60).fill(stroke(2))).redoStack).toHaveLength(MAX_REDO_HISTORY)
+  })
+
+  it('should replay strokes with smoothed curves', () => {
+    const ctx = mockContext()
+    replayStrokes(ctx, [stroke(1), { ...stroke(2), path: [{ x: 5, y: 5 }] }])
+
+    // Single-point strokes leave no mark, like when drawing live
+    expect(ctx.beginPath).toHaveBeenCalledTimes(1)
+    expect(ctx.moveTo).toHaveBeenCalledWith(0, 0)
+    expect(ctx.quadraticCurveTo).toHaveBeenNthCalledWith(1, 0, 0, 5, 5)
+    expect(ctx.quadraticCurveTo).toHaveBeenNthCalledWith(2, 10, 10, 15, 5)
+    expect(ctx.stroke).toHaveBeenCalledTimes(1)
+  })
+
+  it('should apply stroke color and size', () => {
+    const ctx = mockContext()
+    drawStroke(ctx, { ...stroke(1), color: '#ff0000', size: 8 })
+
+    expect(ctx.strokeStyle).toBe('#ff0000')
+    expect(ctx.lineWidth).toBe(8)
+  })
+
+  it('should scale line width with pen pressure', () => {
+    expect(getPressureWidth(10, 0.5)).toBe(10)
+    expect(getPressureWidth(10, 1)).toBe(16)
+    expect(getPressureWidth(10, 0)).toBe(4)
+    expect(getPressureWidth(10, undefined)).toBe(10)
+  })
+
+  it('should draw pressure strokes segment by segment', () => {
+    const ctx = mockContext()
+    const widths = []
+    ctx.stroke = vi.fn(() => widths.push(ctx.lineWidth))
+    drawStroke(ctx, {
+      color: '#000000',
+      size: 10,
+      path: [
+        { x: 0, y: 0, pressure: 0.2 },
+        { x: 10, y: 10, pressure: 0.2 },
+        { x: 20, y: 0, pressure: 1 }
+      ]
+    })
+
+    expect(ctx.beginPath).toHaveBeenCalledTimes(2)
+    expect(ctx.moveTo).toHaveBeenNthCalledWith(2, 5, 5)
+    expect(widths[0]).toBeCloseTo(6.4)
+    expect(widths[1]).toBeCloseTo(11.2)
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseDuration,
+  getStepSeconds,
+  isBreathingExercise,
+  isBreathingStep,
+  getBreathingPattern,
+  formatSeconds
+} from '../exerciseUtils.js'
+
+describe('exerciseUtils', () => {
+  describe('parseDuration', () => {
+    it('should parse minute ranges', () => {
+      expect(parseDuration('5-10 minutes')).toEqual({ min: 300, max: 600 })
+      expect(parseDuration('2 - 5 mins')).toEqual({ min: 120, max: 300 })
+    })
+
+    it('should parse single values and other units', () => {
+      expect(parseDuration('30 seconds')).toEqual({ min: 30, max: 30 })
+      expect(parseDuration('1 hour')).toEqual({ min: 3600, max: 3600 })
+    })
+
+    it('should fall back to five minutes for unparseable durations', () => {
+      expect(parseDuration('a while')).toEqual({ min: 300, max: 300 })
+      expect(parseDuration(undefined)).toEqual({ min: 300, max: 300 })
+    })
+  })
+
+  describe('getStepSeconds', () => {
+    it('should split the short end of the range across steps', () => {
+      expect(getStepSeconds('3-5 minutes', 6)).toBe(30)
+    })
+
+    it('should keep a minimum time per step', () => {
+      expect(getStepSeconds('30 seconds', 6)).toBe(10)
+      expect(getStepSeconds('5 minutes', 0)).toBe(0)
+    })
+  })
+
+  describe('breathing detection', () => {
+    it('should detect breathing exercises by title or technique', () => {
+      expect(isBreathingExercise({ title: 'Deep Breathing Exercise', techniques: [] })).toBe(true)
+      expect(isBreathingExercise({ title: 'Mindful Stress Release', techniques: ['Mindful breathing'] })).toBe(true)
+      expect(isBreathingExercise({ title: 'Gratitude Amplification', techniques: ['Journaling'] })).toBe(false)
+    })
+
+    it('should detect breathing steps', () => {
+      expect(isBreathingStep('Exhale slowly through your mouth for 6 counts')).toBe(true)
+      expect(isBreathingStep('Sit or lie down with your back straight')).toBe(false)
+    })
+  })
+
+  describe('getBreathingPattern', () => {
+    it('should read counts from action steps', () => {
+      expect(getBreathingPattern([
+        'Breathe in slowly through your nose for 4 counts',
+        'Hold your breath for 7 counts',
+        'Exhale slowly through your mouth for 8 counts'
+      ])).toEqual({ inhale: 4, hold: 7, exhale: 8 })
+    })
+
+    it('should use a gentle default when counts are missing', () => {
+      expect(getBreathingPattern(['Take 5 deep, slow breaths'])).toEqual({ inhale: 4, hold: 0, exhale: 6 })
+    })
+  })
+
+  it('should format seconds as m:ss', () => {
+    expect(formatSeconds(75)).toBe('1:15')
+    expect(formatSeconds(5)).toBe('0:05')
+    expect(formatSeconds(-3)).toBe('0:00')
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import { MOODS } from '../../../shared/moodRegistry.js'
+import { getMoodSignals, scoreMoods, classifyMoodFromFeatures } from '../moodHeuristics.js'
+
+const darkJaggedScribble = {
+  coverage: 0.35,
+  centerOfMass: { x: 0.5, y: 0.55 },
+  dominantColors: [{ color: '#111111', share: 0.9 }],
+  warmth: null,
+  brightness: 0.05,
+  strokeCount: 12,
+  speed: { mean: 1400, median: 1300, max: 2600, stdDev: 500 },
+  averagePressure: 0.9,
+  angularity: 0.45,
+  sharpTurnRatio: 0.6,
+  eraseCount: 0
+}
+
+const brightFlowingDrawing = {
+  coverage: 0.12,
+  centerOfMass: { x: 0.5, y: 0.45 },
+  dominantColors: [
+    { color: '#ffcc00', share: 0.5 },
+    { color: '#ff6600', share: 0.3 },
+    { color: '#ff3399', share: 0.2 }
+  ],
+  warmth: 1,
+  brightness: 0.6,
+  strokeCount: 8,
+  speed: { mean: 500, median: 480, max: 900, stdDev: 120 },
+  averagePressure: null,
+  angularity: 0.05,
+  sharpTurnRatio: 0,
+  eraseCount: 0
+}
+
+describe('moodHeuristics', () => {
+  it('should classify a dark jagged scribble as a tense mood, not happy', () => {
+    const result = classifyMoodFromFeatures(darkJaggedScribble)
+
+    expect(['angry', 'anxious', 'frustrated', 'overwhelmed']).toContain(result.primaryMood)
+    expect(result.primaryMood).not.toBe('happy')
+  })
+
+  it('should classify a warm, colorful, flowing drawing as a positive mood', () => {
+    const result = classifyMoodFromFeatures(brightFlowingDrawing)
+
+    expect(['happy', 'excited', 'creative', 'inspired']).toContain(result.primaryMood)
+  })
+
+  it('should be deterministic', () => {
+    expect(classifyMoodFromFeatures(darkJaggedScribble)).toEqual(classifyMoodFromFeatures(darkJaggedScribble))
+  })
+
+  it('should return a valid result without features', () => {
+    const result = classifyMoodFromFeatures(null)
+
+    expect(MOODS).toContain(result.primaryMood)
+    expect(result.confidence).toBeGreaterThanOrEqual(0.35)
+    expect(result.confidence).toBeLessThanOrEqual(0.9)
+    expect(result.emotions[0].name).toBe(result.primaryMood)
+  })
+
+  it('should explain the result with the strongest signals', () => {
+    const result = classifyMoodFromFeatures(darkJaggedScribble)
+
+    expect(result.reasons.length).toBeGreaterThan(0)
+    expect(result.reasons.length).toBeLessThanOrEqual(3)
+  })
+
+  it('should keep every signal between 0 and 1 and score all 15 moods', () => {
+    const signals = getMoodSignals(darkJaggedScribble)
+    Object.values(signals).forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0)
+      expect(value).toBeLessThanOrEqual(1)
+    })
+
+    const ranked = scoreMoods(signals)
+    expect(ranked).toHaveLength(15)
+    expect(ranked[0].score).toBeGreaterThanOrEqual(ranked[14].score)
+  })
+})
@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeMoodStats,
+  computeStreaks,
+  getBucketStart,
+  toLocalDateString
+} from '../moodStats.js'
+
+const entry = (date, primaryMood, confidence = 0.8) => ({
+  id: `${primaryMood}-${date.toISOString()}`,
+  timestamp: date.toISOString(),
+  analysis: { primaryMood, confidence }
+})
+
+describe('moodStats', () => {
+  describe('getBucketStart', () => {
+    it('should bucket by day, Monday-start week and month', () => {
+      const thursday = new Date(2024, 0, 18, 15, 30)
+
+      expect(getBucketStart(thursday, 'day')).toBe('2024-01-18')
+      expect(getBucketStart(thursday, 'week')).toBe('2024-01-15')
+      expect(getBucketStart(thursday, 'month')).toBe('2024-01-01')
+    })
+
+    it('should put Sunday in the week that started the previous Monday', () => {
+      expect(getBucketStart(new Date(2024, 0, 21, 9), 'week')).toBe('2024-01-15')
+    })
+  })
+
+  describe('computeStreaks', () => {
+    it('should find the longest run of consecutive days', () => {
+      const streaks = computeStreaks(
+        ['2024-01-01', '2024-01-02', '2024-01-03', '2024-01-05', '2024-01-06'],
+        new Date(2024, 0, 20)
+      )
+
+      expect(streaks.longest).toBe(3)
+      expect(streaks.current).toBe(0)
+      expect(streaks.lastLoggedDay).toBe('2024-01-06')
+    })
+
+    it('should keep the current streak alive until the day after the last entry', () => {
+      const days = ['2024-01-04', '2024-01-05', '2024-01-06']
+
+      expect(computeStreaks(days, new Date(2024, 0, 6, 22)).current).toBe(3)
+      expect(computeStreaks(days, new Date(2024, 0, 7, 8)).current).toBe(3)
+      expect(computeStreaks(days, new Date(2024, 0, 8, 8)).current).toBe(0)
+    })
+
+    it('should handle an empty history', () => {
+      expect(computeStreaks([])).toEqual({ current: 0, longest: 0, lastLoggedDay: null })
+    })
+  })
+
+  describe('computeMoodStats', () => {
+    const entries = [
+      entry(new Date(2024, 0, 15, 9), 'happy', 0.9),
+      entry(new Date(2024, 0, 15, 21), 'calm', 0.6),
+      entry(new Date(2024, 0, 15, 22), 'happy', 0.7),
+      entry(new Date(2024, 0, 16, 9), 'anxious', 0.8),
+      entry(new Date(2024, 1, 2, 9), 'calm', 0.5)
+    ]
+
+    it('should count moods with average confidence', () => {
+      const stats = computeMoodStats(entries, { now: new Date(2024, 1, 2) })
+
+      expect(stats.totals.entries).toBe(5)
+      expect(stats.moods[0]).toEqual({ mood: 'calm', count: 2, averageConfidence: 0.55 })
+      expect(stats.moods.find(m => m.mood === 'happy').averageConfidence).toBeCloseTo(0.8)
+    })
+
+    it('should leave mock and fallback results out', () => {
+      const mock = entry(new Date(2024, 0, 17, 9), 'excited')
+      mock.analysis.isMockData = true
+      const fallback = entry(new Date(2024, 0, 18, 9), 'calm')
+      fallback.analysis.metadata = { isFallback: true }
+
+      const stats = computeMoodStats([...entries, mock, fallback], { now: new Date(2024, 1, 2) })
+
+      expect(stats.totals.entries).toBe(5)
+      expect(stats.moods.find(m => m.mood === 'excited')).toBeUndefined()
+    })
+
+    it('should pick the dominant mood per bucket', () => {
+      const stats = computeMoodStats(entries, { bucket: 'day' })
+
+      expect(stats.buckets.map(b => b.bucket)).toEqual(['2024-01-15', '2024-01-16', '2024-02-02'])
+      expect(stats.buckets[0]).toMatchObject({ dominantMood: 'happy', dominantCount: 2, total: 3 })
+    })
+
+    it('should group into months', () => {
+      const stats = computeMoodStats(entries, { bucket: 'month' })
+
+      expect(stats.buckets.map(b => [b.bucket, b.total])).toEqual([['2024-01-01', 4], ['2024-02-01', 1]])
+    })
+
+    it('should filter by date range but keep streaks over the whole history', () => {
+      const stats = computeMoodStats(entries, {
+        from: '2024-01-16',
+        to: '2024-01-31',
+        now: new Date(2024, 0, 17)
+      })
+
+      expect(stats.totals.entries).toBe(1)
+      expect(stats.streaks.longest).toBe(2)
+    })
+
+    it('should build a weekday/hour heatmap with Monday as 0', () => {
+      const stats = computeMoodStats(entries)
+      const monday9 = stats.heatmap.find(cell => cell.dayOfWeek === 0 && cell.hour === 9)
+
+      expect(monday9.count).toBe(1)
+      expect(stats.heatmap.reduce((sum, cell) => sum + cell.count, 0)).toBe(5)
+    })
+
+    it('should ignore malformed entries', () => {
+      const stats = computeMoodStats([null, { timestamp: '2024-01-01' }, entries[0]])
+
+      expect(stats.totals.entries).toBe(1)
+      expect(toLocalDateString(entries[0].timestamp)).toBe('2024-01-15')
+    })
+  })
+})
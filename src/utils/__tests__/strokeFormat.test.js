@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest'
+import {
+  STROKE_FORMAT_VERSION,
+  DEFAULT_PRESSURE,
+  serializeStrokes,
+  parseStrokeData,
+  getDrawingDuration,
+  compressReplayTimeline
+} from '../strokeFormat.js'
+
+const actions = [
+  {
+    type: 'stroke',
+    tool: 'pen',
+    color: '#ff0000',
+    size: 4,
+    pointerType: 'pen',
+    path: [
+      { x: 20, y: 40, t: 1000, pressure: 0.8, tiltX: 30, tiltY: -15 },
+      { x: 60, y: 80, t: 1016 }
+    ]
+  },
+  {
+    type: 'stroke',
+    color: '#0000ff',
+    size: 2,
+    path: [
+      { x: 100, y: 100, t: 5000 },
+      { x: 120, y: 140, t: 5020 }
+    ]
+  }
+]
+
+describe('strokeFormat', () => {
+  it('should serialize strokes in CSS pixels with relative times', () => {
+    const drawing = serializeStrokes(actions, { width: 400, height: 300, pixelRatio: 2 })
+
+    expect(drawing.version).toBe(STROKE_FORMAT_VERSION)
+    expect(drawing.width).toBe(400)
+    expect(drawing.createdAt).toBe(new Date(1000).toISOString())
+    expect(drawing.strokes).toHaveLength(2)
+    expect(drawing.strokes[0]).toEqual({
+      tool: 'pen',
+      pointerType: 'pen',
+      color: '#ff0000',
+      width: 4,
+      points: [
+        { x: 10, y: 20, t: 0, pressure: 0.8, tiltX: 30, tiltY: -15 },
+        { x: 30, y: 40, t: 16, pressure: DEFAULT_PRESSURE }
+      ]
+    })
+    expect(drawing.strokes[1].tool).toBe('pen')
+    expect(drawing.strokes[1].points[1].t).toBe(4020)
+  })
+
+  it('should return null when there is nothing to serialize', () => {
+    expect(serializeStrokes([], { width: 100, height: 100 })).toBeNull()
+  })
+
+  it('should round-trip through JSON', () => {
+    const drawing = serializeStrokes(actions, { width: 400, height: 300 })
+    const parsed = parseStrokeData(JSON.stringify(drawing))
+
+    expect(parsed.strokes).toEqual(drawing.strokes)
+    expect(getDrawingDuration(parsed)).toBe(4020)
+  })
+
+  it('should reject invalid or unsupported data', () => {
+    expect(parseStrokeData(null)).toBeNull()
+    expect(parseStrokeData('not json')).toBeNull()
+    expect(parseStrokeData({ version: 99, strokes: [] })).toBeNull()
+  })
+
+  it('should shorten long pauses for replay', () => {
+    const drawing = parseStrokeData(serializeStrokes(actions, { width: 400, height: 300 }))
+    const compressed = compressReplayTimeline(drawing, 500)
+
+    expect(compressed.strokes[0].points.map(point => point.t)).toEqual([0, 16])
+    expect(compressed.strokes[1].points.map(point => point.t)).toEqual([516, 536])
+    expect(getDrawingDuration(compressed)).toBe(536)
+  })
+})
@@ -0,0 +1,187 @@
+/**
+ * Confidence Calibration
+ * Learns how often this user agrees with analyses, from the feedback stored
+ * with their mood history, and maps the model's raw confidence onto that.
+ * Isotonic regression fits the raw-confidence -> agreement curve; with little
+ * feedback the curve is shrunk towards the broader estimate (per mood towards
+ * all moods, all moods towards the raw confidence), so a handful of answers
+ * nudges the number rather than overturning it. Each provider gets its own
+ * curve: feedback on offline heuristics says nothing about the model.
+ */
+
+import { isSyntheticAnalysis } from '../../shared/analysis/analysisValidation.js'
+import { FEEDBACK_AGREEMENT } from '../../shared/analysis/moodFeedback.js'
+
+export const CALIBRATION_DEFAULTS = {
+  priorStrength: 5, // Feedback answers a fitted curve needs to weigh as much as its prior
+  lowConfidence: 0.5 // Calibrated confidence below which the user is asked to confirm
+}
+
+// How much each answer says the analysis was right
+const AGREEMENT_LABELS = {
+  [FEEDBACK_AGREEMENT.YES]: 1,
+  [FEEDBACK_AGREEMENT.PARTLY]: 0.5,
+  [FEEDBACK_AGREEMENT.NO]: 0
+}
+
+// Agreement assumed before any feedback on an analysis without its own confidence
+const NEUTRAL_AGREEMENT = 0.5
+
+/**
+ * Collect (raw confidence, agreement) pairs from mood history entries with feedback
+ * Demo and fallback analyses say nothing about the model, so they are skipped
+ * @param {Array} entries - Mood history entries ({ analysis, feedback })
+ * @returns {Array} Pairs of { provider, mood, confidence (null when defaulted), label (0-1) }
+ */
+export function getCalibrationPairs(entries = []) {
+  return entries
+    .filter(entry => entry?.analysis?.primaryMood && !isSyntheticAnalysis(entry.analysis))
+    .filter(entry => entry.feedback && entry.feedback.agreement in AGREEMENT_LABELS)
+    .map(({ analysis, feedback }) => ({
+      provider: analysis.provider ?? null,
+      mood: analysis.primaryMood,
+      confidence: !analysis.confidenceDefaulted && typeof analysis.confidence === 'number' ? analysis.confidence : null,
+      label: AGREEMENT_LABELS[feedback.agreement]
+    }))
+}
+
+/**
+ * Fit a non-decreasing curve through (x, y) points with pool-adjacent-violators
+ * @param {Array} points - { x, y } with x and y in 0-1
+ * @returns {Array} Curve knots { x, y }, sorted by x
+ */
+export function fitIsotonic(points) {
+  // Points at the same confidence start out pooled, as one weighted block
+  const tied = new Map()
+  points.forEach(point => {
+    const block = tied.get(point.x) || { sumX: 0, sumY: 0, weight: 0 }
+    block.sumX += point.x
+    block.sumY += point.y
+    block.weight += 1
+    tied.set(point.x, block)
+  })
+
+  const blocks = []
+  const confidences = [...tied.keys()].sort((a, b) => a - b)
+  confidences.forEach(x => {
+    blocks.push(tied.get(x))
+
+    // Pool neighbours until agreement never drops as confidence rises
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1]
+      const previous = blocks[blocks.length - 2]
+      if (previous.sumY / previous.weight <= last.sumY / last.weight) break
+
+      blocks.pop()
+      previous.sumX += last.sumX
+      previous.sumY += last.sumY
+      previous.weight += last.weight
+    }
+  })
+
+  return blocks.map(block => ({ x: block.sumX / block.weight, y: block.sumY / block.weight }))
+}
+
+/**
+ * Read a fitted curve at x, interpolating between knots and flat beyond the ends
+ * @param {Array} curve - Knots from fitIsotonic
+ * @param {number} x - Raw confidence
+ * @returns {number|null} Expected agreement, or null for an empty curve
+ */
+export function evaluateIsotonic(curve, x) {
+  if (curve.length === 0) return null
+  if (x <= curve[0].x) return curve[0].y
+
+  for (let i = 1; i < curve.length; i++) {
+    const right = curve[i]
+    if (x <= right.x) {
+      const left = curve[i - 1]
+      return left.y + (right.y - left.y) * (x - left.x) / (right.x - left.x)
+    }
+  }
+  return curve[curve.length - 1].y
+}
+
+// Weighted blend of an estimate from n samples with its prior
+function shrink(estimate, samples, prior, priorStrength) {
+  return samples > 0 ? (samples * estimate + priorStrength * prior) / (samples + priorStrength) : prior
+}
+
+// Curve and agreement totals for one group of pairs
+function fitGroup(pairs) {
+  const scored = pairs.filter(pair => pair.confidence !== null)
+  return {
+    curve: fitIsotonic(scored.map(pair => ({ x: pair.confidence, y: pair.label }))),
+    scoredCount: scored.length,
+    count: pairs.length,
+    labelSum: pairs.reduce((sum, pair) => sum + pair.label, 0)
+  }
+}
+
+// Curves for one provider's pairs, across all moods and per mood
+function fitProvider(pairs) {
+  const byMood = new Map()
+  new Set(pairs.map(pair => pair.mood)).forEach(mood => {
+    byMood.set(mood, fitGroup(pairs.filter(pair => pair.mood === mood)))
+  })
+  return { overall: fitGroup(pairs), byMood, count: pairs.length }
+}
+
+/**
+ * Build a calibrator from the user's mood history
+ * @param {Array} entries - Mood history entries ({ analysis, feedback })
+ * @param {Object} options - Overrides for CALIBRATION_DEFAULTS
+ * @returns {Object} { calibrate(mood, confidence, { confidenceDefaulted, provider }), sampleCount }
+ */
+export function createCalibrator(entries = [], options = {}) {
+  const { priorStrength, lowConfidence } = { ...CALIBRATION_DEFAULTS, ...options }
+  const pairs = getCalibrationPairs(entries)
+
+  // Fitted on first use, as most histories only ever hold one provider's analyses
+  const providers = new Map()
+  const getProviderFit = (provider) => {
+    if (!providers.has(provider)) {
+      providers.set(provider, fitProvider(pairs.filter(pair => pair.provider === provider)))
+    }
+    return providers.get(provider)
+  }
+
+  /**
+   * Calibrated confidence for an analysis
+   * Without a usable raw confidence, this user's agreement rate for the mood is the estimate
+   * @param {string} mood - Detected primary mood
+   * @param {number} confidence - Raw confidence from the analysis
+   * @param {Object} options
+   * @param {boolean} options.confidenceDefaulted - The raw confidence was a stand-in
+   * @param {string|null} options.provider - Provider that produced the analysis; only its feedback is used
+   * @returns {Object} { confidence, rawConfidence, samples, isCalibrated, needsConfirmation }
+   */
+  const calibrate = (mood, confidence, { confidenceDefaulted = false, provider = null } = {}) => {
+    const { overall, byMood, count } = getProviderFit(provider)
+    const group = byMood.get(mood)
+    const hasRaw = !confidenceDefaulted && typeof confidence === 'number'
+    let calibrated
+
+    if (hasRaw) {
+      const overallEstimate = shrink(evaluateIsotonic(overall.curve, confidence), overall.scoredCount, confidence, priorStrength)
+      calibrated = group
+        ? shrink(evaluateIsotonic(group.curve, confidence) ?? overallEstimate, group.scoredCount, overallEstimate, priorStrength)
+        : overallEstimate
+    } else {
+      const overallRate = shrink(overall.count ? overall.labelSum / overall.count : 0, overall.count, NEUTRAL_AGREEMENT, priorStrength)
+      calibrated = group ? shrink(group.labelSum / group.count, group.count, overallRate, priorStrength) : overallRate
+    }
+
+    const rounded = Math.round(calibrated * 100) / 100
+    return {
+      confidence: rounded,
+      rawConfidence: hasRaw ? confidence : null,
+      samples: group ? group.count : 0,
+      isCalibrated: count > 0,
+      // An unreported confidence with nothing learned yet is as good as low
+      needsConfirmation: rounded < lowConfidence || (!hasRaw && count === 0)
+    }
+  }
+
+  return { calibrate, sampleCount: pairs.length }
+}
@@ -0,0 +1,26 @@
+/**
+ * Content Hashing
+ * SHA-256 digests of drawing data, so identical drawings can be recognised
+ * without comparing whole data URLs
+ */
+
+/**
+ * Whether SubtleCrypto is available; browsers only expose it in secure contexts
+ * (https or localhost), so a dev server opened over the LAN has none
+ * @returns {boolean}
+ */
+export function canHashContent() {
+  return typeof globalThis.crypto?.subtle?.digest === 'function'
+}
+
+/**
+ * SHA-256 of a string as lowercase hex
+ * @param {string} text - Content to hash, e.g. a drawing's data URL
+ * @returns {Promise<string|null>} 64-character hex digest, or null when hashing is unavailable
+ */
+export async function sha256Hex(text) {
+  if (!canHashContent()) return null
+
+  const digest = await globalThis.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('')
+}
@@ -0,0 +1,142 @@
+/**
+ * Drawing History Utilities
+ * Undo/redo bookkeeping and stroke replay for DrawingCanvas
+ */
+
+// Oldest undone strokes are dropped beyond this many
+export const MAX_REDO_HISTORY = 50
+
+/**
+ * Create an empty drawing history
+ * @returns {{actions: Array, redoStack: Array}}
+ */
+export function createDrawingHistory(actions = [], redoStack = []) {
+  return {
+    actions: Array.isArray(actions) ? actions : [],
+    redoStack: Array.isArray(redoStack) ? redoStack.slice(-MAX_REDO_HISTORY) : []
+  }
+}
+
+/**
+ * Record a new stroke; a new stroke invalidates anything that could be redone
+ */
+export function addStroke(history, stroke) {
+  return {
+    actions: [...history.actions, stroke],
+    redoStack: []
+  }
+}
+
+/**
+ * Move the most recent stroke onto the redo stack
+ */
+export function undoStroke(history) {
+  if (history.actions.length === 0) return history
+
+  return {
+    actions: history.actions.slice(0, -1),
+    redoStack: [...history.redoStack, history.actions[history.actions.length - 1]].slice(-MAX_REDO_HISTORY)
+  }
+}
+
+/**
+ * Move the most recently undone stroke back onto the canvas
+ */
+export function redoStroke(history) {
+  if (history.redoStack.length === 0) return history
+
+  return {
+    actions: [...history.actions, history.redoStack[history.redoStack.length - 1]],
+    redoStack: history.redoStack.slice(0, -1)
+  }
+}
+
+// Pressure-sensitive strokes scale between these multiples of the brush size
+const MIN_PRESSURE_SCALE = 0.4
+const MAX_PRESSURE_SCALE = 1.6
+
+/**
+ * Line width for a brush size at a given pen pressure (0-1)
+ * A pressure of 0.5, which mice report while pressed, keeps the brush size
+ */
+export function getPressureWidth(size, pressure) {
+  if (typeof pressure !== 'number' || !Number.isFinite(pressure)) return size
+
+  const clamped = Math.min(Math.max(pressure, 0), 1)
+  return Math.max(0.5, size * (MIN_PRESSURE_SCALE + (MAX_PRESSURE_SCALE - MIN_PRESSURE_SCALE) * clamped))
+}
+
+/**
+ * Draw the smoothed segment ending at path[index]
+ * Segments run between midpoints, using the previous point as the curve control
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} stroke - Recorded stroke ({ color, size, path })
+ * @param {number} index - Index of the point that ends the segment (>= 1)
+ */
+export function drawStrokeSegment(ctx, stroke, index) {
+  const path = stroke.path
+  const lastPos = path[index - 1]
+  const currentPos = path[index]
+  const start = index === 1 ? path[0] : {
+    x: (path[index - 2].x + lastPos.x) / 2,
+    y: (path[index - 2].y + lastPos.y) / 2
+  }
+  const pressure = typeof lastPos.pressure === 'number' && typeof currentPos.pressure === 'number'
+    ? (lastPos.pressure + currentPos.pressure) / 2
+    : currentPos.pressure
+
+  ctx.beginPath()
+  ctx.strokeStyle = stroke.color
+  ctx.lineWidth = getPressureWidth(stroke.size, pressure)
+  ctx.moveTo(start.x, start.y)
+  ctx.quadraticCurveTo(
+    lastPos.x,
+    lastPos.y,
+    (lastPos.x + currentPos.x) / 2,
+    (lastPos.y + currentPos.y) / 2
+  )
+  ctx.stroke()
+}
+
+/**
+ * Draw one recorded stroke with the same smoothing used while drawing live
+ * Strokes with pressure data are drawn segment by segment so the width can vary
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} stroke - Recorded stroke ({ color, size, path })
+ */
+export function drawStroke(ctx, stroke) {
+  const path = stroke.path || []
+  if (path.length < 2) return
+
+  if (path.some(point => typeof point.pressure === 'number')) {
+    for (let i = 1; i < path.length; i++) {
+      drawStrokeSegment(ctx, stroke, i)
+    }
+    return
+  }
+
+  ctx.beginPath()
+  ctx.strokeStyle = stroke.color
+  ctx.lineWidth = stroke.size
+  ctx.moveTo(path[0].x, path[0].y)
+
+  for (let i = 1; i < path.length; i++) {
+    const lastPos = path[i - 1]
+    const currentPos = path[i]
+    ctx.quadraticCurveTo(
+      lastPos.x,
+      lastPos.y,
+      (lastPos.x + currentPos.x) / 2,
+      (lastPos.y + currentPos.y) / 2
+    )
+  }
+
+  ctx.stroke()
+}
+
+/**
+ * Draw a list of recorded strokes in order
+ */
+export function replayStrokes(ctx, strokes) {
+  strokes.forEach(stroke => drawStroke(ctx, stroke))
+}
@@ -0,0 +1,96 @@
+/**
+ * Guided Exercise Utilities
+ * Helpers for turning MoodAdviceService advice items into timed, guided exercises
+ */
+
+const DEFAULT_DURATION_SECONDS = 5 * 60
+const MIN_STEP_SECONDS = 10
+
+// Used when a breathing exercise does not spell out its counts
+const DEFAULT_BREATHING_PATTERN = { inhale: 4, hold: 0, exhale: 6 }
+
+const BREATHING_PATTERN = /breath|inhale|exhale/i
+
+/**
+ * Parse an advice duration such as "5-10 minutes" or "30 seconds"
+ * @param {string} duration - Human readable duration
+ * @returns {{min: number, max: number}} Duration range in seconds
+ */
+export function parseDuration(duration) {
+  const match = typeof duration === 'string'
+    ? duration.match(/(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?)/i)
+    : null
+
+  if (!match) {
+    return { min: DEFAULT_DURATION_SECONDS, max: DEFAULT_DURATION_SECONDS }
+  }
+
+  const unit = match[3].toLowerCase()
+  const multiplier = unit.startsWith('h') ? 3600 : unit.startsWith('m') ? 60 : 1
+  const min = Math.round(Number(match[1]) * multiplier)
+  const max = match[2] ? Math.round(Number(match[2]) * multiplier) : min
+
+  return { min, max: Math.max(min, max) }
+}
+
+/**
+ * Split an exercise's duration across its steps
+ * Uses the short end of the range so the exercise stays achievable
+ * @param {string} duration - Advice duration
+ * @param {number} stepCount - Number of action steps
+ * @returns {number} Seconds per step
+ */
+export function getStepSeconds(duration, stepCount) {
+  if (!stepCount) return 0
+  return Math.max(MIN_STEP_SECONDS, Math.round(parseDuration(duration).min / stepCount))
+}
+
+/**
+ * Check whether an advice item is a breathing technique
+ */
+export function isBreathingExercise(advice) {
+  if (!advice) return false
+  return BREATHING_PATTERN.test(advice.title || '') ||
+    (advice.techniques || []).some(technique => BREATHING_PATTERN.test(technique))
+}
+
+/**
+ * Check whether a single step involves breathing
+ */
+export function isBreathingStep(step) {
+  return BREATHING_PATTERN.test(step || '')
+}
+
+/**
+ * Read inhale / hold / exhale counts from action steps
+ * e.g. "Breathe in slowly ... for 4 counts", "Hold your breath for 4 counts"
+ * @param {Array<string>} actionSteps - Advice action steps
+ * @returns {{inhale: number, hold: number, exhale: number}} Phase lengths in seconds
+ */
+export function getBreathingPattern(actionSteps = []) {
+  const pattern = { ...DEFAULT_BREATHING_PATTERN }
+  const phases = [
+    ['inhale', /(?:breathe in|inhale)\D*(\d+)\s*(?:counts?|seconds?)/i],
+    ['hold', /hold\D*(\d+)\s*(?:counts?|seconds?)/i],
+    ['exhale', /(?:breathe out|exhale)\D*(\d+)\s*(?:counts?|seconds?)/i]
+  ]
+
+  actionSteps.forEach(step => {
+    phases.forEach(([phase, regex]) => {
+      const match = step.match(regex)
+      if (match) {
+        pattern[phase] = Number(match[1])
+      }
+    })
+  })
+
+  return pattern
+}
+
+/**
+ * Format seconds as m:ss
+ */
+export function formatSeconds(totalSeconds) {
+  const seconds = Math.max(0, Math.round(totalSeconds))
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`
+}
@@ -0,0 +1,157 @@
+/**
+ * Offline Mood Heuristics
+ * Deterministic, rule-based classification of a drawing into the 15 registry
+ * moods from the features measured by utils/drawingFeatures.js. Used when the
+ * app analyzes drawings without the OpenAI API.
+ */
+
+import { MOODS } from '../../shared/moodRegistry.js'
+
+const clamp = (value, min = 0, max = 1) => Math.min(Math.max(value, min), max)
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// Missing measurements are treated as neutral
+const NEUTRAL = 0.5
+
+/**
+ * Turn raw features into 0-1 signals the mood rules are written against
+ * @param {Object} features - Result of extractDrawingFeatures
+ * @returns {Object} Named signals, each between 0 and 1
+ */
+export function getMoodSignals(features = {}) {
+  const warm = isNumber(features.warmth) ? (features.warmth + 1) / 2 : NEUTRAL
+  const light = isNumber(features.brightness) ? features.brightness : NEUTRAL
+  const dense = isNumber(features.coverage) ? clamp(features.coverage / 0.3) : NEUTRAL
+  const jagged = isNumber(features.angularity) ? clamp((features.angularity - 0.1) / 0.3) : NEUTRAL
+  const fast = features.speed ? clamp((features.speed.mean - 150) / 1000) : NEUTRAL
+  const heavy = isNumber(features.averagePressure) ? features.averagePressure : NEUTRAL
+  const manyStrokes = isNumber(features.strokeCount) ? clamp(features.strokeCount / 40) : NEUTRAL
+  const hesitant = isNumber(features.eraseCount) ? clamp(features.eraseCount / 5) : NEUTRAL
+  const colorful = features.dominantColors?.length
+    ? clamp((features.dominantColors.filter(entry => entry.share >= 0.1).length - 1) / 3)
+    : NEUTRAL
+
+  const center = features.centerOfMass
+  const offCenter = center ? clamp(Math.hypot(center.x - 0.5, center.y - 0.5) * 2.5) : NEUTRAL
+  const low = center ? clamp((center.y - 0.5) * 2.5) : NEUTRAL
+  const high = center ? clamp((0.5 - center.y) * 2.5) : NEUTRAL
+
+  return {
+    warm,
+    cool: 1 - warm,
+    light,
+    dark: 1 - light,
+    dense,
+    sparse: 1 - dense,
+    jagged,
+    smooth: 1 - jagged,
+    fast,
+    slow: 1 - fast,
+    heavy,
+    gentle: 1 - heavy,
+    manyStrokes,
+    fewStrokes: 1 - manyStrokes,
+    hesitant,
+    decisive: 1 - hesitant,
+    colorful,
+    centered: 1 - offCenter,
+    offCenter,
+    low,
+    high
+  }
+}
+
+// Signal weights per mood; a mood's score is the weighted mean of its signals
+const MOOD_RULES = {
+  happy: { warm: 3, light: 1, smooth: 1.5, colorful: 1.5, decisive: 0.5 },
+  sad: { cool: 2, dark: 1.5, slow: 2, low: 1.5, gentle: 1.5, sparse: 1 },
+  anxious: { jagged: 2, hesitant: 2.5, fast: 1, manyStrokes: 1, gentle: 1, sparse: 0.5 },
+  calm: { smooth: 3, slow: 2, cool: 1.5, centered: 1, decisive: 1 },
+  creative: { colorful: 3, dense: 1.5, manyStrokes: 1.5, smooth: 0.5 },
+  energetic: { fast: 3, warm: 1, dense: 1.5, heavy: 1, manyStrokes: 1 },
+  tired: { slow: 2.5, sparse: 1.5, gentle: 2, fewStrokes: 1, low: 1, dark: 0.5 },
+  angry: { jagged: 2.5, fast: 2, heavy: 2.5, warm: 1, dark: 1, decisive: 0.5 },
+  excited: { fast: 2, warm: 2, colorful: 1.5, manyStrokes: 1, high: 0.5 },
+  peaceful: { smooth: 2.5, slow: 2, sparse: 1, cool: 1, centered: 1, gentle: 1 },
+  confident: { heavy: 2, centered: 1.5, smooth: 1.5, decisive: 2, fewStrokes: 0.5 },
+  overwhelmed: { dense: 2.5, manyStrokes: 2.5, jagged: 1.5, hesitant: 1, dark: 0.5 },
+  lonely: { sparse: 2.5, offCenter: 2, fewStrokes: 1.5, cool: 1, gentle: 0.5 },
+  frustrated: { hesitant: 3, jagged: 1.5, heavy: 1.5, manyStrokes: 1 },
+  inspired: { colorful: 2, light: 1.5, high: 1.5, smooth: 1, warm: 1 }
+}
+
+// Plain-language descriptions of strong signals, used to explain the result
+const SIGNAL_DESCRIPTIONS = {
+  warm: 'a warm color palette',
+  cool: 'a cool color palette',
+  light: 'light colors',
+  dark: 'dark colors',
+  dense: 'a densely filled canvas',
+  sparse: 'lots of empty space',
+  jagged: 'jagged, angular strokes',
+  smooth: 'smooth, flowing strokes',
+  fast: 'quick strokes',
+  slow: 'slow, deliberate strokes',
+  heavy: 'heavy pressure',
+  gentle: 'a light touch',
+  manyStrokes: 'many separate strokes',
+  fewStrokes: 'only a few strokes',
+  hesitant: 'frequent erasing',
+  decisive: 'no second-guessing',
+  colorful: 'several different colors',
+  centered: 'a centered composition',
+  offCenter: 'an off-center composition',
+  low: 'marks placed low on the page',
+  high: 'marks placed high on the page'
+}
+
+// Signals at or beyond this strength are mentioned in the explanation
+const STRONG_SIGNAL = 0.65
+
+/**
+ * Score every mood for a set of signals
+ * @param {Object} signals - Result of getMoodSignals
+ * @returns {Array} Moods with scores, highest first (ties keep registry order)
+ */
+export function scoreMoods(signals) {
+  return MOODS
+    .map(mood => {
+      const weights = Object.entries(MOOD_RULES[mood])
+      const totalWeight = weights.reduce((sum, [, weight]) => sum + weight, 0)
+      const score = weights.reduce((sum, [signal, weight]) => sum + signals[signal] * weight, 0) / totalWeight
+      return { mood, score }
+    })
+    .sort((a, b) => b.score - a.score)
+}
+
+/**
+ * Classify a drawing from its measured features
+ * @param {Object} features - Result of extractDrawingFeatures (may be partial or null)
+ * @returns {{primaryMood: string, confidence: number, emotions: Array, reasons: Array}}
+ */
+export function classifyMoodFromFeatures(features) {
+  const signals = getMoodSignals(features || {})
+  const ranked = scoreMoods(signals)
+  const [top, runnerUp] = ranked
+
+  // A clear winner with strong signals earns more confidence than a close call
+  const margin = top.score - runnerUp.score
+  const confidence = clamp(0.45 + margin * 3 + (top.score - 0.5) * 0.6, 0.35, 0.9)
+
+  const reasons = Object.entries(MOOD_RULES[top.mood])
+    .filter(([signal]) => signals[signal] >= STRONG_SIGNAL)
+    .sort((a, b) => signals[b[0]] * b[1] - signals[a[0]] * a[1])
+    .slice(0, 3)
+    .map(([signal]) => SIGNAL_DESCRIPTIONS[signal])
+
+  return {
+    primaryMood: top.mood,
+    confidence: Math.round(confidence * 100) / 100,
+    emotions: ranked.slice(0, 4).map(({ mood, score }) => ({
+      name: mood,
+      intensity: Math.round(score * 100) / 100
+    })),
+    reasons
+  }
+}
@@ -0,0 +1,180 @@
+/**
+ * Mood Statistics Utilities
+ * Computes mood analytics from local mood history entries, in the same shape
+ * as the backend's /api/moods/stats response
+ */
+
+import { isSyntheticAnalysis } from '../../shared/analysis/analysisValidation.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Format a date as YYYY-MM-DD in local time
+ */
+export function toLocalDateString(date) {
+  const d = new Date(date)
+  const month = String(d.getMonth() + 1).padStart(2, '0')
+  const day = String(d.getDate()).padStart(2, '0')
+  return `${d.getFullYear()}-${month}-${day}`
+}
+
+/**
+ * Parse a YYYY-MM-DD string as local midnight
+ */
+export function parseLocalDate(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number)
+  return new Date(year, month - 1, day)
+}
+
+/**
+ * Get weekday index with Monday as 0 (matches SQL WEEKDAY())
+ */
+export function getWeekdayIndex(date) {
+  return (new Date(date).getDay() + 6) % 7
+}
+
+/**
+ * Get the first local date of the bucket containing a date
+ * @param {Date|string} date - Date to bucket
+ * @param {string} bucket - day, week (Monday start) or month
+ * @returns {string} Bucket start as YYYY-MM-DD
+ */
+export function getBucketStart(date, bucket = 'day') {
+  const d = new Date(date)
+  d.setHours(0, 0, 0, 0)
+
+  if (bucket === 'week') {
+    d.setDate(d.getDate() - getWeekdayIndex(d))
+  } else if (bucket === 'month') {
+    d.setDate(1)
+  }
+
+  return toLocalDateString(d)
+}
+
+/**
+ * Compute logging streaks from the set of days with at least one entry
+ * @param {Array<string>} days - Logged days as YYYY-MM-DD
+ * @param {Date} now - Reference time for the current streak
+ * @returns {{current: number, longest: number, lastLoggedDay: string|null}}
+ */
+export function computeStreaks(days, now = new Date()) {
+  const sorted = [...new Set(days)].sort()
+  if (sorted.length === 0) {
+    return { current: 0, longest: 0, lastLoggedDay: null }
+  }
+
+  let longest = 1
+  let run = 1
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = Math.round((parseLocalDate(sorted[i]) - parseLocalDate(sorted[i - 1])) / DAY_MS)
+    run = gap === 1 ? run + 1 : 1
+    longest = Math.max(longest, run)
+  }
+
+  // The latest run only counts as current if it reaches today or yesterday
+  const lastLoggedDay = sorted[sorted.length - 1]
+  const daysSinceLast = Math.round((parseLocalDate(toLocalDateString(now)) - parseLocalDate(lastLoggedDay)) / DAY_MS)
+
+  return {
+    current: daysSinceLast <= 1 ? run : 0,
+    longest,
+    lastLoggedDay
+  }
+}
+
+/**
+ * Compute mood statistics from mood history entries
+ * @param {Array} entries - Entries from LocalStorageManager.getMoodHistory
+ * @param {Object} options
+ * @param {string} options.from - First local date to include (YYYY-MM-DD)
+ * @param {string} options.to - Last local date to include (YYYY-MM-DD)
+ * @param {string} options.bucket - Trend bucket size: day, week or month
+ * @param {Date} options.now - Reference time for streaks
+ * @returns {Object} Stats with totals, moods, buckets, streaks and heatmap
+ */
+export function computeMoodStats(entries, { from = null, to = null, bucket = 'day', now = new Date() } = {}) {
+  // Mock and fallback results say nothing about how the user felt
+  const valid = entries.filter(entry => entry && entry.timestamp && entry.analysis?.primaryMood &&
+    !isSyntheticAnalysis(entry.analysis))
+  const inRange = valid.filter(entry => {
+    const day = toLocalDateString(entry.timestamp)
+    return (!from || day >= from) && (!to || day <= to)
+  })
+
+  const moodTotals = new Map()
+  const bucketTotals = new Map()
+  const heatmapCounts = new Map()
+
+  inRange.forEach(entry => {
+    const mood = entry.analysis.primaryMood
+    const confidence = Number(entry.analysis.confidence) || 0
+
+    const moodTotal = moodTotals.get(mood) || { count: 0, confidenceSum: 0 }
+    moodTotal.count += 1
+    moodTotal.confidenceSum += confidence
+    moodTotals.set(mood, moodTotal)
+
+    const bucketKey = getBucketStart(entry.timestamp, bucket)
+    const bucketTotal = bucketTotals.get(bucketKey) || { total: 0, confidenceSum: 0, moods: new Map() }
+    bucketTotal.total += 1
+    bucketTotal.confidenceSum += confidence
+    const bucketMood = bucketTotal.moods.get(mood) || { count: 0, confidenceSum: 0 }
+    bucketMood.count += 1
+    bucketMood.confidenceSum += confidence
+    bucketTotal.moods.set(mood, bucketMood)
+    bucketTotals.set(bucketKey, bucketTotal)
+
+    const date = new Date(entry.timestamp)
+    const heatmapKey = `${getWeekdayIndex(date)}-${date.getHours()}`
+    heatmapCounts.set(heatmapKey, (heatmapCounts.get(heatmapKey) || 0) + 1)
+  })
+
+  const moods = Array.from(moodTotals.entries())
+    .map(([mood, { count, confidenceSum }]) => ({
+      mood,
+      count,
+      averageConfidence: confidenceSum / count
+    }))
+    .sort((a, b) => b.count - a.count || a.mood.localeCompare(b.mood))
+
+  const buckets = Array.from(bucketTotals.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([bucketKey, { total, confidenceSum, moods: bucketMoods }]) => {
+      // Same tie-break as the backend: count, then average confidence, then name
+      const [dominantMood, dominant] = Array.from(bucketMoods.entries()).sort(([moodA, a], [moodB, b]) =>
+        b.count - a.count ||
+        b.confidenceSum / b.count - a.confidenceSum / a.count ||
+        moodA.localeCompare(moodB)
+      )[0]
+
+      return {
+        bucket: bucketKey,
+        dominantMood,
+        dominantCount: dominant.count,
+        total,
+        averageConfidence: confidenceSum / total
+      }
+    })
+
+  const heatmap = Array.from(heatmapCounts.entries())
+    .map(([key, count]) => {
+      const [dayOfWeek, hour] = key.split('-').map(Number)
+      return { dayOfWeek, hour, count }
+    })
+    .sort((a, b) => a.dayOfWeek - b.dayOfWeek || a.hour - b.hour)
+
+  return {
+    range: { from, to, bucket },
+    totals: {
+      entries: inRange.length,
+      averageConfidence: inRange.length > 0
+        ? moods.reduce((sum, mood) => sum + mood.averageConfidence * mood.count, 0) / inRange.length
+        : null
+    },
+    moods,
+    buckets,
+    streaks: computeStreaks(valid.map(entry => toLocalDateString(entry.timestamp)), now),
+    heatmap
+  }
+}
@@ -0,0 +1,161 @@
+/**
+ * Stroke Format Utilities
+ * Versioned, JSON-serializable vector format for drawings, stored with each
+ * mood entry so drawings can be replayed and the drawing process analyzed
+ *
+ * Format (version 1):
+ * {
+ *   version: 1,
+ *   width, height,            // Canvas size in CSS pixels
+ *   createdAt,                // ISO time of the first point
+ *   strokes: [{
+ *     tool: 'pen',
+ *     pointerType,            // 'mouse' | 'touch' | 'pen' (optional)
+ *     color, width,           // Hex color, base line width in CSS pixels
+ *     points: [{ x, y, t, pressure, tiltX, tiltY }]
+ *   }]
+ * }
+ *
+ * t is ms since the first point, pressure 0-1, tiltX/tiltY in degrees (-90 to 90).
+ * Tilt is only present when the input device reported it.
+ */
+
+export const STROKE_FORMAT_VERSION = 1
+
+// Pressure reported by input devices that cannot measure it (Pointer Events default)
+export const DEFAULT_PRESSURE = 0.5
+
+// Idle gaps longer than this are shortened when replaying
+const MAX_REPLAY_PAUSE_MS = 800
+
+const round = (value, digits = 1) => {
+  const factor = 10 ** digits
+  return Math.round(value * factor) / factor
+}
+
+const clampPressure = (pressure) => {
+  const value = Number(pressure)
+  return Number.isFinite(value) && value > 0 ? Math.min(value, 1) : DEFAULT_PRESSURE
+}
+
+/**
+ * Serialize recorded canvas strokes into the versioned format
+ * @param {Array} actions - DrawingCanvas strokes ({ color, size, tool, path: [{ x, y, t, pressure }] })
+ * @param {Object} canvasInfo - Canvas size in CSS pixels and the pixel ratio the path was recorded at
+ * @returns {Object|null} Serialized drawing, or null when there are no strokes
+ */
+export function serializeStrokes(actions, { width, height, pixelRatio = 1 }) {
+  const strokes = (actions || []).filter(action => action.path && action.path.length > 0)
+  if (strokes.length === 0) return null
+
+  const startTime = Math.min(...strokes.map(stroke => stroke.path[0].t || stroke.timestamp || 0))
+
+  return {
+    version: STROKE_FORMAT_VERSION,
+    width: round(width),
+    height: round(height),
+    createdAt: new Date(startTime).toISOString(),
+    strokes: strokes.map(stroke => ({
+      tool: stroke.tool || 'pen',
+      ...(stroke.pointerType && { pointerType: stroke.pointerType }),
+      color: stroke.color,
+      width: stroke.size,
+      points: stroke.path.map(point => ({
+        x: round(point.x / pixelRatio),
+        y: round(point.y / pixelRatio),
+        t: Math.max(0, Math.round((point.t || stroke.timestamp || startTime) - startTime)),
+        pressure: round(clampPressure(point.pressure), 2),
+        ...((point.tiltX || point.tiltY) && {
+          tiltX: Math.round(point.tiltX || 0),
+          tiltY: Math.round(point.tiltY || 0)
+        })
+      }))
+    }))
+  }
+}
+
+/**
+ * Validate a stored drawing and normalize it to the current version
+ * @param {Object|string} data - Serialized drawing (object or JSON string)
+ * @returns {Object|null} Drawing in the current format, or null if unusable
+ */
+export function parseStrokeData(data) {
+  let drawing = data
+  if (typeof data === 'string') {
+    try {
+      drawing = JSON.parse(data)
+    } catch (error) {
+      return null
+    }
+  }
+
+  if (!drawing || typeof drawing !== 'object' || !Array.isArray(drawing.strokes)) return null
+  if (drawing.version !== STROKE_FORMAT_VERSION) {
+    console.warn(`Unsupported stroke format version: ${drawing.version}`)
+    return null
+  }
+
+  const strokes = drawing.strokes
+    .filter(stroke => stroke && Array.isArray(stroke.points) && stroke.points.length > 0)
+    .map(stroke => ({
+      tool: stroke.tool || 'pen',
+      ...(stroke.pointerType && { pointerType: stroke.pointerType }),
+      color: stroke.color || '#000000',
+      width: Number(stroke.width) || 1,
+      points: stroke.points
+        .filter(point => Number.isFinite(point.x) && Number.isFinite(point.y))
+        .map(point => ({
+          x: point.x,
+          y: point.y,
+          t: Number.isFinite(point.t) ? point.t : 0,
+          pressure: clampPressure(point.pressure),
+          ...(Number.isFinite(point.tiltX) && Number.isFinite(point.tiltY) && {
+            tiltX: point.tiltX,
+            tiltY: point.tiltY
+          })
+        }))
+    }))
+
+  return {
+    ...drawing,
+    width: Number(drawing.width) || 1,
+    height: Number(drawing.height) || 1,
+    strokes
+  }
+}
+
+/**
+ * Get total drawing time in ms, from first to last point
+ */
+export function getDrawingDuration(drawing) {
+  return drawing.strokes.reduce((max, stroke) =>
+    Math.max(max, ...stroke.points.map(point => point.t)), 0)
+}
+
+/**
+ * Remap point times for replay so long idle gaps do not stall the animation
+ * @param {Object} drawing - Parsed drawing
+ * @param {number} maxPause - Longest gap kept between consecutive points, in ms
+ * @returns {Object} Drawing with compressed point times
+ */
+export function compressReplayTimeline(drawing, maxPause = MAX_REPLAY_PAUSE_MS) {
+  const times = [...new Set(drawing.strokes.flatMap(stroke => stroke.points.map(point => point.t)))]
+    .sort((a, b) => a - b)
+
+  const remapped = new Map()
+  let previous = 0
+  let shifted = 0
+  times.forEach(time => {
+    shifted += Math.min(time - previous, maxPause)
+    remapped.set(time, shifted)
+    previous = time
+  })
+
+  return {
+    ...drawing,
+    strokes: drawing.strokes.map(stroke => ({
+      ...stroke,
+      points: stroke.points.map(point => ({ ...point, t: remapped.get(point.t) }))
+    }))
+  }
+}